@@ -0,0 +1,184 @@
+/**
+ * Pitch Detection Benchmark
+ * Compares the speed and accuracy of the FFT-based correlation functions against
+ * direct O(n²) computation, and of every pitch detector, across buffer sizes.
+ *
+ * Run with: npm run bench
+ */
+
+import { computeAutocorrelation, computeDifferenceFunction, PITCH_DETECTORS } from '../src/js/pitch-detection.js';
+
+const SAMPLE_RATE = 44100;
+const BUFFER_SIZES = [1024, 2048, 4096, 8192];
+const TEST_FREQUENCIES = [82.41, 110, 146.83, 196, 246.94, 329.63, 440, 880, 1318.51];
+const MIN_BENCHMARK_TIME = 200; // Minimum time in milliseconds spent timing each function
+
+/**
+ * Direct O(n²) autocorrelation, as computed before the FFT implementation
+ * @param {Float32Array} buffer - Audio data buffer
+ * @param {number} maxLag - Largest lag to compute
+ * @returns {Float32Array} - Normalized autocorrelation for lags 0 to maxLag
+ */
+function directAutocorrelation(buffer, maxLag) {
+    const bufferLength = buffer.length;
+    const correlations = new Float32Array(maxLag + 1);
+
+    for (let lag = 0; lag <= maxLag; lag++) {
+        let correlation = 0;
+
+        for (let i = 0; i < bufferLength - lag; i++) {
+            correlation += buffer[i] * buffer[i + lag];
+        }
+
+        correlations[lag] = correlation / (bufferLength - lag);
+    }
+
+    return correlations;
+}
+
+/**
+ * Direct O(n²) YIN difference function, as computed before the FFT implementation
+ * @param {Float32Array} buffer - Audio data buffer
+ * @returns {Float32Array} - Difference values for lags 0 to half the buffer length
+ */
+function directDifferenceFunction(buffer) {
+    const yinBuffer = new Float32Array(Math.floor(buffer.length / 2));
+
+    for (let tau = 0; tau < yinBuffer.length; tau++) {
+        for (let i = 0; i < yinBuffer.length; i++) {
+            const delta = buffer[i] - buffer[i + tau];
+            yinBuffer[tau] += delta * delta;
+        }
+    }
+
+    return yinBuffer;
+}
+
+/**
+ * Generate a harmonic tone resembling a plucked string
+ * @param {number} frequency - Fundamental frequency in Hz
+ * @param {number} length - Number of samples
+ * @returns {Float32Array} - The generated signal
+ */
+function generateTone(frequency, length) {
+    const buffer = new Float32Array(length);
+    const amplitudes = [0.5, 0.3, 0.15, 0.08, 0.04];
+
+    for (let i = 0; i < length; i++) {
+        const t = i / SAMPLE_RATE;
+        amplitudes.forEach((amplitude, h) => {
+            buffer[i] += amplitude * Math.sin(2 * Math.PI * frequency * (h + 1) * t);
+        });
+    }
+
+    return buffer;
+}
+
+/**
+ * Measure the average run time of a function
+ * @param {Function} fn - Function to time
+ * @returns {number} - Average time per call in milliseconds
+ */
+function timeFunction(fn) {
+    // Warm up the JIT before measuring
+    fn();
+
+    let iterations = 0;
+    const start = performance.now();
+    let elapsed = 0;
+
+    while (elapsed < MIN_BENCHMARK_TIME) {
+        fn();
+        iterations++;
+        elapsed = performance.now() - start;
+    }
+
+    return elapsed / iterations;
+}
+
+/**
+ * Largest difference between two arrays, relative to the largest value of the first
+ * @param {ArrayLike<number>} expected - Reference values
+ * @param {ArrayLike<number>} actual - Values to compare
+ * @returns {number} - Maximum relative difference
+ */
+function maxRelativeDifference(expected, actual) {
+    let scale = 0;
+    let difference = 0;
+
+    for (let i = 0; i < expected.length; i++) {
+        scale = Math.max(scale, Math.abs(expected[i]));
+        difference = Math.max(difference, Math.abs(expected[i] - actual[i]));
+    }
+
+    return scale > 0 ? difference / scale : difference;
+}
+
+/**
+ * Compare direct and FFT-based correlation functions
+ * @returns {Object[]} - One row per buffer size
+ */
+function benchmarkCorrelation() {
+    return BUFFER_SIZES.map(size => {
+        const buffer = generateTone(110, size);
+        const maxLag = Math.min(Math.ceil(SAMPLE_RATE / 50), size - 1);
+
+        return {
+            'Buffer': size,
+            'ACF direct (ms)': timeFunction(() => directAutocorrelation(buffer, maxLag)).toFixed(3),
+            'ACF FFT (ms)': timeFunction(() => computeAutocorrelation(buffer, maxLag)).toFixed(3),
+            'ACF max error': maxRelativeDifference(
+                directAutocorrelation(buffer, maxLag),
+                computeAutocorrelation(buffer, maxLag)
+            ).toExponential(1),
+            'YIN direct (ms)': timeFunction(() => directDifferenceFunction(buffer)).toFixed(3),
+            'YIN FFT (ms)': timeFunction(() => computeDifferenceFunction(buffer)).toFixed(3),
+            'YIN max error': maxRelativeDifference(
+                directDifferenceFunction(buffer),
+                computeDifferenceFunction(buffer)
+            ).toExponential(1)
+        };
+    });
+}
+
+/**
+ * Measure the speed and accuracy of every pitch detector
+ * @returns {Object[]} - One row per detector and buffer size
+ */
+function benchmarkDetectors() {
+    const rows = [];
+
+    Object.values(PITCH_DETECTORS).forEach(detector => {
+        BUFFER_SIZES.forEach(size => {
+            const signals = TEST_FREQUENCIES.map(frequency => generateTone(frequency, size));
+
+            let totalError = 0;
+            let detections = 0;
+
+            signals.forEach((signal, i) => {
+                const { frequency } = detector.detect(signal, SAMPLE_RATE);
+
+                if (frequency !== -1) {
+                    totalError += Math.abs(1200 * Math.log2(frequency / TEST_FREQUENCIES[i]));
+                    detections++;
+                }
+            });
+
+            rows.push({
+                'Detector': detector.name,
+                'Buffer': size,
+                'Time (ms)': timeFunction(() => detector.detect(signals[0], SAMPLE_RATE)).toFixed(3),
+                'Detected': `${detections}/${signals.length}`,
+                'Mean error (cents)': detections > 0 ? (totalError / detections).toFixed(2) : '-'
+            });
+        });
+    });
+
+    return rows;
+}
+
+console.log('Correlation functions: direct O(n²) vs FFT');
+console.table(benchmarkCorrelation());
+
+console.log('Pitch detectors');
+console.table(benchmarkDetectors());
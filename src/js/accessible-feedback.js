@@ -0,0 +1,255 @@
+/**
+ * Accessible Feedback Module
+ * Tells the player how a note is tuned without looking at the meter: spoken announcements
+ * through an ARIA live region, an audio cue and vibration
+ *
+ * Announcements are throttled so a screen reader can finish speaking before the next one.
+ * The audio cue ticks faster, and its pitch glides towards a centre pitch, as the note nears
+ * its target; its ticks are reported through ontick so the tuner can ignore them. The tuner
+ * then hears nothing until its next detection window is free of the tick, so the cue never
+ * ticks faster than detectionGap allows.
+ */
+
+import { IN_TUNE_CENTS } from './instrument-tuning.js';
+
+// Minimum time in milliseconds between announcements of a new note or tuning direction
+const MIN_ANNOUNCE_INTERVAL = 1500;
+
+// Time in milliseconds before the deviation of an unchanged note and direction is announced again
+const REPEAT_ANNOUNCE_INTERVAL = 4000;
+
+// Vibration pattern in milliseconds when a note is in tune: buzz, pause, buzz
+const IN_TUNE_VIBRATION = [60, 40, 60];
+
+// Pitch of the audio cue in Hz when the note is in tune
+const CUE_FREQUENCY = 1000;
+
+// Deviation in cents at which the audio cue is slowest and furthest from its centre pitch
+const CUE_RANGE = 50;
+
+// Shortest time in milliseconds between ticks, reached when in tune
+const MIN_TICK_INTERVAL = 250;
+
+// Factor the time between ticks grows by from in tune to CUE_RANGE
+const TICK_SLOWDOWN = 4;
+
+// Length of a tick in seconds, and the cue's output volume
+const TICK_DURATION = 0.025;
+const CUE_VOLUME = 0.3;
+
+/**
+ * Get the direction a note is out of tune in
+ * @param {number} cents - Deviation from the target in cents
+ * @returns {string} - 'flat', 'sharp' or 'in tune'
+ */
+export function tuningDirection(cents) {
+    if (Math.abs(cents) < IN_TUNE_CENTS) {
+        return 'in tune';
+    }
+    return cents < 0 ? 'flat' : 'sharp';
+}
+
+/**
+ * Write a note name the way it is spoken, e.g. 'Bb' as 'B flat'
+ * @param {string} name - Written note name without octave
+ * @returns {string} - The note name for a screen reader
+ */
+export function spokenNoteName(name) {
+    return name.replace(/#$/, ' sharp').replace(/(.)b$/, '$1 flat');
+}
+
+/**
+ * Describe the tuning of a note in words
+ * @param {string} name - Written note name without octave
+ * @param {number} cents - Deviation from the target in cents
+ * @returns {string} - Description such as 'A, 12 cents flat' or 'A, in tune'
+ */
+export function describeTuning(name, cents) {
+    const direction = tuningDirection(cents);
+    if (direction === 'in tune') {
+        return `${spokenNoteName(name)}, in tune`;
+    }
+
+    const deviation = Math.round(Math.abs(cents));
+    return `${spokenNoteName(name)}, ${deviation} ${deviation === 1 ? 'cent' : 'cents'} ${direction}`;
+}
+
+/**
+ * Vibrate to signal that a note is in tune, where the Vibration API is supported
+ * @returns {boolean} - Whether the device accepted the vibration
+ */
+export function vibrateInTune() {
+    return typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function'
+        ? navigator.vibrate(IN_TUNE_VIBRATION)
+        : false;
+}
+
+/**
+ * Announces the tuning of the played note in an ARIA live region
+ */
+export class TuningAnnouncer {
+    /**
+     * @param {HTMLElement} element - Live region the announcements are written to
+     */
+    constructor(element) {
+        this.element = element;
+        this.lastTime = -Infinity; // Time of the last announcement in milliseconds
+        this.reset();
+    }
+
+    /**
+     * Forget the last note, e.g. after it ended, so the next one is announced as a new note
+     */
+    reset() {
+        this.state = null; // Note and direction of the last announcement
+        this.message = ''; // Last announcement
+        this.pending = ''; // Latest description, announced on request
+    }
+
+    /**
+     * Announce a reading if enough time has passed since the last announcement
+     * A new note or direction is announced after MIN_ANNOUNCE_INTERVAL, an unchanged one only
+     * after REPEAT_ANNOUNCE_INTERVAL, so a steady note does not keep the screen reader talking.
+     * @param {string} name - Written note name without octave
+     * @param {number} cents - Deviation from the target in cents
+     * @param {number} time - Time of the reading in milliseconds
+     */
+    update(name, cents, time = performance.now()) {
+        const state = `${name}|${tuningDirection(cents)}`;
+        const interval = state !== this.state ? MIN_ANNOUNCE_INTERVAL : REPEAT_ANNOUNCE_INTERVAL;
+        this.pending = describeTuning(name, cents);
+
+        if (time - this.lastTime >= interval && this.pending !== this.message) {
+            this.state = state;
+            this.announce(this.pending, time);
+        }
+    }
+
+    /**
+     * Announce the latest reading right away, e.g. when the player asks for it
+     * @param {number} time - Current time in milliseconds
+     */
+    repeat(time = performance.now()) {
+        this.announce(this.pending || 'No note', time);
+    }
+
+    /**
+     * Write a message to the live region
+     * @param {string} message - Text to announce
+     * @param {number} time - Current time in milliseconds
+     */
+    announce(message, time = performance.now()) {
+        // Screen readers only speak changed text, so a repeated message gets an invisible difference
+        this.element.textContent = this.element.textContent === message ? `${message}\u00a0` : message;
+        this.message = message;
+        this.lastTime = time;
+    }
+}
+
+/**
+ * Ticking audio cue that guides the player to the target by ear
+ */
+export class TuningCue {
+    /**
+     * @param {AudioContext} audioContext - The audio context to play on
+     * @param {AudioNode} destination - Node the ticks are sent to (default: the speakers)
+     */
+    constructor(audioContext, destination = audioContext.destination) {
+        this.audioContext = audioContext;
+        this.output = audioContext.createGain();
+        this.output.gain.value = CUE_VOLUME;
+        this.output.connect(destination);
+
+        this.cents = null; // Latest deviation in cents, null while no note is played
+        this.timerId = null; // Timer of the next tick while the cue plays
+
+        // Time in milliseconds after a tick until the tuner detects pitches again
+        this.detectionGap = 0;
+
+        // Called for every tick with its audio time and length in seconds
+        this.ontick = null;
+    }
+
+    /**
+     * Whether the cue is ticking
+     * @returns {boolean}
+     */
+    get isPlaying() {
+        return this.timerId !== null;
+    }
+
+    /**
+     * Follow the deviation of the played note, starting the cue when a note starts
+     * @param {number|null} cents - Deviation from the target in cents, or null to stop
+     */
+    update(cents) {
+        if (cents === null) {
+            this.stop();
+            return;
+        }
+
+        this.cents = cents;
+        if (!this.isPlaying) {
+            this.tick();
+        }
+    }
+
+    /**
+     * Stop ticking
+     */
+    stop() {
+        clearTimeout(this.timerId);
+        this.timerId = null;
+        this.cents = null;
+    }
+
+    /**
+     * Get the shortest time between ticks that leaves the tuner a detection after every tick
+     * @returns {number} - Time in milliseconds
+     */
+    getMinTickInterval() {
+        return Math.max(MIN_TICK_INTERVAL, TICK_DURATION * 1000 + this.detectionGap);
+    }
+
+    /**
+     * Play a tick for the latest deviation and schedule the next one
+     */
+    tick() {
+        const cents = Math.max(-CUE_RANGE, Math.min(CUE_RANGE, this.cents));
+        const inTune = Math.abs(cents) < IN_TUNE_CENTS;
+
+        // Flat notes tick below the centre pitch and sharp ones above it, exaggerated to an octave per 100 cents
+        const frequency = inTune ? CUE_FREQUENCY : CUE_FREQUENCY * Math.pow(2, cents / 100);
+        const slowdown = inTune ? 1 : 1 + (Math.abs(cents) / CUE_RANGE) * (TICK_SLOWDOWN - 1);
+        const interval = this.getMinTickInterval() * slowdown;
+
+        this.playTick(frequency);
+        this.timerId = setTimeout(() => this.tick(), interval);
+    }
+
+    /**
+     * Play a single tick now
+     * @param {number} frequency - Pitch of the tick in Hz
+     */
+    playTick(frequency) {
+        const context = this.audioContext;
+        const time = context.currentTime;
+        const source = context.createOscillator();
+        const envelope = context.createGain();
+
+        source.frequency.value = frequency;
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(1, time + 0.002);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + TICK_DURATION);
+
+        source.connect(envelope);
+        envelope.connect(this.output);
+        source.start(time);
+        source.stop(time + TICK_DURATION);
+        source.onended = () => envelope.disconnect();
+
+        if (this.ontick) {
+            this.ontick({ time, duration: TICK_DURATION });
+        }
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * Analysis Window Module
+ * Chooses analysis window sizes and detection ranges for the pitch detectors
+ */
+
+import { DEFAULT_MIN_FREQUENCY, DEFAULT_MAX_FREQUENCY } from './pitch-detection.js';
+import { nextPowerOfTwo } from './fft.js';
+
+// Smallest and largest analysis windows in samples
+export const MIN_WINDOW_SIZE = 512;
+export const MAX_WINDOW_SIZE = 16384;
+
+// Number of periods of the lowest detectable frequency that must fit into the window
+// (YIN compares the first half of the window with the rest, so it needs at least four)
+const PERIODS_PER_WINDOW = 4;
+
+// Margin around an instrument's strings, so detuned strings are still detected (about 4 semitones)
+const RANGE_MARGIN = 1.25;
+
+/**
+ * Get the analysis window size needed to detect a frequency
+ * @param {number} minFrequency - Lowest frequency that must be detectable in Hz
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @returns {number} - Window size in samples, a power of two
+ */
+export function getWindowSizeForFrequency(minFrequency, sampleRate) {
+    const size = nextPowerOfTwo(Math.ceil(PERIODS_PER_WINDOW * sampleRate / minFrequency));
+    return Math.max(MIN_WINDOW_SIZE, Math.min(MAX_WINDOW_SIZE, size));
+}
+
+/**
+ * Get the detection range for an instrument from its lowest and highest strings
+ * @param {number[]} stringFrequencies - Target frequencies of the strings in Hz, empty in chromatic mode
+ * @returns {Object} - Object containing minFrequency and maxFrequency in Hz
+ */
+export function getDetectionRange(stringFrequencies) {
+    if (!stringFrequencies || stringFrequencies.length === 0) {
+        return { minFrequency: DEFAULT_MIN_FREQUENCY, maxFrequency: DEFAULT_MAX_FREQUENCY };
+    }
+
+    return {
+        minFrequency: Math.min(...stringFrequencies) / RANGE_MARGIN,
+        maxFrequency: Math.max(...stringFrequencies) * RANGE_MARGIN
+    };
+}
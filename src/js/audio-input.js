@@ -0,0 +1,147 @@
+/**
+ * Audio Input Module
+ * Opens the microphone with the chosen device and processing, measures the input level and
+ * conditions the signal before pitch detection
+ *
+ * Browsers apply echo cancellation, noise suppression and automatic gain control to
+ * microphone input by default. They are meant for speech and distort sustained tones,
+ * so the tuner can ask for the raw signal instead.
+ */
+
+// Sample magnitude at which the input counts as clipping
+const CLIP_LEVEL = 0.99;
+
+// Lowest level shown by the level meter in dBFS
+export const MIN_LEVEL_DB = -60;
+
+// Margin in dB between the measured noise floor and the noise gate
+const NOISE_GATE_MARGIN = 6;
+
+// Share of the calibration readings that may be louder than the noise floor, e.g. a single click
+const NOISE_OUTLIER_SHARE = 0.05;
+
+// The band-pass filter passes this many harmonics of the highest note of the range
+const BAND_PASS_HARMONICS = 4;
+
+// Margin below the lowest note of the range before the band-pass filter starts to cut
+const BAND_PASS_LOW_MARGIN = 0.7;
+
+/**
+ * List the available audio input devices
+ * Device names are only revealed once the user has granted microphone access.
+ * @returns {Promise<Object[]>} - Devices, each with deviceId and label
+ */
+export async function listInputDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+        return [];
+    }
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+
+    return devices
+        .filter(device => device.kind === 'audioinput')
+        .map((device, index) => ({
+            deviceId: device.deviceId,
+            label: device.label || `Microphone ${index + 1}`
+        }));
+}
+
+/**
+ * Open the microphone
+ * @param {Object} options - Object with deviceId (empty for the default device) and raw (disable
+ *                           echo cancellation, noise suppression and automatic gain control)
+ * @returns {Promise<MediaStream>} - The microphone stream
+ */
+export function openInputStream({ deviceId = '', raw = true } = {}) {
+    const audio = {
+        echoCancellation: !raw,
+        noiseSuppression: !raw,
+        autoGainControl: !raw
+    };
+
+    if (deviceId) {
+        audio.deviceId = { exact: deviceId };
+    }
+
+    return navigator.mediaDevices.getUserMedia({ audio });
+}
+
+/**
+ * Stop all tracks of a stream, releasing the microphone
+ * @param {MediaStream} stream - The stream to close
+ */
+export function closeInputStream(stream) {
+    if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+    }
+}
+
+/**
+ * Measure the level of an audio buffer
+ * @param {Float32Array} buffer - Audio data buffer
+ * @returns {Object} - Object containing rms and peak levels in dBFS (at least MIN_LEVEL_DB) and
+ *                     whether the buffer clipped
+ */
+export function measureLevel(buffer) {
+    let sumOfSquares = 0;
+    let peak = 0;
+
+    for (let i = 0; i < buffer.length; i++) {
+        sumOfSquares += buffer[i] * buffer[i];
+        peak = Math.max(peak, Math.abs(buffer[i]));
+    }
+
+    const toDecibels = value => Math.max(MIN_LEVEL_DB, 20 * Math.log10(value || 1e-10));
+
+    return {
+        rms: toDecibels(Math.sqrt(sumOfSquares / buffer.length)),
+        peak: toDecibels(peak),
+        clipped: peak >= CLIP_LEVEL
+    };
+}
+
+/**
+ * Convert a level in dBFS into the mean signal energy used as the detectors' silence threshold
+ * @param {number} decibels - RMS level in dBFS
+ * @returns {number} - Mean squared amplitude
+ */
+export function decibelsToEnergy(decibels) {
+    return Math.pow(10, decibels / 10);
+}
+
+/**
+ * Derive a noise gate from input levels measured while the room was quiet
+ * @param {number[]} levels - RMS levels in dBFS measured during calibration
+ * @returns {number} - Gate level in dBFS, a safe margin above the noise floor
+ */
+export function calibrateNoiseGate(levels) {
+    if (levels.length === 0) {
+        throw new Error('No input was measured');
+    }
+
+    const sorted = levels.slice().sort((a, b) => a - b);
+    const noiseFloor = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * (1 - NOISE_OUTLIER_SHARE)))];
+
+    return noiseFloor + NOISE_GATE_MARGIN;
+}
+
+/**
+ * Create a band-pass filter for a detection range from Web Audio biquads
+ * Two high-pass and two low-pass stages give a steep 24 dB per octave slope on each side.
+ * Harmonics of the highest note are kept, since several detectors rely on them.
+ * @param {BaseAudioContext} audioContext - The audio context
+ * @param {Object} range - Object with minFrequency and maxFrequency in Hz
+ * @returns {BiquadFilterNode[]} - Filters to be connected in series
+ */
+export function createBandPassFilters(audioContext, { minFrequency, maxFrequency }) {
+    const lowCutoff = minFrequency * BAND_PASS_LOW_MARGIN;
+    const highCutoff = Math.min(maxFrequency * BAND_PASS_HARMONICS, audioContext.sampleRate * 0.45);
+
+    return ['highpass', 'highpass', 'lowpass', 'lowpass'].map(type => {
+        const filter = audioContext.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = type === 'highpass' ? lowCutoff : highCutoff;
+        filter.Q.value = Math.SQRT1_2;
+        return filter;
+    });
+}
@@ -0,0 +1,204 @@
+/**
+ * Custom Tunings Module
+ * Stores user-defined tunings locally and imports/exports them as JSON
+ */
+
+import { parseNoteName } from './note-recognition.js';
+import { TUNINGS } from './tunings.js';
+
+// localStorage key for the saved custom tunings
+const STORAGE_KEY = 'web-tuner-custom-tunings';
+
+// Version of the JSON export format
+const EXPORT_VERSION = 1;
+
+// Longest part of a tuning id taken from its name
+const MAX_ID_NAME_LENGTH = 32;
+
+/**
+ * Derive the id of a tuning from its instrument and name
+ * The same tuning gets the same id every time, so importing a file again replaces its tunings.
+ * A hash of the exact name keeps names that only differ in punctuation or accents apart.
+ * @param {string} instrument - The instrument name
+ * @param {string} name - The tuning name
+ * @returns {string} - Id such as 'custom-guitar-open-d-1x2y3z'
+ */
+function createTuningId(instrument, name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, MAX_ID_NAME_LENGTH);
+
+    // 32-bit FNV-1a hash
+    let hash = 0x811c9dc5;
+    for (const character of `${instrument}\n${name}`) {
+        hash = Math.imul(hash ^ character.codePointAt(0), 0x01000193) >>> 0;
+    }
+
+    return ['custom', instrument, slug, hash.toString(36)].filter(Boolean).join('-');
+}
+
+/**
+ * Check whether two tunings are the same tuning, by id or by instrument and name
+ * @param {Object} a - A tuning
+ * @param {Object} b - Another tuning
+ * @returns {boolean}
+ */
+function isSameTuning(a, b) {
+    return a.id === b.id || (a.instrument === b.instrument && a.name === b.name);
+}
+
+/**
+ * Validate and normalize a tuning definition
+ * @param {Object} data - Tuning data with name, instrument and notes
+ * @returns {Object} - Normalized tuning
+ * @throws {Error} - If the tuning definition is invalid
+ */
+export function validateTuning(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Tuning must be an object');
+    }
+
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+        throw new Error('Tuning must have a name');
+    }
+
+    if (typeof data.instrument !== 'string' || !data.instrument) {
+        throw new Error(`Tuning "${name}" must specify an instrument`);
+    }
+
+    // A tuning of an instrument the tuner does not know could never be selected
+    if (!Object.prototype.hasOwnProperty.call(TUNINGS, data.instrument)) {
+        throw new Error(`Tuning "${name}" is for an unknown instrument: ${data.instrument}`);
+    }
+
+    if (!Array.isArray(data.notes) || data.notes.length === 0) {
+        throw new Error(`Tuning "${name}" must have at least one string`);
+    }
+
+    const notes = data.notes.map(note => String(note).trim());
+    const invalidNote = notes.find(note => !parseNoteName(note));
+    if (invalidNote !== undefined) {
+        throw new Error(`Invalid note name in tuning "${name}": ${invalidNote}`);
+    }
+
+    return {
+        id: typeof data.id === 'string' && data.id ? data.id : createTuningId(data.instrument, name),
+        name,
+        instrument: data.instrument,
+        notes,
+        custom: true
+    };
+}
+
+/**
+ * Load all custom tunings from local storage
+ * Invalid entries are skipped.
+ * @returns {Object[]} - Array of custom tunings
+ */
+export function loadCustomTunings() {
+    let stored;
+
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.error('Could not read custom tunings:', error);
+        return [];
+    }
+
+    if (!Array.isArray(stored)) {
+        return [];
+    }
+
+    return stored.reduce((tunings, data) => {
+        try {
+            tunings.push(validateTuning(data));
+        } catch (error) {
+            console.warn('Skipping invalid custom tuning:', error.message);
+        }
+        return tunings;
+    }, []);
+}
+
+/**
+ * Write custom tunings to local storage
+ * @param {Object[]} tunings - Array of custom tunings
+ */
+function storeCustomTunings(tunings) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(tunings));
+}
+
+/**
+ * Get the custom tunings of an instrument
+ * @param {string} instrument - The instrument name
+ * @returns {Object[]} - Array of custom tunings for the instrument
+ */
+export function getCustomTunings(instrument) {
+    return loadCustomTunings().filter(tuning => tuning.instrument === instrument);
+}
+
+/**
+ * Save a custom tuning, replacing any existing tuning with the same id, or with the same instrument and name
+ * @param {Object} data - Tuning data with name, instrument and notes
+ * @returns {Object} - The saved tuning
+ * @throws {Error} - If the tuning definition is invalid
+ */
+export function saveCustomTuning(data) {
+    const tuning = validateTuning(data);
+    const tunings = loadCustomTunings().filter(existing => !isSameTuning(existing, tuning));
+
+    tunings.push(tuning);
+    storeCustomTunings(tunings);
+
+    return tuning;
+}
+
+/**
+ * Delete a custom tuning
+ * @param {string} tuningId - Id of the tuning to delete
+ */
+export function deleteCustomTuning(tuningId) {
+    storeCustomTunings(loadCustomTunings().filter(tuning => tuning.id !== tuningId));
+}
+
+/**
+ * Export all custom tunings as a JSON string
+ * @returns {string} - JSON document containing the custom tunings
+ */
+export function exportCustomTunings() {
+    const tunings = loadCustomTunings().map(({ id, name, instrument, notes }) => ({ id, name, instrument, notes }));
+
+    return JSON.stringify({ version: EXPORT_VERSION, tunings }, null, 2);
+}
+
+/**
+ * Import custom tunings from a JSON string
+ * Accepts either an exported document or a plain array of tunings.
+ * Imported tunings replace existing tunings with the same id, or with the same instrument
+ * and name, so importing a file again does not duplicate its tunings.
+ * @param {string} json - JSON document containing tunings
+ * @returns {Object[]} - The imported tunings
+ * @throws {Error} - If the document or any tuning in it is invalid
+ */
+export function importCustomTunings(json) {
+    let data;
+
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error('Tuning file is not valid JSON');
+    }
+
+    const entries = Array.isArray(data) ? data : data && data.tunings;
+    if (!Array.isArray(entries)) {
+        throw new Error('Tuning file does not contain a list of tunings');
+    }
+
+    // Validate everything before storing anything; a tuning listed twice is imported once, as listed last
+    const imported = entries
+        .map(validateTuning)
+        .filter((tuning, index, all) => !all.slice(index + 1).some(later => isSameTuning(tuning, later)));
+    const tunings = loadCustomTunings().filter(tuning => !imported.some(importedTuning => isSameTuning(tuning, importedTuning)));
+
+    storeCustomTunings(tunings.concat(imported));
+
+    return imported;
+}
@@ -0,0 +1,159 @@
+/**
+ * FFT Module
+ * Radix-2 fast Fourier transform used by the spectral pitch detectors and
+ * for computing correlation functions in O(n log n) (Wiener–Khinchin theorem)
+ */
+
+/**
+ * Get the smallest power of two greater than or equal to a number
+ * @param {number} n - The number
+ * @returns {number} - The next power of two
+ */
+export function nextPowerOfTwo(n) {
+    let size = 1;
+    while (size < n) {
+        size *= 2;
+    }
+    return size;
+}
+
+/**
+ * Compute the FFT of complex data in place
+ * @param {Float64Array} real - Real parts, length must be a power of two
+ * @param {Float64Array} imag - Imaginary parts, same length as real
+ * @param {boolean} inverse - Compute the inverse transform (default: false)
+ */
+export function fft(real, imag, inverse = false) {
+    const n = real.length;
+
+    if (n & (n - 1)) {
+        throw new Error(`FFT size must be a power of two, got ${n}`);
+    }
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+
+    // Butterfly passes
+    const sign = inverse ? 1 : -1;
+
+    for (let size = 2; size <= n; size *= 2) {
+        const halfSize = size / 2;
+        const angle = sign * 2 * Math.PI / size;
+        const stepReal = Math.cos(angle);
+        const stepImag = Math.sin(angle);
+
+        for (let start = 0; start < n; start += size) {
+            let twiddleReal = 1;
+            let twiddleImag = 0;
+
+            for (let k = 0; k < halfSize; k++) {
+                const even = start + k;
+                const odd = even + halfSize;
+
+                const oddReal = real[odd] * twiddleReal - imag[odd] * twiddleImag;
+                const oddImag = real[odd] * twiddleImag + imag[odd] * twiddleReal;
+
+                real[odd] = real[even] - oddReal;
+                imag[odd] = imag[even] - oddImag;
+                real[even] += oddReal;
+                imag[even] += oddImag;
+
+                const nextReal = twiddleReal * stepReal - twiddleImag * stepImag;
+                twiddleImag = twiddleReal * stepImag + twiddleImag * stepReal;
+                twiddleReal = nextReal;
+            }
+        }
+    }
+
+    // Scale the inverse transform
+    if (inverse) {
+        for (let i = 0; i < n; i++) {
+            real[i] /= n;
+            imag[i] /= n;
+        }
+    }
+}
+
+/**
+ * Compute the magnitude spectrum of a real signal
+ * The signal is Hann-windowed and zero-padded to the requested size.
+ * @param {Float32Array} buffer - Audio data buffer
+ * @param {number} size - FFT size, a power of two not smaller than the buffer
+ * @returns {Float64Array} - Magnitudes of the first size / 2 bins
+ */
+export function magnitudeSpectrum(buffer, size) {
+    const real = new Float64Array(size);
+    const imag = new Float64Array(size);
+    const length = buffer.length;
+
+    for (let i = 0; i < length; i++) {
+        const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (length - 1));
+        real[i] = buffer[i] * window;
+    }
+
+    fft(real, imag);
+
+    const magnitudes = new Float64Array(size / 2);
+    for (let i = 0; i < magnitudes.length; i++) {
+        magnitudes[i] = Math.hypot(real[i], imag[i]);
+    }
+
+    return magnitudes;
+}
+
+/**
+ * Compute the linear cross-correlation of two real signals for non-negative lags
+ * result[lag] = sum over i of template[i] * signal[i + lag], with samples past the end treated as zero
+ * @param {Float32Array} template - The shorter signal that is shifted along the other
+ * @param {Float32Array} signal - The signal the template is compared against
+ * @param {number} maxLag - Largest lag to compute
+ * @returns {Float64Array} - Correlation values for lags 0 to maxLag
+ */
+export function crossCorrelation(template, signal, maxLag) {
+    // Pad far enough that the circular correlation never wraps around for the requested lags
+    const size = nextPowerOfTwo(Math.max(signal.length, template.length + maxLag));
+
+    const templateReal = new Float64Array(size);
+    const templateImag = new Float64Array(size);
+    const signalReal = new Float64Array(size);
+    const signalImag = new Float64Array(size);
+
+    templateReal.set(template);
+    signalReal.set(signal);
+
+    fft(templateReal, templateImag);
+    fft(signalReal, signalImag);
+
+    // Multiply the signal spectrum by the conjugate of the template spectrum
+    for (let i = 0; i < size; i++) {
+        const real = templateReal[i] * signalReal[i] + templateImag[i] * signalImag[i];
+        const imag = templateReal[i] * signalImag[i] - templateImag[i] * signalReal[i];
+        signalReal[i] = real;
+        signalImag[i] = imag;
+    }
+
+    fft(signalReal, signalImag, true);
+
+    return signalReal.slice(0, maxLag + 1);
+}
+
+/**
+ * Compute the linear autocorrelation of a real signal for non-negative lags
+ * @param {Float32Array} buffer - Audio data buffer
+ * @param {number} maxLag - Largest lag to compute
+ * @returns {Float64Array} - Autocorrelation values for lags 0 to maxLag
+ */
+export function autocorrelation(buffer, maxLag) {
+    return crossCorrelation(buffer, buffer, maxLag);
+}
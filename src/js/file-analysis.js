@@ -0,0 +1,234 @@
+/**
+ * File Analysis Module
+ * Runs the pitch detectors and note recognition over a recorded audio file
+ *
+ * A recording is decoded, mixed to mono and cut into overlapping analysis windows,
+ * exactly like the live input. The result is a time-stamped pitch track that can be
+ * summarized per note and exported as CSV or JSON.
+ */
+
+import { PITCH_DETECTORS, getPitchDetector } from './pitch-detection.js';
+import { getDetectionRange, getWindowSizeForFrequency } from './analysis-window.js';
+import { noteFromFrequency, frequencyFromNote } from './note-recognition.js';
+import { centsBetween } from './instrument-tuning.js';
+import { EQUAL_TEMPERAMENT } from './temperaments.js';
+
+// File types that can be analyzed
+export const SUPPORTED_FILE_TYPES = ['.wav', '.mp3', '.ogg', '.flac'];
+
+// Names of the supported file types for messages, e.g. 'WAV, MP3, OGG or FLAC'
+const FILE_TYPE_NAMES = SUPPORTED_FILE_TYPES.map(type => type.slice(1).toUpperCase())
+    .join(', ')
+    .replace(/, ([^,]+)$/, ' or $1');
+
+// Default number of samples between analysis windows
+const DEFAULT_HOP_SIZE = 512;
+
+// Number of windows analyzed before control is handed back to the browser
+const FRAMES_PER_CHUNK = 200;
+
+/**
+ * Decode an audio file into a mono signal
+ * @param {File|Blob} file - The audio file
+ * @param {BaseAudioContext} audioContext - Context used for decoding; the signal is resampled to its sample rate
+ * @returns {Promise<Object>} - Object containing the samples, sampleRate and duration in seconds
+ */
+export async function decodeAudioFile(file, audioContext) {
+    let audioBuffer;
+    try {
+        audioBuffer = await audioContext.decodeAudioData(await file.arrayBuffer());
+    } catch (error) {
+        throw new Error(`Could not decode "${file.name}", use a ${FILE_TYPE_NAMES} file`);
+    }
+
+    return {
+        samples: mixToMono(audioBuffer),
+        sampleRate: audioBuffer.sampleRate,
+        duration: audioBuffer.duration
+    };
+}
+
+/**
+ * Mix all channels of an audio buffer into one
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @returns {Float32Array} - The average of all channels
+ */
+export function mixToMono(audioBuffer) {
+    const mono = new Float32Array(audioBuffer.length);
+
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        const data = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+            mono[i] += data[i] / audioBuffer.numberOfChannels;
+        }
+    }
+
+    return mono;
+}
+
+/**
+ * Detect the pitch of every analysis window of a signal
+ * @param {Float32Array} samples - Mono audio signal
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options - Object with detector id, windowSize, hopSize, minFrequency, maxFrequency,
+ *                           silenceThreshold, clarityThreshold, referenceFrequency and temperament
+ * @param {Function} onProgress - Called with the fraction of the signal analyzed so far
+ * @returns {Promise<Object[]>} - One frame per window, each with time (center of the window in seconds),
+ *                                frequency (-1 if no pitch), confidence, note, octave and cents
+ *                                (null if no pitch)
+ */
+export async function analyzePitchTrack(samples, sampleRate, options = {}, onProgress = null) {
+    const defaultRange = getDetectionRange([]);
+    const {
+        detector = 'mpm',
+        minFrequency = defaultRange.minFrequency,
+        maxFrequency = defaultRange.maxFrequency,
+        silenceThreshold,
+        clarityThreshold,
+        referenceFrequency = 440,
+        temperament = EQUAL_TEMPERAMENT
+    } = options;
+    const windowSize = options.windowSize || getWindowSizeForFrequency(minFrequency, sampleRate);
+    const hopSize = Math.min(options.hopSize || DEFAULT_HOP_SIZE, windowSize);
+    const { detect } = getPitchDetector(detector);
+
+    const track = [];
+    const frameCount = samples.length >= windowSize ? Math.floor((samples.length - windowSize) / hopSize) + 1 : 0;
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        const start = frame * hopSize;
+        const { frequency, confidence } = detect(samples.subarray(start, start + windowSize), sampleRate, {
+            minFrequency,
+            maxFrequency,
+            silenceThreshold,
+            clarityThreshold
+        });
+        const entry = { time: (start + windowSize / 2) / sampleRate, frequency, confidence, note: null, octave: null, cents: null };
+
+        if (frequency !== -1) {
+            const { note, octave } = noteFromFrequency(frequency, referenceFrequency, temperament);
+            entry.note = note;
+            entry.octave = octave;
+            entry.cents = centsBetween(frequency, frequencyFromNote(note, octave, referenceFrequency, temperament));
+        }
+        track.push(entry);
+
+        // Keep the page responsive while long recordings are analyzed
+        if ((frame + 1) % FRAMES_PER_CHUNK === 0) {
+            if (onProgress) {
+                onProgress((frame + 1) / frameCount);
+            }
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    if (onProgress) {
+        onProgress(1);
+    }
+
+    return track;
+}
+
+/**
+ * Summarize how each note was played in a pitch track
+ * @param {Object[]} track - Frames returned by analyzePitchTrack()
+ * @param {number} frameDuration - Time in seconds between frames
+ * @returns {Object[]} - One entry per note in pitch order, each with note, octave, duration in seconds,
+ *                       frames, meanFrequency, meanCents, standardDeviation, minCents and maxCents
+ */
+export function summarizeNotes(track, frameDuration) {
+    const groups = new Map();
+
+    track.filter(frame => frame.frequency !== -1).forEach(frame => {
+        const key = `${frame.note}${frame.octave}`;
+        if (!groups.has(key)) {
+            groups.set(key, { note: frame.note, octave: frame.octave, frames: [] });
+        }
+        groups.get(key).frames.push(frame);
+    });
+
+    return Array.from(groups.values())
+        .map(({ note, octave, frames }) => {
+            const cents = frames.map(frame => frame.cents);
+            const meanCents = cents.reduce((sum, value) => sum + value, 0) / cents.length;
+            const variance = cents.reduce((sum, value) => sum + (value - meanCents) ** 2, 0) / cents.length;
+
+            return {
+                note,
+                octave,
+                duration: frames.length * frameDuration,
+                frames: frames.length,
+                meanFrequency: frames.reduce((sum, frame) => sum + frame.frequency, 0) / frames.length,
+                meanCents,
+                standardDeviation: Math.sqrt(variance),
+                minCents: Math.min(...cents),
+                maxCents: Math.max(...cents)
+            };
+        })
+        .sort((a, b) => a.meanFrequency - b.meanFrequency);
+}
+
+/**
+ * Run every pitch detector over the same signal
+ * @param {Float32Array} samples - Mono audio signal
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options - Options for analyzePitchTrack(), except the detector
+ * @param {Function} onProgress - Called with the fraction of all detectors' work done so far
+ * @returns {Promise<Object[]>} - One result per detector, each with id, name, track, voicedRatio,
+ *                                meanConfidence, meanAbsoluteCents and processing time in milliseconds
+ */
+export async function compareDetectors(samples, sampleRate, options = {}, onProgress = null) {
+    const ids = Object.keys(PITCH_DETECTORS);
+    const results = [];
+
+    for (const [index, id] of ids.entries()) {
+        const startTime = performance.now();
+        // A clarity threshold only has a meaning for the detector it was chosen for
+        const clarityThreshold = id === options.detector ? options.clarityThreshold : undefined;
+        const track = await analyzePitchTrack(samples, sampleRate, { ...options, detector: id, clarityThreshold }, fraction => {
+            if (onProgress) {
+                onProgress((index + fraction) / ids.length);
+            }
+        });
+        const processingTime = performance.now() - startTime;
+        const voiced = track.filter(frame => frame.frequency !== -1);
+
+        results.push({
+            id,
+            name: PITCH_DETECTORS[id].name,
+            track,
+            voicedRatio: track.length > 0 ? voiced.length / track.length : 0,
+            meanConfidence: track.length > 0 ? track.reduce((sum, frame) => sum + frame.confidence, 0) / track.length : 0,
+            meanAbsoluteCents: voiced.length > 0 ? voiced.reduce((sum, frame) => sum + Math.abs(frame.cents), 0) / voiced.length : null,
+            processingTime
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Export a pitch track as CSV
+ * @param {Object[]} track - Frames returned by analyzePitchTrack()
+ * @returns {string} - CSV text with a header row and one row per frame; unvoiced frames have empty pitch columns
+ */
+export function pitchTrackToCsv(track) {
+    const rows = track.map(frame => [
+        frame.time.toFixed(4),
+        frame.frequency !== -1 ? frame.frequency.toFixed(3) : '',
+        frame.confidence.toFixed(3),
+        frame.note !== null ? `${frame.note}${frame.octave}` : '',
+        frame.cents !== null ? frame.cents.toFixed(2) : ''
+    ].join(','));
+
+    return ['time,frequency,confidence,note,cents', ...rows].join('\n');
+}
+
+/**
+ * Export an analysis as JSON
+ * @param {Object} analysis - Object with file name, settings, track and note statistics
+ * @returns {string} - Pretty-printed JSON
+ */
+export function analysisToJson(analysis) {
+    return JSON.stringify(analysis, null, 2);
+}
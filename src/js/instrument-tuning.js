@@ -0,0 +1,79 @@
+/**
+ * Instrument Tuning Module
+ * Matches detected pitches to the strings of an instrument and tracks which strings are in tune
+ */
+
+// Maximum deviation in cents for a string to count as in tune
+export const IN_TUNE_CENTS = 5;
+
+// Time in milliseconds a string must stay within tolerance to be marked as tuned
+export const TUNED_HOLD_TIME = 1000;
+
+/**
+ * Calculate the deviation in cents between a frequency and a target frequency
+ * @param {number} frequency - The measured frequency in Hz
+ * @param {number} targetFrequency - The target frequency in Hz
+ * @returns {number} - Deviation in cents (positive when sharp, negative when flat)
+ */
+export function centsBetween(frequency, targetFrequency) {
+    return 1200 * Math.log2(frequency / targetFrequency);
+}
+
+/**
+ * Find the string whose target frequency is closest to the detected frequency
+ * @param {number} frequency - The detected frequency in Hz
+ * @param {number[]} stringFrequencies - Target frequencies of the strings in Hz
+ * @returns {number} - Index of the closest string, or -1 if there are no strings
+ */
+export function findClosestString(frequency, stringFrequencies) {
+    let closestIndex = -1;
+    let closestDistance = Infinity;
+
+    for (let i = 0; i < stringFrequencies.length; i++) {
+        // Compare in cents so that distances are musically meaningful across the range
+        const distance = Math.abs(centsBetween(frequency, stringFrequencies[i]));
+
+        if (distance < closestDistance) {
+            closestDistance = distance;
+            closestIndex = i;
+        }
+    }
+
+    return closestIndex;
+}
+
+/**
+ * Create the initial tuning state for every string of an instrument
+ * @param {number} stringCount - Number of strings
+ * @returns {Object[]} - Array of string states
+ */
+export function createStringStates(stringCount) {
+    return Array.from({ length: stringCount }, () => ({
+        tuned: false,
+        inToleranceSince: null
+    }));
+}
+
+/**
+ * Update a string's tuning state with a new cents reading
+ * A string is marked as tuned once it has stayed within tolerance for TUNED_HOLD_TIME.
+ * @param {Object} state - The string state created by createStringStates()
+ * @param {number} cents - Deviation from the string's target in cents
+ * @param {number} timestamp - Time of the reading in milliseconds
+ * @returns {boolean} - Whether the string is tuned
+ */
+export function updateStringState(state, cents, timestamp) {
+    if (Math.abs(cents) < IN_TUNE_CENTS) {
+        if (state.inToleranceSince === null) {
+            state.inToleranceSince = timestamp;
+        }
+
+        if (timestamp - state.inToleranceSince >= TUNED_HOLD_TIME) {
+            state.tuned = true;
+        }
+    } else {
+        state.inToleranceSince = null;
+    }
+
+    return state.tuned;
+}
@@ -4,59 +4,1792 @@
  */
 
 // Import dependencies
-import { setupVisualization, changeVisualization, setAnalyzer } from './visualization.js';
-import { detectPitch } from './pitch-detection.js';
-import { noteFromFrequency } from './note-recognition.js';
+import {
+    setupVisualization,
+    changeVisualization,
+    setAnalyzer,
+    setStrobeTarget,
+    setStrobeHarmonics,
+    addPitchReading,
+    setCurrentPitch,
+    setNoteAxis,
+    setPitchHistoryFrozen,
+    addMetronomeClick,
+    clearMetronomeClicks,
+    setVisualizationPaused,
+    setColorPalette
+} from './visualization.js';
+import { PITCH_DETECTORS, DEFAULT_CLARITY_THRESHOLDS } from './pitch-detection.js';
+import { getDetectionRange } from './analysis-window.js';
+import { NOTE_NAMES, frequencyFromNote, getInstrumentReferences, getTuningReferences, parseNoteName } from './note-recognition.js';
+import { TunerEngine } from './tuner-engine.js';
+import { getBuiltInTunings } from './tunings.js';
+import { getCustomTunings, saveCustomTuning, deleteCustomTuning, exportCustomTunings, importCustomTunings } from './custom-tunings.js';
+import { IN_TUNE_CENTS, centsBetween } from './instrument-tuning.js';
+import { TEMPERAMENTS, EQUAL_TEMPERAMENT, createTemperament, loadCustomTemperaments, saveCustomTemperament, deleteCustomTemperament } from './temperaments.js';
+import { parseScl, parseKbm, temperamentFromScala } from './scala.js';
+import { DEFAULT_NOTATION, createNotation, formatNote, formatNoteName } from './notation.js';
+import {
+    computePartialSpectrum,
+    createInharmonicityCurve,
+    createStretchCurve,
+    findPartial,
+    getTuningPartial,
+    loadInharmonicityMeasurements,
+    measureInharmonicity,
+    partialFrequency,
+    saveInharmonicityMeasurements
+} from './piano-tuning.js';
+import { ToneGenerator } from './tone-generator.js';
+import { Metronome, getDefaultAccents } from './metronome.js';
+import { keepScreenOn, allowScreenOff, restoreWakeLock } from './wake-lock.js';
+import { TuningAnnouncer, TuningCue, tuningDirection, describeTuning, vibrateInTune } from './accessible-feedback.js';
+import { SUPPORTED_FILE_TYPES, decodeAudioFile, analyzePitchTrack, summarizeNotes, compareDetectors, pitchTrackToCsv, analysisToJson } from './file-analysis.js';
+import { MIN_LEVEL_DB, listInputDevices, decibelsToEnergy, calibrateNoiseGate } from './audio-input.js';
+import { getDefaultSettings, validateSetting, loadSettings, saveSettings, settingsFromQuery, settingsToQuery } from './settings.js';
+import { SessionRecorder, createSessionReport, compareWithEarlierSessions, saveSession, loadSessions, deleteSession, exportSessions } from './practice-sessions.js';
+
+// Confidence below which a reading is shown as weak
+const WEAK_CONFIDENCE = 0.6;
+
+// Limits for a manually entered detection range in Hz
+const MIN_DETECTABLE_FREQUENCY = 20;
+const MAX_DETECTABLE_FREQUENCY = 5000;
+
+// Names of the stabilizer settings in saved settings and links, by the data-setting of their sliders
+const STABILIZER_SETTING_NAMES = {
+    medianSize: 'median',
+    smoothing: 'smoothing',
+    hysteresisCents: 'hysteresis',
+    octaveJumpFrames: 'octavejump',
+    attackTime: 'attack',
+    decayConfidence: 'decay'
+};
+
+// Minimum time in milliseconds between spectral analyses of piano partials
+const PARTIAL_ANALYSIS_INTERVAL = 100;
+
+// Confidence needed before a piano note is used to measure inharmonicity
+const MEASURE_CONFIDENCE = 0.8;
+
+// Time in milliseconds a string's reading stays on the overview after it was last heard
+const STRUM_HOLD_TIME = 3000;
+
+// Deviation in cents up to which a note or string is shown as close to its target
+const CLOSE_CENTS = 15;
+
+// Deviation in cents at the ends of the overview meters
+const STRUM_METER_RANGE = 50;
+
+// Time in milliseconds the clipping indicator stays lit after the input clipped
+const CLIP_HOLD_TIME = 1000;
+
+// Time in milliseconds the ambient noise is measured when calibrating the noise gate
+const NOISE_CALIBRATION_TIME = 2000;
+
+// Line colors of the detectors when their pitch tracks are compared
+const DETECTOR_COLORS = ['#4a6eb5', '#ff7b25', '#2ecc71', '#9b59b6'];
 
 // Global variables
-let audioContext;
-let analyzer;
-let microphone;
-let isListening = false;
-let animationFrameId;
+const tuner = new TunerEngine(); // Detects pitches and matches them to notes, strings or piano keys
+let toneGenerator; // Plays reference tones and drones on the audio context
+let toneQueue = []; // Tones still to be played, each with frequency and drone flag
+let metronome; // Plays metronome clicks on the same audio context
+let beatAccents = getDefaultAccents('4/4'); // Whether each beat of the metronome's bar is accented
+let tuningCue; // Ticks that guide the player to the target by ear, created when first enabled
+let levelFrameId; // Animation frame that updates the input level meter
+let clipUntil = 0; // Time until which the clipping indicator stays lit
+let noiseCalibration = null; // Input levels collected while the noise floor is calibrated
 let referenceFrequency = 440; // A4 reference frequency in Hz
+let temperament = EQUAL_TEMPERAMENT; // Temperament notes and string targets are tuned in
+let notation = DEFAULT_NOTATION; // Transposition and spelling of every displayed note name
+const sessionRecorder = new SessionRecorder(); // Logs the displayed notes while a practice session is recorded
+let practiceSessions = []; // Stored practice sessions, oldest first
+let selectedTuning = null; // Tuning of the selected instrument, null in chromatic mode
+let instrumentReferences = null; // String targets of the selected tuning, null in chromatic mode
+let activeStringIndex = null; // String currently being played
+let pianoMode = false; // Tune piano keys against a stretched curve instead of strings or semitones
+let inharmonicityMeasurements = loadInharmonicityMeasurements(); // Measured inharmonicity by piano key
+let stretchCurve = null; // Stretched target of every piano key
+let activeKey = null; // Piano key currently being played
+let partialReading = null; // Last measured frequency of the partial being tuned
+let lastPartialAnalysis = 0; // Time of the last spectral analysis of piano partials
+let strumMode = false; // Measure every string at once from a strum
+let strumReadings = []; // Last reading of each string in strum mode, with cents and time
+let fileAnalysis = null; // Pitch track and note statistics of the last analyzed recording
 
 // DOM elements
 const startButton = document.getElementById('start-btn');
+const settingsNotice = document.querySelector('.settings-notice');
+const shareSettingsButton = document.getElementById('share-settings-btn');
+const controlsContainer = document.querySelector('.controls');
+const inputDeviceSelect = document.getElementById('input-device');
+const rawAudioCheckbox = document.getElementById('raw-audio');
+const inputGainInput = document.getElementById('input-gain');
+const inputGainOutput = document.querySelector('output[for="input-gain"]');
+const levelMeter = document.querySelector('.level-meter');
+const levelBar = document.querySelector('.level-bar');
+const clipIndicator = document.querySelector('.clip-indicator');
 const noteNameElement = document.querySelector('.note-name');
 const octaveElement = document.querySelector('.octave');
 const frequencyDisplay = document.querySelector('.frequency-display');
 const centsDeviationElement = document.querySelector('.cents-deviation');
+const meterScale = document.querySelector('.meter-scale');
 const meterIndicator = document.querySelector('.meter-indicator');
 const referenceFreqInput = document.getElementById('reference-freq');
 const instrumentSelect = document.getElementById('instrument');
 const visualizationContainer = document.querySelector('.visualization-container');
 const visualizationSelect = document.getElementById('visualization-type');
+const strobeSettings = document.querySelector('.strobe-settings');
+const strobeHarmonicInputs = document.querySelectorAll('.strobe-settings input[data-harmonic]');
+const historySettings = document.querySelector('.history-settings');
+const freezeHistoryButton = document.getElementById('freeze-history-btn');
+const detectorSelect = document.getElementById('detector');
+const windowSizeSelect = document.getElementById('window-size');
+const hopSizeSelect = document.getElementById('hop-size');
+const autoRangeCheckbox = document.getElementById('auto-range');
+const minFrequencyInput = document.getElementById('min-frequency');
+const maxFrequencyInput = document.getElementById('max-frequency');
+const stabilizerInputs = document.querySelectorAll('.stabilizer-settings input[data-setting]');
+const noiseGateInput = document.getElementById('noise-gate');
+const clarityThresholdInput = document.getElementById('clarity-threshold');
+const calibrateNoiseButton = document.getElementById('calibrate-noise-btn');
+const bandPassCheckbox = document.getElementById('band-pass');
+const signalSettingsMessage = document.querySelector('.signal-settings .editor-message');
+const noteDisplay = document.querySelector('.note-display');
+const confidenceBar = document.querySelector('.confidence-bar');
+const confidenceValue = document.querySelector('.confidence-value');
+const stringDisplay = document.querySelector('.string-display');
+const stringList = document.querySelector('.string-list');
+const lockStringCheckbox = document.getElementById('lock-string');
+const strumModeContainer = document.querySelector('.strum-mode');
+const strumModeCheckbox = document.getElementById('strum-mode');
+const strumOverview = document.querySelector('.strum-overview');
+const tuningSelector = document.querySelector('.tuning-selector');
+const tuningSelect = document.getElementById('tuning');
+const tuningEditor = document.querySelector('.tuning-editor');
+const customTuningNameInput = document.getElementById('custom-tuning-name');
+const customTuningNotesInput = document.getElementById('custom-tuning-notes');
+const saveTuningButton = document.getElementById('save-tuning-btn');
+const deleteTuningButton = document.getElementById('delete-tuning-btn');
+const exportTuningsButton = document.getElementById('export-tunings-btn');
+const importTuningsInput = document.getElementById('import-tunings');
+const tuningEditorMessage = document.querySelector('.tuning-editor .editor-message');
+const temperamentSelect = document.getElementById('temperament');
+const temperamentRootSelect = document.getElementById('temperament-root');
+const importScalaInput = document.getElementById('import-scala');
+const deleteTemperamentButton = document.getElementById('delete-temperament-btn');
+const temperamentEditorMessage = document.querySelector('.temperament-editor .editor-message');
+const pianoDisplay = document.querySelector('.piano-display');
+const pianoPartialElement = document.querySelector('.piano-partial');
+const pianoStretchElement = document.querySelector('.piano-stretch');
+const pianoInharmonicityElement = document.querySelector('.piano-inharmonicity');
+const stretchCurveCanvas = document.querySelector('.stretch-curve');
+const pianoSettings = document.querySelector('.piano-settings');
+const bassPartialSelect = document.getElementById('bass-partial');
+const treblePartialSelect = document.getElementById('treble-partial');
+const measureInharmonicityCheckbox = document.getElementById('measure-inharmonicity');
+const resetInharmonicityButton = document.getElementById('reset-inharmonicity-btn');
+const toneNoteSelect = document.getElementById('tone-note');
+const toneTimbreSelect = document.getElementById('tone-timbre');
+const toneDroneCheckbox = document.getElementById('tone-drone');
+const playToneButton = document.getElementById('play-tone-btn');
+const playStringsButton = document.getElementById('play-strings-btn');
+const metronomeTempoInput = document.getElementById('metronome-tempo');
+const metronomeTempoOutput = document.querySelector('output[for="metronome-tempo"]');
+const timeSignatureSelect = document.getElementById('time-signature');
+const subdivisionSelect = document.getElementById('subdivision');
+const beatAccentsContainer = document.querySelector('.beat-accents');
+const metronomeButton = document.getElementById('metronome-btn');
+const tapTempoButton = document.getElementById('tap-tempo-btn');
+const transpositionSelect = document.getElementById('transposition');
+const spellingSelect = document.getElementById('spelling');
+const notationSystemSelect = document.getElementById('notation-system');
+const analysisFileInput = document.getElementById('analysis-file');
+const compareDetectorsCheckbox = document.getElementById('compare-detectors');
+const exportCsvButton = document.getElementById('export-csv-btn');
+const exportJsonButton = document.getElementById('export-json-btn');
+const fileAnalysisMessage = document.querySelector('.file-analysis .editor-message');
+const analysisResults = document.querySelector('.analysis-results');
+const pitchTrackCanvas = document.querySelector('.pitch-track');
+const noteStatisticsBody = document.querySelector('.note-statistics tbody');
+const detectorComparison = document.querySelector('.detector-comparison');
+const detectorComparisonBody = document.querySelector('.detector-comparison tbody');
+const recordSessionButton = document.getElementById('record-session-btn');
+const sessionHistorySelect = document.getElementById('session-history');
+const deleteSessionButton = document.getElementById('delete-session-btn');
+const exportSessionsButton = document.getElementById('export-sessions-btn');
+const practiceSessionMessage = document.querySelector('.practice-sessions .editor-message');
+const sessionReport = document.querySelector('.session-report');
+const sessionSummaryList = document.querySelector('.session-summary');
+const sessionNotesBody = document.querySelector('.session-notes tbody');
+const announceTuningCheckbox = document.getElementById('announce-tuning');
+const audioCueCheckbox = document.getElementById('audio-cue');
+const vibrateCheckbox = document.getElementById('vibrate-in-tune');
+const shortcutsCheckbox = document.getElementById('use-shortcuts');
+const colorPaletteSelect = document.getElementById('color-palette');
+const fileButtons = document.querySelectorAll('label.secondary-btn[role="button"]');
+
+// Speaks the note and its tuning through a live region
+const tuningAnnouncer = new TuningAnnouncer(document.querySelector('.tuning-announcement'));
 
 // Initialize the application
 function init() {
     // Set up event listeners
     startButton.addEventListener('click', toggleListening);
+    inputDeviceSelect.addEventListener('change', switchInputStream);
+    rawAudioCheckbox.addEventListener('change', switchInputStream);
+    inputGainInput.addEventListener('input', updateInputGain);
     referenceFreqInput.addEventListener('change', updateReferenceFrequency);
+    shareSettingsButton.addEventListener('click', copyShareLink);
     visualizationSelect.addEventListener('change', updateVisualization);
+    strobeHarmonicInputs.forEach(input => input.addEventListener('change', updateStrobeHarmonics));
+    freezeHistoryButton.addEventListener('click', toggleHistoryFreeze);
+    instrumentSelect.addEventListener('change', updateInstrument);
+    detectorSelect.addEventListener('change', updateDetector);
+    windowSizeSelect.addEventListener('change', updateAnalysisSettings);
+    hopSizeSelect.addEventListener('change', updateAnalysisSettings);
+    autoRangeCheckbox.addEventListener('change', updateDetectionRange);
+    minFrequencyInput.addEventListener('change', updateDetectionRange);
+    maxFrequencyInput.addEventListener('change', updateDetectionRange);
+    stabilizerInputs.forEach(input => input.addEventListener('input', updateStabilizerSettings));
+    noiseGateInput.addEventListener('input', updateSignalSettings);
+    clarityThresholdInput.addEventListener('input', updateSignalSettings);
+    calibrateNoiseButton.addEventListener('click', calibrateNoiseFloor);
+    bandPassCheckbox.addEventListener('change', updateBandPass);
+    lockStringCheckbox.addEventListener('change', updateStringLock);
+    strumModeCheckbox.addEventListener('change', updateStrumMode);
+    tuningSelect.addEventListener('change', updateTuning);
+    saveTuningButton.addEventListener('click', saveTuning);
+    deleteTuningButton.addEventListener('click', deleteTuning);
+    exportTuningsButton.addEventListener('click', exportTunings);
+    importTuningsInput.addEventListener('change', importTunings);
+    temperamentSelect.addEventListener('change', selectTemperament);
+    temperamentRootSelect.addEventListener('change', updateTemperament);
+    importScalaInput.addEventListener('change', importScala);
+    deleteTemperamentButton.addEventListener('click', deleteTemperament);
+    transpositionSelect.addEventListener('change', updateNotation);
+    spellingSelect.addEventListener('change', updateNotation);
+    notationSystemSelect.addEventListener('change', updateNotation);
+    resetInharmonicityButton.addEventListener('click', resetInharmonicity);
+    playToneButton.addEventListener('click', toggleTone);
+    playStringsButton.addEventListener('click', playStrings);
+    metronomeTempoInput.addEventListener('input', updateMetronome);
+    timeSignatureSelect.addEventListener('change', updateTimeSignature);
+    subdivisionSelect.addEventListener('change', updateMetronome);
+    metronomeButton.addEventListener('click', toggleMetronome);
+    tapTempoButton.addEventListener('click', tapTempo);
+    analysisFileInput.addEventListener('change', analyzeFile);
+    exportCsvButton.addEventListener('click', exportPitchTrackCsv);
+    exportJsonButton.addEventListener('click', exportAnalysisJson);
+    recordSessionButton.addEventListener('click', toggleSessionRecording);
+    sessionHistorySelect.addEventListener('change', showSessionReport);
+    deleteSessionButton.addEventListener('click', deletePracticeSession);
+    exportSessionsButton.addEventListener('click', exportPracticeSessions);
+    announceTuningCheckbox.addEventListener('change', updateAnnouncements);
+    audioCueCheckbox.addEventListener('change', updateAudioCue);
+    colorPaletteSelect.addEventListener('change', updateColorPalette);
+    fileButtons.forEach(label => label.addEventListener('keydown', activateFileButton));
+    document.addEventListener('keydown', handleKeyboardShortcut);
+
+    // The interface shows what the tuner engine hears
+    tuner.addEventListener('pitch', handlePitch);
+    tuner.addEventListener('noteChange', handleNoteChange);
+    tuner.addEventListener('inTune', handleInTune);
+    tuner.addEventListener('silence', handleSilence);
+    tuner.addEventListener('error', handleTunerError);
+
+    // Pause audio and drawing while the page is hidden
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    // Follow microphones as they are plugged in and out
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', updateInputDevices);
+    }
+    updateInputDevices();
 
     // Create visualization canvas
     setupVisualization(visualizationContainer);
 
+    // List the notes the tone generator can play
+    renderToneOptions();
+
+    // List the temperaments, starting in equal temperament
+    renderTemperamentOptions();
+    deleteTemperamentButton.disabled = true;
+
+    updateNoteAxis();
+
+    // List the practice sessions recorded earlier
+    loadPracticeSessions();
+
+    // Offer the supported audio files, and any other audio the browser may be able to decode
+    analysisFileInput.accept = [...SUPPORTED_FILE_TYPES, 'audio/*'].join(',');
+
+    // Restore the settings of the last visit, overridden by any settings in the link
+    loadInitialSettings();
+
+    // Keep every change for the next visit; this runs after the controls' own handlers
+    controlsContainer.addEventListener('change', () => saveSettings(getCurrentSettings()));
+
     // Display initial state
     updateDisplay(null, null, null);
+
+    // Make the app work offline once it is installed
+    registerServiceWorker();
+}
+
+// Install the service worker that caches the built app for offline use
+function registerServiceWorker() {
+    // The development server's files change all the time and must not be cached
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+        return;
+    }
+
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(error => {
+        console.error('Error registering the service worker:', error);
+    });
+}
+
+// Suspend the audio context and the visualization while the page is hidden, and resume them when it is shown
+async function handleVisibilityChange() {
+    try {
+        if (document.hidden) {
+            setVisualizationPaused(true);
+            await tuner.suspend();
+        } else {
+            setVisualizationPaused(false);
+            await tuner.resume();
+
+            // The browser released the wake lock when the page was hidden
+            restoreWakeLock();
+        }
+    } catch (error) {
+        console.error('Error pausing or resuming audio:', error);
+    }
+}
+
+// Combine the saved settings with those in the link and apply them
+function loadInitialSettings() {
+    const saved = loadSettings();
+    const linked = settingsFromQuery(window.location.search);
+    const settings = { ...getDefaultSettings(), ...saved.settings, ...linked.settings };
+
+    // A linked detector comes with its own clarity threshold unless the link sets one
+    if (linked.settings.detector && linked.settings.clarity === undefined) {
+        settings.clarity = DEFAULT_CLARITY_THRESHOLDS[settings.detector];
+    }
+
+    const invalid = [...saved.invalid, ...linked.invalid, ...applySettings(settings)];
+    if (invalid.length > 0) {
+        showSettingsNotice(`Some settings were invalid and have been reset to their defaults: ${invalid.join(', ')}`);
+    }
+}
+
+// Set every control from validated settings and bring the tuner in line with them
+function applySettings(settings) {
+    const invalid = [];
+
+    referenceFreqInput.value = settings.reference;
+    referenceFrequency = settings.reference;
+    updateNoteAxis();
+
+    transpositionSelect.value = settings.transposition;
+    spellingSelect.value = settings.spelling;
+    notationSystemSelect.value = settings.notation;
+    updateNotation();
+
+    visualizationSelect.value = settings.visualization;
+    updateVisualization();
+    const harmonics = settings.harmonics.split(',');
+    strobeHarmonicInputs.forEach(input => {
+        input.checked = harmonics.includes(input.dataset.harmonic);
+    });
+    updateStrobeHarmonics();
+
+    detectorSelect.value = settings.detector;
+    windowSizeSelect.value = settings.window;
+    hopSizeSelect.value = settings.hop;
+    updateAnalysisSettings();
+    noiseGateInput.value = settings.gate;
+    clarityThresholdInput.value = settings.clarity;
+    updateSignalSettings();
+
+    stabilizerInputs.forEach(input => {
+        input.value = settings[STABILIZER_SETTING_NAMES[input.dataset.setting]];
+    });
+    updateStabilizerSettings();
+
+    bandPassCheckbox.checked = settings.bandpass;
+    updateBandPass();
+    rawAudioCheckbox.checked = settings.raw;
+    inputGainInput.value = settings.gain;
+    updateInputGain();
+
+    metronomeTempoInput.value = settings.tempo;
+    timeSignatureSelect.value = settings.signature;
+    subdivisionSelect.value = settings.subdivision;
+    updateTimeSignature();
+
+    announceTuningCheckbox.checked = settings.announce;
+    updateAnnouncements();
+    audioCueCheckbox.checked = settings.cue;
+    updateAudioCue();
+    vibrateCheckbox.checked = settings.vibrate;
+    shortcutsCheckbox.checked = settings.shortcuts;
+    colorPaletteSelect.value = settings.palette;
+    updateColorPalette();
+
+    // Imported temperaments and custom tunings may have been deleted since the settings were saved
+    renderTemperamentOptions(settings.temperament);
+    if (temperamentSelect.value !== settings.temperament) {
+        invalid.push('temperament');
+    }
+    temperamentRootSelect.value = settings.root;
+    temperament = createTemperament(getSelectedTemperamentDefinition(), settings.root);
+    deleteTemperamentButton.disabled = !getSelectedTemperamentDefinition().custom;
+
+    // The detection range is applied with the tuning, which it may be derived from
+    autoRangeCheckbox.checked = settings.autorange;
+    minFrequencyInput.value = settings.minfreq;
+    maxFrequencyInput.value = settings.maxfreq;
+    if (!settings.autorange && settings.minfreq >= settings.maxfreq) {
+        invalid.push('detection range');
+    }
+
+    bassPartialSelect.value = settings.basspartial;
+    treblePartialSelect.value = settings.treblepartial;
+
+    instrumentSelect.value = settings.instrument;
+    renderTuningOptions(settings.tuning);
+    if (tuningSelect.options.length > 0 && tuningSelect.value !== settings.tuning) {
+        invalid.push('tuning');
+    }
+    strumModeCheckbox.checked = settings.strum;
+    updateTuning();
+
+    return invalid;
+}
+
+// Read the current settings from the controls
+function getCurrentSettings() {
+    return {
+        reference: referenceFrequency,
+        instrument: instrumentSelect.value,
+        tuning: tuningSelect.value || 'standard',
+        strum: strumModeCheckbox.checked,
+        temperament: temperamentSelect.value,
+        root: parseInt(temperamentRootSelect.value, 10),
+        transposition: transpositionSelect.value,
+        spelling: spellingSelect.value,
+        notation: notationSystemSelect.value,
+        basspartial: bassPartialSelect.value,
+        treblepartial: treblePartialSelect.value,
+        visualization: visualizationSelect.value,
+        harmonics: Array.from(strobeHarmonicInputs)
+            .filter(input => input.checked)
+            .map(input => input.dataset.harmonic)
+            .join(','),
+        detector: detectorSelect.value,
+        window: windowSizeSelect.value,
+        hop: hopSizeSelect.value,
+        autorange: autoRangeCheckbox.checked,
+
+        // The range shown with the automatic range follows the instrument and is not a setting
+        minfreq: autoRangeCheckbox.checked ? undefined : parseFloat(minFrequencyInput.value),
+        maxfreq: autoRangeCheckbox.checked ? undefined : parseFloat(maxFrequencyInput.value),
+        ...Object.fromEntries(Array.from(stabilizerInputs, input => [
+            STABILIZER_SETTING_NAMES[input.dataset.setting],
+            parseFloat(input.value)
+        ])),
+        gate: parseFloat(noiseGateInput.value),
+        clarity: parseFloat(clarityThresholdInput.value),
+        bandpass: bandPassCheckbox.checked,
+        raw: rawAudioCheckbox.checked,
+        gain: parseFloat(inputGainInput.value),
+        tempo: parseInt(metronomeTempoInput.value, 10),
+        signature: timeSignatureSelect.value,
+        subdivision: subdivisionSelect.value,
+        announce: announceTuningCheckbox.checked,
+        cue: audioCueCheckbox.checked,
+        vibrate: vibrateCheckbox.checked,
+        shortcuts: shortcutsCheckbox.checked,
+        palette: colorPaletteSelect.value
+    };
+}
+
+// Show a notice above the controls, as a warning unless it is only informative
+function showSettingsNotice(message, isWarning = true) {
+    settingsNotice.textContent = message;
+    settingsNotice.classList.toggle('info', !isWarning);
+    settingsNotice.hidden = false;
+}
+
+// Copy a link that opens the tuner with the current settings
+async function copyShareLink() {
+    const url = `${window.location.origin}${window.location.pathname}${settingsToQuery(getCurrentSettings())}`;
+
+    try {
+        await navigator.clipboard.writeText(url);
+        showSettingsNotice(`Link copied: ${url}`, false);
+    } catch (error) {
+        // Without clipboard access the link can still be copied by hand
+        showSettingsNotice(`Share this link: ${url}`, false);
+    }
 }
 
 // Update visualization type
 function updateVisualization() {
     const visualizationType = visualizationSelect.value;
     changeVisualization(visualizationType);
+    strobeSettings.hidden = visualizationType !== 'strobe';
+    historySettings.hidden = visualizationType !== 'history';
+}
+
+// Freeze the pitch history for review, or let it scroll again
+function toggleHistoryFreeze() {
+    const frozen = freezeHistoryButton.getAttribute('aria-pressed') !== 'true';
+
+    setPitchHistoryFrozen(frozen);
+    freezeHistoryButton.setAttribute('aria-pressed', String(frozen));
+    freezeHistoryButton.textContent = frozen ? 'Resume' : 'Freeze';
+}
+
+// Write a MIDI note number as a note name in the selected notation
+function formatMidiNote(midiNote) {
+    return formatNoteName(`${NOTE_NAMES[((midiNote % 12) + 12) % 12]}${Math.floor(midiNote / 12) - 1}`, notation);
+}
+
+// Label the note axes of the visualizations in the selected notation
+function updateNoteAxis() {
+    setNoteAxis(referenceFrequency, formatMidiNote);
+}
+
+// Show the fundamental and the chosen harmonics as strobe bands
+function updateStrobeHarmonics() {
+    const harmonics = [1];
+
+    strobeHarmonicInputs.forEach(input => {
+        if (input.checked) {
+            harmonics.push(parseInt(input.dataset.harmonic, 10));
+        }
+    });
+
+    setStrobeHarmonics(harmonics);
+}
+
+// Switch the pitch detection algorithm
+function updateDetector() {
+    updateAnalysisSettings();
+
+    // Every detector measures clarity on its own scale
+    clarityThresholdInput.value = DEFAULT_CLARITY_THRESHOLDS[detectorSelect.value];
+    updateSignalSettings();
+}
+
+// Apply the selected detector, window and hop sizes
+function updateAnalysisSettings() {
+    tuner.configure({
+        detector: detectorSelect.value,
+        windowSize: windowSizeSelect.value === 'auto' ? 'auto' : parseInt(windowSizeSelect.value, 10),
+        hopSize: parseInt(hopSizeSelect.value, 10)
+    });
+}
+
+// Apply the stabilization strengths chosen with the sliders
+function updateStabilizerSettings() {
+    const settings = {};
+
+    stabilizerInputs.forEach(input => {
+        settings[input.dataset.setting] = parseFloat(input.value);
+
+        // Show the current value next to the slider
+        const output = input.parentElement.querySelector('output');
+        if (output) {
+            output.textContent = input.value;
+        }
+    });
+
+    tuner.stabilizer.configure(settings);
+}
+
+// Apply the noise gate and clarity threshold chosen with the sliders
+function updateSignalSettings() {
+    noiseGateInput.parentElement.querySelector('output').textContent = noiseGateInput.value;
+    clarityThresholdInput.parentElement.querySelector('output').textContent = clarityThresholdInput.value;
+
+    tuner.configure({
+        silenceThreshold: decibelsToEnergy(parseFloat(noiseGateInput.value)),
+        clarityThreshold: parseFloat(clarityThresholdInput.value)
+    });
+}
+
+// Limit the microphone signal to the detection range, or pass it unfiltered
+function updateBandPass() {
+    tuner.configure({ bandPass: bandPassCheckbox.checked });
+}
+
+// Show a message below the signal conditioning settings
+function showSignalSettingsMessage(message, isError = false) {
+    signalSettingsMessage.textContent = message;
+    signalSettingsMessage.classList.toggle('error', isError);
+}
+
+// Measure the ambient noise and set the noise gate just above it
+function calibrateNoiseFloor() {
+    if (!tuner.isRunning) {
+        showSignalSettingsMessage('Start the tuner to calibrate the noise floor', true);
+        return;
+    }
+
+    // The level meter collects readings until the measurement ends
+    noiseCalibration = [];
+    calibrateNoiseButton.disabled = true;
+    showSignalSettingsMessage('Measuring the noise floor, keep quiet...');
+
+    setTimeout(() => {
+        const levels = noiseCalibration || [];
+        noiseCalibration = null;
+        calibrateNoiseButton.disabled = false;
+
+        try {
+            const gate = Math.round(calibrateNoiseGate(levels));
+            noiseGateInput.value = Math.max(parseFloat(noiseGateInput.min), Math.min(parseFloat(noiseGateInput.max), gate));
+            updateSignalSettings();
+            showSignalSettingsMessage(`Noise gate set to ${noiseGateInput.value} dBFS`);
+        } catch (error) {
+            showSignalSettingsMessage(error.message, true);
+        }
+    }, NOISE_CALIBRATION_TIME);
+}
+
+// Derive the detection range from the instrument or read it from the inputs
+function updateDetectionRange() {
+    let rangeFrequencies = instrumentReferences ? instrumentReferences.frequencies : [];
+    if (pianoMode) {
+        rangeFrequencies = [stretchCurve[0].frequency, stretchCurve[stretchCurve.length - 1].frequency];
+    }
+
+    const autoRange = getDetectionRange(rangeFrequencies);
+    const minFrequency = parseFloat(minFrequencyInput.value);
+    const maxFrequency = parseFloat(maxFrequencyInput.value);
+
+    const isValidRange = minFrequency >= MIN_DETECTABLE_FREQUENCY &&
+        maxFrequency <= MAX_DETECTABLE_FREQUENCY &&
+        minFrequency < maxFrequency;
+
+    // Invalid manual ranges fall back to the instrument's range
+    const detectionRange = autoRangeCheckbox.checked || !isValidRange
+        ? autoRange
+        : { minFrequency, maxFrequency };
+
+    minFrequencyInput.disabled = autoRangeCheckbox.checked;
+    maxFrequencyInput.disabled = autoRangeCheckbox.checked;
+    minFrequencyInput.value = Math.round(detectionRange.minFrequency);
+    maxFrequencyInput.value = Math.round(detectionRange.maxFrequency);
+
+    tuner.configure(detectionRange);
+}
+
+// Load the tunings of the selected instrument
+function updateInstrument() {
+    renderTuningOptions();
+    updateTuning();
+}
+
+// Get the built-in and custom tunings of the selected instrument
+function getAvailableTunings() {
+    const instrument = instrumentSelect.value;
+    return getBuiltInTunings(instrument).concat(getCustomTunings(instrument));
+}
+
+// Fill the tuning dropdown with the tunings of the selected instrument
+function renderTuningOptions(selectedId = 'standard') {
+    const builtInTunings = getBuiltInTunings(instrumentSelect.value);
+    const customTunings = getCustomTunings(instrumentSelect.value);
+
+    tuningSelect.innerHTML = '';
+
+    [['Built-in', builtInTunings], ['Custom', customTunings]].forEach(([label, tunings]) => {
+        if (tunings.length === 0) {
+            return;
+        }
+
+        const group = document.createElement('optgroup');
+        group.label = label;
+
+        tunings.forEach(tuning => {
+            const option = document.createElement('option');
+            option.value = tuning.id;
+            option.textContent = `${tuning.name} (${tuning.notes.map(name => formatNoteName(name, notation)).join(' ')})`;
+            group.appendChild(option);
+        });
+
+        tuningSelect.appendChild(group);
+    });
+
+    tuningSelect.value = selectedId;
+    if (tuningSelect.selectedIndex === -1 && tuningSelect.options.length > 0) {
+        tuningSelect.selectedIndex = 0;
+    }
+}
+
+// Load the string targets of the selected tuning
+function updateTuning() {
+    selectedTuning = getAvailableTunings().find(tuning => tuning.id === tuningSelect.value) || null;
+
+    // Instruments without strings fall back to chromatic mode
+    const references = selectedTuning
+        ? getTuningReferences(selectedTuning, referenceFrequency, temperament)
+        : getInstrumentReferences(instrumentSelect.value, referenceFrequency, 'standard', temperament);
+
+    instrumentReferences = references && !references.chromatic ? references : null;
+    activeStringIndex = null;
+    lockStringCheckbox.checked = false;
+
+    pianoMode = instrumentSelect.value === 'piano';
+    activeKey = null;
+    partialReading = null;
+
+    // Piano keys are tuned against a curve stretched by the strings' inharmonicity
+    if (pianoMode) {
+        updateStretchCurve();
+    }
+
+    // New targets start untuned and unlocked
+    tuner.configure({ referenceFrequency, temperament, targets: getTunerTargets() });
+
+    tuningSelector.hidden = !selectedTuning;
+    tuningEditor.hidden = !selectedTuning;
+    stringDisplay.hidden = pianoMode;
+    pianoDisplay.hidden = !pianoMode;
+    pianoSettings.hidden = !pianoMode;
+    strumModeContainer.hidden = !instrumentReferences;
+    updateTuningEditor();
+    renderStrings();
+    updateStrumMode();
+    playStringsButton.disabled = !instrumentReferences;
+
+    // The detection range follows the lowest and highest strings
+    updateDetectionRange();
+}
+
+// Get the targets the tuner measures pitches against: the piano keys, the strings, or none in chromatic mode
+function getTunerTargets() {
+    if (pianoMode) {
+        return stretchCurve;
+    }
+
+    if (instrumentReferences) {
+        return instrumentReferences.strings.map((name, index) => ({ name, frequency: instrumentReferences.frequencies[index] }));
+    }
+
+    return null;
+}
+
+// Show the selected tuning in the editor
+function updateTuningEditor() {
+    customTuningNameInput.value = selectedTuning && selectedTuning.custom ? selectedTuning.name : '';
+    customTuningNotesInput.value = selectedTuning ? selectedTuning.notes.join(' ') : '';
+    deleteTuningButton.disabled = !(selectedTuning && selectedTuning.custom);
+}
+
+// Show a message below the tuning editor
+function showTuningEditorMessage(message, isError = false) {
+    tuningEditorMessage.textContent = message;
+    tuningEditorMessage.classList.toggle('error', isError);
+}
+
+// Save the tuning in the editor as a custom tuning
+function saveTuning() {
+    const name = customTuningNameInput.value;
+
+    // Editing a custom tuning without renaming it updates that tuning
+    const isUpdate = selectedTuning && selectedTuning.custom && selectedTuning.name === name.trim();
+
+    try {
+        const tuning = saveCustomTuning({
+            id: isUpdate ? selectedTuning.id : null,
+            name,
+            instrument: instrumentSelect.value,
+            notes: customTuningNotesInput.value.split(/[\s,]+/).filter(Boolean)
+        });
+
+        renderTuningOptions(tuning.id);
+        updateTuning();
+        showTuningEditorMessage(`Saved tuning "${tuning.name}"`);
+    } catch (error) {
+        showTuningEditorMessage(error.message, true);
+    }
+}
+
+// Delete the selected custom tuning
+function deleteTuning() {
+    if (!selectedTuning || !selectedTuning.custom) {
+        return;
+    }
+
+    const { name } = selectedTuning;
+    deleteCustomTuning(selectedTuning.id);
+
+    renderTuningOptions();
+    updateTuning();
+    showTuningEditorMessage(`Deleted tuning "${name}"`);
+}
+
+// Let the user download text as a file
+function downloadFile(contents, type, fileName) {
+    const blob = new Blob([contents], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
+// Download all custom tunings as a JSON file
+function exportTunings() {
+    downloadFile(exportCustomTunings(), 'application/json', 'web-tuner-tunings.json');
+}
+
+// Import custom tunings from a JSON file chosen by the user
+async function importTunings() {
+    const file = importTuningsInput.files[0];
+    if (!file) {
+        return;
+    }
+
+    try {
+        const imported = importCustomTunings(await file.text());
+
+        renderTuningOptions(tuningSelect.value);
+        updateTuning();
+        showTuningEditorMessage(`Imported ${imported.length} tuning(s)`);
+    } catch (error) {
+        showTuningEditorMessage(error.message, true);
+    } finally {
+        // Allow the same file to be imported again
+        importTuningsInput.value = '';
+    }
+}
+
+// Fill the temperament dropdown with the built-in and imported temperaments
+function renderTemperamentOptions(selectedId = 'equal') {
+    const builtInTemperaments = Object.entries(TEMPERAMENTS).map(([id, definition]) => ({ id, ...definition }));
+    const customTemperaments = loadCustomTemperaments();
+
+    temperamentSelect.innerHTML = '';
+
+    [['Built-in', builtInTemperaments], ['Imported', customTemperaments]].forEach(([label, temperaments]) => {
+        if (temperaments.length === 0) {
+            return;
+        }
+
+        const group = document.createElement('optgroup');
+        group.label = label;
+
+        temperaments.forEach(definition => {
+            const option = document.createElement('option');
+            option.value = definition.id;
+            option.textContent = definition.name;
+            group.appendChild(option);
+        });
+
+        temperamentSelect.appendChild(group);
+    });
+
+    temperamentSelect.value = selectedId;
+    if (temperamentSelect.selectedIndex === -1) {
+        temperamentSelect.value = 'equal';
+    }
+}
+
+// Get the definition of the selected temperament
+function getSelectedTemperamentDefinition() {
+    const id = temperamentSelect.value;
+    return TEMPERAMENTS[id] || loadCustomTemperaments().find(definition => definition.id === id) || TEMPERAMENTS.equal;
+}
+
+// Switch to the selected temperament, starting from its own root
+function selectTemperament() {
+    temperamentRootSelect.value = getSelectedTemperamentDefinition().root || 0;
+    updateTemperament();
+}
+
+// Apply the selected temperament and root
+function updateTemperament() {
+    const definition = getSelectedTemperamentDefinition();
+
+    temperament = createTemperament(definition, parseInt(temperamentRootSelect.value, 10));
+    deleteTemperamentButton.disabled = !definition.custom;
+
+    // String targets depend on the temperament
+    updateTuning();
+}
+
+// Show a message below the temperament editor
+function showTemperamentMessage(message, isError = false) {
+    temperamentEditorMessage.textContent = message;
+    temperamentEditorMessage.classList.toggle('error', isError);
+}
+
+// Import a temperament from a Scala scale file and optional keyboard mapping chosen by the user
+async function importScala() {
+    const files = Array.from(importScalaInput.files);
+    const scaleFile = files.find(file => /\.scl$/i.test(file.name));
+    const mappingFile = files.find(file => /\.kbm$/i.test(file.name));
+
+    try {
+        if (!scaleFile) {
+            throw new Error('Choose a .scl scale file, optionally together with a .kbm keyboard mapping');
+        }
+
+        const scale = parseScl(await scaleFile.text());
+        const keyboardMapping = mappingFile ? parseKbm(await mappingFile.text()) : null;
+        const saved = saveCustomTemperament(temperamentFromScala(scale, keyboardMapping));
+
+        renderTemperamentOptions(saved.id);
+        selectTemperament();
+        showTemperamentMessage(`Imported temperament "${saved.name}"`);
+    } catch (error) {
+        showTemperamentMessage(error.message, true);
+    } finally {
+        // Allow the same files to be imported again
+        importScalaInput.value = '';
+    }
+}
+
+// Delete the selected imported temperament
+function deleteTemperament() {
+    const definition = getSelectedTemperamentDefinition();
+    if (!definition.custom) {
+        return;
+    }
+
+    deleteCustomTemperament(definition.id);
+
+    renderTemperamentOptions();
+    selectTemperament();
+    showTemperamentMessage(`Deleted temperament "${definition.name}"`);
+}
+
+// Lock to the current string or return to auto-detection
+function updateStringLock() {
+    if (lockStringCheckbox.checked && instrumentReferences) {
+        tuner.configure({ lockedTarget: activeStringIndex !== null ? activeStringIndex : 0 });
+    } else {
+        tuner.configure({ lockedTarget: null });
+    }
+
+    renderStrings();
+}
+
+// Lock tuning to a string chosen by the user
+function selectString(index) {
+    tuner.configure({ lockedTarget: index });
+    activeStringIndex = index;
+    lockStringCheckbox.checked = true;
+
+    renderStrings();
+}
+
+// Render one button per string of the selected instrument
+function renderStrings() {
+    stringList.innerHTML = '';
+    stringDisplay.classList.toggle('chromatic', !instrumentReferences);
+
+    if (!instrumentReferences) {
+        return;
+    }
+
+    instrumentReferences.strings.forEach((name, index) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'string-btn';
+        button.textContent = formatNoteName(name, notation);
+        button.addEventListener('click', () => selectString(index));
+        stringList.appendChild(button);
+    });
+
+    updateStringDisplay();
+}
+
+// Highlight the active, locked and tuned strings
+function updateStringDisplay() {
+    Array.from(stringList.children).forEach((button, index) => {
+        button.classList.toggle('active', index === activeStringIndex);
+        button.classList.toggle('locked', index === tuner.settings.lockedTarget);
+        button.classList.toggle('tuned', tuner.targetStates[index].tuned);
+    });
+}
+
+// Switch between tuning one string at a time and measuring all strings from a strum
+function updateStrumMode() {
+    strumMode = strumModeCheckbox.checked && instrumentReferences !== null;
+    strumReadings = [];
+    strumOverview.hidden = !strumMode;
+    tuner.configure({ strum: strumMode });
+
+    renderStrumOverview();
+}
+
+// Render one row with a small meter per string for the strum overview
+function renderStrumOverview() {
+    strumOverview.innerHTML = '';
+
+    if (!strumMode) {
+        return;
+    }
+
+    instrumentReferences.strings.forEach(name => {
+        const row = document.createElement('div');
+        row.className = 'strum-row stale';
+        row.innerHTML = `
+            <span class="strum-string"></span>
+            <div class="strum-meter"><div class="strum-marker"></div></div>
+            <span class="strum-cents">--</span>
+        `;
+        row.querySelector('.strum-string').textContent = formatNoteName(name, notation);
+        strumOverview.appendChild(row);
+    });
+}
+
+// Show the latest deviation of every string on the strum overview
+function updateStrumOverview(now) {
+    Array.from(strumOverview.children).forEach((row, index) => {
+        const reading = strumReadings[index];
+        const isCurrent = reading !== undefined && now - reading.time < STRUM_HOLD_TIME;
+        const deviation = isCurrent ? Math.abs(reading.cents) : null;
+
+        row.classList.toggle('stale', !isCurrent);
+        row.classList.toggle('in-tune', isCurrent && deviation < IN_TUNE_CENTS);
+        row.classList.toggle('off', isCurrent && deviation >= CLOSE_CENTS);
+        row.querySelector('.strum-cents').textContent = isCurrent
+            ? `${reading.cents > 0 ? '+' : ''}${reading.cents.toFixed(1)} cents`
+            : '--';
+
+        if (isCurrent) {
+            const clamped = Math.max(-STRUM_METER_RANGE, Math.min(STRUM_METER_RANGE, reading.cents));
+            row.querySelector('.strum-marker').style.left = `${50 + (clamped / STRUM_METER_RANGE) * 50}%`;
+        }
+    });
+}
+
+// Show the strings measured from the sound of a strum
+function showStrumReadings({ strings, time }) {
+    strings.forEach((reading, index) => {
+        if (reading) {
+            strumReadings[index] = { cents: reading.cents, time };
+        }
+    });
+
+    updateStringDisplay();
+    updateStrumOverview(time);
+}
+
+// Show a message below the recording analysis
+function showFileAnalysisMessage(message, isError = false) {
+    fileAnalysisMessage.textContent = message;
+    fileAnalysisMessage.classList.toggle('error', isError);
+}
+
+// Run pitch detection over a recording chosen by the user
+async function analyzeFile() {
+    const file = analysisFileInput.files[0];
+    if (!file) {
+        return;
+    }
+
+    exportCsvButton.disabled = true;
+    exportJsonButton.disabled = true;
+
+    try {
+        showFileAnalysisMessage(`Decoding "${file.name}"...`);
+        const { samples, sampleRate, duration } = await decodeAudioFile(file, getAudioContext());
+
+        // Use the same settings as the live tuner; adaptive windows fit the lowest note of the range
+        const { detector, adaptive, windowSize, hopSize } = tuner.getAnalysisOptions();
+        const options = {
+            detector,
+            windowSize: adaptive ? undefined : windowSize,
+            hopSize,
+            ...tuner.getDetectionOptions(),
+            referenceFrequency,
+            temperament
+        };
+        const showProgress = fraction => showFileAnalysisMessage(`Analyzing "${file.name}"... ${Math.round(fraction * 100)}%`);
+
+        let comparison = null;
+        let track;
+        if (compareDetectorsCheckbox.checked) {
+            comparison = await compareDetectors(samples, sampleRate, options, showProgress);
+            track = comparison.find(result => result.id === detector).track;
+        } else {
+            track = await analyzePitchTrack(samples, sampleRate, options, showProgress);
+        }
+
+        const frameDuration = track.length > 1 ? track[1].time - track[0].time : duration;
+        fileAnalysis = {
+            file: file.name,
+            duration,
+            sampleRate,
+            settings: { ...options, windowSize: options.windowSize || 'adaptive', temperament: temperament.name },
+            track,
+            notes: summarizeNotes(track, frameDuration),
+            comparison
+        };
+
+        renderFileAnalysis();
+        exportCsvButton.disabled = false;
+        exportJsonButton.disabled = false;
+        showFileAnalysisMessage(`Analyzed ${duration.toFixed(1)} s of "${file.name}"`);
+    } catch (error) {
+        console.error('Error analyzing recording:', error);
+        showFileAnalysisMessage(error.message, true);
+    } finally {
+        // Allow the same file to be analyzed again, e.g. with other settings
+        analysisFileInput.value = '';
+    }
+}
+
+// Add a row of text cells to a table body
+function appendTableRow(body, cells) {
+    const row = document.createElement('tr');
+
+    cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+    });
+
+    body.appendChild(row);
+}
+
+// Show the pitch track, note statistics and detector comparison of the analyzed recording
+function renderFileAnalysis() {
+    analysisResults.hidden = false;
+    drawPitchTrack();
+
+    noteStatisticsBody.innerHTML = '';
+    fileAnalysis.notes.forEach(entry => {
+        const written = formatNote(entry.note, entry.octave, notation);
+        const sign = entry.meanCents > 0 ? '+' : '';
+        appendTableRow(noteStatisticsBody, [
+            `${written.note}${written.octave}`,
+            `${entry.duration.toFixed(2)} s`,
+            `${sign}${entry.meanCents.toFixed(1)} cents`,
+            `±${entry.standardDeviation.toFixed(1)} cents`,
+            `${entry.minCents.toFixed(0)} to ${entry.maxCents.toFixed(0)} cents`
+        ]);
+    });
+
+    detectorComparison.hidden = !fileAnalysis.comparison;
+    detectorComparisonBody.innerHTML = '';
+    (fileAnalysis.comparison || []).forEach(result => {
+        appendTableRow(detectorComparisonBody, [
+            result.name,
+            `${Math.round(result.voicedRatio * 100)}%`,
+            `${Math.round(result.meanConfidence * 100)}%`,
+            result.meanAbsoluteCents !== null ? `${result.meanAbsoluteCents.toFixed(1)} cents` : '-',
+            `${Math.round(result.processingTime)} ms`
+        ]);
+    });
+}
+
+// Draw the pitch track of the analyzed recording on a note axis, one line per compared detector
+function drawPitchTrack() {
+    const context = pitchTrackCanvas.getContext('2d');
+    const { width, height } = pitchTrackCanvas;
+    const styles = getComputedStyle(document.documentElement);
+    const tracks = fileAnalysis.comparison
+        ? fileAnalysis.comparison.map((result, index) => ({ name: result.name, track: result.track, color: DETECTOR_COLORS[index % DETECTOR_COLORS.length] }))
+        : [{ name: PITCH_DETECTORS[fileAnalysis.settings.detector].name, track: fileAnalysis.track, color: styles.getPropertyValue('--primary-color') }];
+
+    // Scale the axes to the recording's length and to the notes that were played, with a semitone to spare
+    const toMidi = frequency => 69 + 12 * Math.log2(frequency / referenceFrequency);
+    const pitches = fileAnalysis.track.filter(frame => frame.frequency !== -1).map(frame => toMidi(frame.frequency));
+    const lowest = pitches.length > 0 ? Math.floor(Math.min(...pitches)) - 1 : 57;
+    const highest = pitches.length > 0 ? Math.ceil(Math.max(...pitches)) + 1 : 81;
+    const x = time => time / fileAnalysis.duration * width;
+    const y = midiNote => height - (midiNote - lowest) / (highest - lowest) * height;
+
+    context.clearRect(0, 0, width, height);
+
+    // Note grid, labelling every semitone when few notes were played and every C otherwise
+    const labelEvery = highest - lowest > 24 ? 12 : 1;
+    context.font = '11px sans-serif';
+    context.lineWidth = 1;
+    for (let midiNote = Math.ceil(lowest); midiNote <= highest; midiNote++) {
+        context.strokeStyle = midiNote % 12 === 0 ? styles.getPropertyValue('--secondary-color') : '#eee';
+        context.beginPath();
+        context.moveTo(0, y(midiNote));
+        context.lineTo(width, y(midiNote));
+        context.stroke();
+
+        if (midiNote % labelEvery === 0) {
+            context.fillStyle = styles.getPropertyValue('--text-color');
+            context.fillText(formatMidiNote(midiNote), 3, y(midiNote) - 2);
+        }
+    }
+
+    // Pitch tracks, broken where no pitch was detected
+    context.lineWidth = 2;
+    tracks.forEach(({ track, color }) => {
+        context.strokeStyle = color;
+        context.beginPath();
+        let drawing = false;
+        track.forEach(frame => {
+            if (frame.frequency === -1) {
+                drawing = false;
+                return;
+            }
+            if (drawing) {
+                context.lineTo(x(frame.time), y(toMidi(frame.frequency)));
+            } else {
+                context.moveTo(x(frame.time), y(toMidi(frame.frequency)));
+                drawing = true;
+            }
+        });
+        context.stroke();
+    });
+
+    // Legend
+    if (tracks.length > 1) {
+        tracks.forEach(({ name, color }, index) => {
+            context.fillStyle = color;
+            context.fillText(name, width - 160, 14 + index * 14);
+        });
+    }
+}
+
+// Download the pitch track of the analyzed recording as CSV
+function exportPitchTrackCsv() {
+    downloadFile(pitchTrackToCsv(fileAnalysis.track), 'text/csv', `${fileAnalysis.file.replace(/\.[^.]+$/, '')}-pitch-track.csv`);
+}
+
+// Download the whole analysis, including every compared detector's track, as JSON
+function exportAnalysisJson() {
+    downloadFile(analysisToJson(fileAnalysis), 'application/json', `${fileAnalysis.file.replace(/\.[^.]+$/, '')}-analysis.json`);
+}
+
+// Show a message below the practice sessions
+function showPracticeSessionMessage(message, isError = false) {
+    practiceSessionMessage.textContent = message;
+    practiceSessionMessage.classList.toggle('error', isError);
+}
+
+// Load the stored practice sessions and show the latest one
+async function loadPracticeSessions() {
+    try {
+        practiceSessions = await loadSessions();
+    } catch (error) {
+        console.error('Error loading practice sessions:', error);
+        showPracticeSessionMessage(error.message, true);
+    }
+
+    renderSessionOptions();
+}
+
+// Fill the session dropdown with the stored sessions, newest first
+function renderSessionOptions(selectedId = null) {
+    sessionHistorySelect.innerHTML = '';
+
+    practiceSessions.slice().reverse().forEach(session => {
+        const option = document.createElement('option');
+        option.value = session.id;
+        option.textContent = `${new Date(session.startedAt).toLocaleString()} (${Math.round(session.duration / 60)} min)`;
+        sessionHistorySelect.appendChild(option);
+    });
+
+    if (selectedId) {
+        sessionHistorySelect.value = selectedId;
+    }
+
+    sessionHistorySelect.disabled = practiceSessions.length === 0;
+    deleteSessionButton.disabled = practiceSessions.length === 0;
+    exportSessionsButton.disabled = practiceSessions.length === 0;
+    showSessionReport();
+}
+
+// Start recording a practice session, or stop and store the one being recorded
+async function toggleSessionRecording() {
+    if (!sessionRecorder.isRecording) {
+        sessionRecorder.start({
+            instrument: instrumentSelect.value,
+            tuning: selectedTuning ? selectedTuning.name : null,
+            referenceFrequency,
+            temperament: temperament.name
+        });
+        recordSessionButton.textContent = 'Stop Recording';
+        recordSessionButton.setAttribute('aria-pressed', 'true');
+        showPracticeSessionMessage(tuner.isRunning ? 'Recording...' : 'Recording starts when the tuner is started');
+        return;
+    }
+
+    const session = sessionRecorder.stop();
+    recordSessionButton.textContent = 'Start Recording';
+    recordSessionButton.setAttribute('aria-pressed', 'false');
+
+    if (session.events.length === 0) {
+        showPracticeSessionMessage('No notes were recorded', true);
+        return;
+    }
+
+    try {
+        await saveSession(session);
+        practiceSessions.push(session);
+        renderSessionOptions(session.id);
+        showPracticeSessionMessage(`Recorded ${session.events.length} note(s)`);
+    } catch (error) {
+        console.error('Error saving practice session:', error);
+        showPracticeSessionMessage(error.message, true);
+    }
+}
+
+// Show the intonation report of the selected session, compared with the sessions before it
+function showSessionReport() {
+    const session = practiceSessions.find(entry => entry.id === sessionHistorySelect.value);
+    sessionReport.hidden = !session;
+
+    if (!session) {
+        return;
+    }
+
+    const report = createSessionReport(session);
+    const comparison = compareWithEarlierSessions(session, practiceSessions);
+    const signed = cents => `${cents > 0 ? '+' : ''}${cents.toFixed(1)}`;
+    const summary = [`Average deviation: ${report.meanAbsoluteCents.toFixed(1)} cents, stability ±${report.standardDeviation.toFixed(1)} cents`];
+
+    if (comparison.meanAbsoluteCentsChange !== null) {
+        summary.push(`${signed(comparison.meanAbsoluteCentsChange)} cents compared with the average of ${comparison.earlierSessions} earlier session(s)`);
+    }
+
+    // Tendencies concern a pitch class in every octave, so only the note name is written
+    report.tendencies.forEach(tendency => {
+        const { note } = formatNote(tendency.note, 4, notation);
+        const direction = tendency.meanCents > 0 ? 'sharp' : 'flat';
+        summary.push(`${note} consistently ${Math.abs(tendency.meanCents).toFixed(0)} cents ${direction}`);
+    });
+
+    if (report.tendencies.length === 0) {
+        summary.push('No note was consistently sharp or flat');
+    }
+
+    sessionSummaryList.innerHTML = '';
+    summary.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        sessionSummaryList.appendChild(item);
+    });
+
+    sessionNotesBody.innerHTML = '';
+    report.notes.forEach((entry, index) => {
+        const written = formatNote(entry.note, entry.octave, notation);
+        const change = comparison.notes[index].meanCentsChange;
+        appendTableRow(sessionNotesBody, [
+            `${written.note}${written.octave}`,
+            `${entry.duration.toFixed(1)} s`,
+            `${signed(entry.meanCents)} cents`,
+            `±${entry.standardDeviation.toFixed(1)} cents`,
+            change !== null ? `${change <= 0 ? 'closer by' : 'further by'} ${Math.abs(change).toFixed(1)} cents` : '-'
+        ]);
+    });
+}
+
+// Delete the selected practice session
+async function deletePracticeSession() {
+    const sessionId = sessionHistorySelect.value;
+
+    try {
+        await deleteSession(sessionId);
+        practiceSessions = practiceSessions.filter(session => session.id !== sessionId);
+        renderSessionOptions();
+        showPracticeSessionMessage('Deleted session');
+    } catch (error) {
+        console.error('Error deleting practice session:', error);
+        showPracticeSessionMessage(error.message, true);
+    }
+}
+
+// Download all practice sessions with their reports as a JSON file
+async function exportPracticeSessions() {
+    try {
+        downloadFile(await exportSessions(), 'application/json', 'web-tuner-practice-sessions.json');
+    } catch (error) {
+        console.error('Error exporting practice sessions:', error);
+        showPracticeSessionMessage(error.message, true);
+    }
+}
+
+// Rebuild the piano's stretched targets from the measured inharmonicity
+function updateStretchCurve() {
+    stretchCurve = createStretchCurve(createInharmonicityCurve(inharmonicityMeasurements), referenceFrequency, temperament);
+    drawStretchCurve();
+}
+
+// Forget all inharmonicity measurements and return to the typical curve
+function resetInharmonicity() {
+    inharmonicityMeasurements = {};
+    saveInharmonicityMeasurements(inharmonicityMeasurements);
+    updateStretchCurve();
+}
+
+// Store an inharmonicity measurement of a piano key
+function recordInharmonicity(key, measurement) {
+    if (!measurement) {
+        return;
+    }
+
+    // Average with the previous measurement to smooth out noisy readings
+    const previous = inharmonicityMeasurements[key];
+    inharmonicityMeasurements[key] = previous ? (previous + measurement.inharmonicity) / 2 : measurement.inharmonicity;
+
+    saveInharmonicityMeasurements(inharmonicityMeasurements);
+
+    // The tuner keeps matching keys against the curve it was given, which moves by only a few cents;
+    // readings are measured against the new curve
+    updateStretchCurve();
+}
+
+// Draw the stretch of every piano key, marking the measured keys and the key being played
+function drawStretchCurve() {
+    const context = stretchCurveCanvas.getContext('2d');
+    const { width, height } = stretchCurveCanvas;
+    const styles = getComputedStyle(document.documentElement);
+
+    // Scale the vertical axis to the largest stretch, at least ±5 cents
+    const maxCents = Math.max(5, ...stretchCurve.map(entry => Math.abs(entry.stretchCents)));
+    const x = key => (key - 0.5) / stretchCurve.length * width;
+    const y = cents => height / 2 - cents / maxCents * (height / 2 - 10);
+
+    context.clearRect(0, 0, width, height);
+
+    // Unstretched tuning
+    context.strokeStyle = styles.getPropertyValue('--secondary-color');
+    context.lineWidth = 1;
+    context.beginPath();
+    context.moveTo(0, y(0));
+    context.lineTo(width, y(0));
+    context.stroke();
+
+    // Stretch curve
+    context.strokeStyle = styles.getPropertyValue('--primary-color');
+    context.lineWidth = 2;
+    context.beginPath();
+    stretchCurve.forEach(entry => context.lineTo(x(entry.key), y(entry.stretchCents)));
+    context.stroke();
+
+    // Measured keys
+    context.fillStyle = styles.getPropertyValue('--success-color');
+    stretchCurve.filter(entry => inharmonicityMeasurements[entry.key]).forEach(entry => {
+        context.beginPath();
+        context.arc(x(entry.key), y(entry.stretchCents), 3, 0, 2 * Math.PI);
+        context.fill();
+    });
+
+    // Key being played
+    if (activeKey !== null) {
+        context.strokeStyle = styles.getPropertyValue('--accent-color');
+        context.beginPath();
+        context.moveTo(x(activeKey), 0);
+        context.lineTo(x(activeKey), height);
+        context.stroke();
+    }
+
+    context.fillStyle = styles.getPropertyValue('--text-color');
+    context.font = '12px sans-serif';
+    context.fillText(`+${maxCents.toFixed(0)} cents`, 5, 14);
+    context.fillText(`-${maxCents.toFixed(0)} cents`, 5, height - 5);
+}
+
+// Show the partial, stretch and inharmonicity of the piano key being played
+function updatePianoReadout(entry, partial) {
+    pianoPartialElement.textContent = `Partial: ${partial === 1 ? 'fundamental' : partial}`;
+    pianoStretchElement.textContent = `Stretch: ${entry.stretchCents >= 0 ? '+' : ''}${entry.stretchCents.toFixed(1)} cents`;
+    pianoInharmonicityElement.textContent = `B: ${entry.inharmonicity.toExponential(2)}${inharmonicityMeasurements[entry.key] ? ' (measured)' : ''}`;
+}
+
+// Get the audio context shared by the tuner and the tone generator
+function getAudioContext() {
+    return tuner.getAudioContext();
+}
+
+// Fill the tone generator's note dropdown, written in the selected notation
+function renderToneOptions(selectedNote = 'A4') {
+    toneNoteSelect.innerHTML = '';
+
+    for (let octave = 1; octave <= 7; octave++) {
+        NOTE_NAMES.forEach(note => {
+            const option = document.createElement('option');
+            option.value = `${note}${octave}`;
+            option.textContent = formatNoteName(option.value, notation);
+            toneNoteSelect.appendChild(option);
+        });
+    }
+
+    toneNoteSelect.value = selectedNote;
+}
+
+// Get the tone generator, creating it on first use
+function getToneGenerator() {
+    if (!toneGenerator) {
+        toneGenerator = new ToneGenerator(getAudioContext());
+        toneGenerator.onended = playNextTone;
+    }
+
+    return toneGenerator;
+}
+
+// Play the selected note, or stop the tone that is playing
+function toggleTone() {
+    if (toneGenerator && toneGenerator.isPlaying) {
+        stopTone();
+        return;
+    }
+
+    const { note, octave } = parseNoteName(toneNoteSelect.value);
+    toneQueue = [{ frequency: frequencyFromNote(note, octave, referenceFrequency, temperament), drone: toneDroneCheckbox.checked }];
+    playNextTone();
+}
+
+// Play the strings of the selected tuning one at a time
+function playStrings() {
+    if (!instrumentReferences) {
+        return;
+    }
+
+    // Strings are played one after another, never as a drone
+    toneQueue = instrumentReferences.frequencies.map(frequency => ({ frequency, drone: false }));
+    playNextTone();
+}
+
+// Play the next queued tone, or finish when the queue is empty
+function playNextTone() {
+    const generator = getToneGenerator();
+
+    if (toneQueue.length === 0) {
+        playToneButton.textContent = 'Play';
+        updateToneRejection();
+        return;
+    }
+
+    const { frequency, drone } = toneQueue.shift();
+
+    // Resume a context that was suspended by the browser's autoplay policy
+    getAudioContext().resume();
+    generator.play(frequency, { timbre: toneTimbreSelect.value, drone });
+
+    playToneButton.textContent = 'Stop';
+    updateToneRejection();
+}
+
+// Stop the reference tone and any queued strings
+function stopTone() {
+    toneQueue = [];
+
+    if (toneGenerator) {
+        toneGenerator.stop();
+    }
+
+    playToneButton.textContent = 'Play';
+    updateToneRejection();
+}
+
+// Keep the tuner listening during a reference tone without detecting the tone itself
+function updateToneRejection() {
+    tuner.setToneRejection(toneGenerator && toneGenerator.isPlaying ? toneGenerator.getPartialFrequencies() : []);
+}
+
+// Get the metronome, creating it on first use
+function getMetronome() {
+    if (!metronome) {
+        metronome = new Metronome(getAudioContext());
+        metronome.configure(getMetronomeSettings());
+        metronome.onbeat = handleMetronomeClick;
+    }
+
+    return metronome;
+}
+
+// Read the metronome settings from the controls
+function getMetronomeSettings() {
+    return {
+        tempo: parseInt(metronomeTempoInput.value, 10),
+        signature: timeSignatureSelect.value,
+        accents: beatAccents.slice(),
+        subdivision: parseInt(subdivisionSelect.value, 10)
+    };
+}
+
+// Apply the tempo, accents and subdivision chosen for the metronome
+function updateMetronome() {
+    metronomeTempoOutput.textContent = metronomeTempoInput.value;
+
+    if (metronome) {
+        metronome.configure(getMetronomeSettings());
+    }
+}
+
+// Start from the default accents of the selected time signature
+function updateTimeSignature() {
+    beatAccents = getDefaultAccents(timeSignatureSelect.value);
+    renderBeatAccents();
+    updateMetronome();
+}
+
+// Show a toggle for every beat of the bar, pressed when the beat is accented
+function renderBeatAccents() {
+    beatAccentsContainer.innerHTML = '';
+
+    beatAccents.forEach((accent, beat) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'beat-btn';
+        button.textContent = String(beat + 1);
+        button.setAttribute('aria-pressed', String(accent));
+        button.addEventListener('click', () => toggleBeatAccent(beat));
+        beatAccentsContainer.appendChild(button);
+    });
+}
+
+// Accent a beat of the bar, or remove its accent
+function toggleBeatAccent(beat) {
+    beatAccents[beat] = !beatAccents[beat];
+    beatAccentsContainer.children[beat].setAttribute('aria-pressed', String(beatAccents[beat]));
+    updateMetronome();
+}
+
+// Start or stop the metronome
+function toggleMetronome() {
+    const running = Boolean(metronome && metronome.isRunning);
+
+    if (running) {
+        metronome.stop();
+        clearMetronomeClicks();
+    } else {
+        // Resume a context that was suspended by the browser's autoplay policy
+        getAudioContext().resume();
+        getMetronome().start();
+    }
+
+    metronomeButton.setAttribute('aria-pressed', String(!running));
+    metronomeButton.textContent = running ? 'Start Metronome' : 'Stop Metronome';
+}
+
+// Set the metronome's tempo from the time between taps on the button
+function tapTempo() {
+    const tempo = getMetronome().tap();
+    if (tempo === null) {
+        return;
+    }
+
+    metronomeTempoInput.value = tempo;
+    updateMetronome();
+
+    // Tapping changes no control by itself, so the new tempo is saved here
+    saveSettings(getCurrentSettings());
+}
+
+// Keep the tuner from detecting a metronome click, and pulse the visualization when it sounds
+function handleMetronomeClick(click) {
+    const audioContext = getAudioContext();
+    tuner.ignoreInput(click.time, click.time + click.duration);
+
+    // Clicks are scheduled on the audio clock, while the visualization draws on the page's clock
+    const delay = (click.time + (audioContext.outputLatency || 0) - audioContext.currentTime) * 1000;
+    addMetronomeClick({ ...click, time: performance.now() + delay });
+}
+
+// Fill the input device dropdown, keeping the selected device while it is connected
+async function updateInputDevices() {
+    let devices;
+    try {
+        devices = await listInputDevices();
+    } catch (error) {
+        console.error('Error listing input devices:', error);
+        return;
+    }
+
+    const selectedId = inputDeviceSelect.value;
+    inputDeviceSelect.innerHTML = '<option value="">Default</option>';
+
+    devices.filter(device => device.deviceId && device.deviceId !== 'default').forEach(device => {
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        option.textContent = device.label;
+        inputDeviceSelect.appendChild(option);
+    });
+
+    const isConnected = devices.some(device => device.deviceId === selectedId);
+    inputDeviceSelect.value = isConnected ? selectedId : '';
+
+    // Fall back to the default device when the one in use was unplugged
+    if (selectedId && !isConnected && tuner.isRunning) {
+        switchInputStream();
+    }
+}
+
+// Reopen the microphone after the device or its processing was changed
+async function switchInputStream() {
+    tuner.configure({ deviceId: inputDeviceSelect.value, raw: rawAudioCheckbox.checked });
+
+    if (!tuner.isRunning) {
+        return;
+    }
+
+    try {
+        await tuner.setInput();
+    } catch (error) {
+        console.error('Error accessing microphone:', error);
+        alert('Could not access the selected input device. Please check permissions and try again.');
+    }
+}
+
+// Apply the input gain chosen with the slider
+function updateInputGain() {
+    inputGainOutput.textContent = `${inputGainInput.value} dB`;
+    tuner.configure({ inputGain: parseFloat(inputGainInput.value) });
+}
+
+// Show the input level and light the clipping indicator on every animation frame
+function updateLevelMeter() {
+    // The tuner may have stopped by itself, e.g. when its input ended
+    const level = tuner.measureInputLevel();
+    if (!level) {
+        levelFrameId = null;
+        return;
+    }
+
+    const { rms, clipped } = level;
+    const now = performance.now();
+    if (noiseCalibration) {
+        noiseCalibration.push(rms);
+    }
+    if (clipped) {
+        clipUntil = now + CLIP_HOLD_TIME;
+    }
+
+    levelBar.style.width = `${(1 - rms / MIN_LEVEL_DB) * 100}%`;
+    levelMeter.setAttribute('aria-valuenow', rms.toFixed(0));
+    clipIndicator.classList.toggle('clipping', now < clipUntil);
+
+    levelFrameId = requestAnimationFrame(updateLevelMeter);
 }
 
 // Toggle microphone listening
 async function toggleListening() {
-    if (isListening) {
+    if (tuner.isRunning) {
         stopListening();
         startButton.textContent = 'Start Tuner';
     } else {
         try {
             await startListening();
-            startButton.textContent = 'Stop Tuner';
+
+            // The tuner may have been stopped again while the microphone was opening
+            startButton.textContent = tuner.isRunning ? 'Stop Tuner' : 'Start Tuner';
         } catch (error) {
             console.error('Error accessing microphone:', error);
             alert('Could not access microphone. Please check permissions and try again.');
@@ -66,97 +1799,220 @@ async function toggleListening() {
 
 // Start listening to microphone
 async function startListening() {
-    // Create audio context if it doesn't exist
-    if (!audioContext) {
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    }
-
-    // Get microphone access
-    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    await tuner.start();
 
-    // Create microphone source
-    microphone = audioContext.createMediaStreamSource(stream);
-
-    // Create analyzer node
-    analyzer = audioContext.createAnalyser();
-    analyzer.fftSize = 2048;
+    // Stopped again during the permission prompt
+    if (!tuner.isRunning) {
+        return;
+    }
 
-    // Connect microphone to analyzer
-    microphone.connect(analyzer);
+    // Device names become available once access is granted
+    updateInputDevices();
 
     // Set analyzer for visualization
-    setAnalyzer(analyzer);
+    setAnalyzer(tuner.analyzer);
 
-    // Start processing audio
-    isListening = true;
-    processAudio();
+    // Measure the input level for the level meter
+    updateLevelMeter();
+
+    // Phones must not go to sleep in the middle of tuning
+    keepScreenOn();
 }
 
 // Stop listening to microphone
 function stopListening() {
-    if (microphone) {
-        microphone.disconnect();
-        microphone = null;
-    }
+    tuner.stop();
+    allowScreenOff();
+    handleSilence();
 
-    if (animationFrameId) {
-        cancelAnimationFrame(animationFrameId);
-        animationFrameId = null;
+    if (levelFrameId) {
+        cancelAnimationFrame(levelFrameId);
+        levelFrameId = null;
     }
+    levelBar.style.width = '0';
+    levelMeter.setAttribute('aria-valuenow', String(MIN_LEVEL_DB));
+    clipIndicator.classList.remove('clipping');
 
-    isListening = false;
+    setCurrentPitch(null);
+    updateConfidence(0);
     updateDisplay(null, null, null);
 }
 
-// Process audio data
-function processAudio() {
-    // Create buffer for frequency data
-    const bufferLength = analyzer.frequencyBinCount;
-    const dataArray = new Float32Array(bufferLength);
+// Show errors of the tuner engine; failures to start are shown by toggleListening()
+function handleTunerError({ detail: { error } }) {
+    console.error('Tuner error:', error);
 
-    // Get time domain data
-    analyzer.getFloatTimeDomainData(dataArray);
+    if (!tuner.isRunning) {
+        return;
+    }
+
+    // Nothing can be heard once the input ended, e.g. because the microphone was unplugged
+    if (error.name === 'InputEndedError') {
+        stopListening();
+        startButton.textContent = 'Start Tuner';
+        showSettingsNotice('The microphone stopped sending sound. Check that it is connected and start the tuner again.');
+        return;
+    }
+
+    showSettingsNotice(`The tuner ran into a problem: ${error.message}`);
+}
+
+// Show a reading of the tuner engine
+function handlePitch({ detail: reading }) {
+    updateConfidence(reading.confidence);
 
-    // Detect pitch
-    const frequency = detectPitch(dataArray, audioContext.sampleRate);
+    // A strum is analyzed as a whole rather than as a single pitch
+    if (reading.strings) {
+        showStrumReadings(reading);
+        return;
+    }
+
+    setCurrentPitch(reading.frequency !== -1 ? reading.frequency : null);
 
-    if (frequency !== -1) {
-        // Get note information
-        const { note, octave, cents } = noteFromFrequency(frequency, referenceFrequency);
+    if (reading.frequency === -1) {
+        return;
+    }
 
-        // Update display
-        updateDisplay(note, octave, frequency, cents);
+    if (pianoMode) {
+        processPianoReading(reading);
+    } else {
+        // The engine measures strings against their targets and other notes against the nearest note
+        setStrobeTarget(reading.targetFrequency);
+        updateDisplay(reading.note, reading.octave, reading.frequency, reading.cents);
     }
+}
 
-    // Continue processing in animation frame
-    animationFrameId = requestAnimationFrame(processAudio);
+// Highlight the string or piano key that started to sound
+function handleNoteChange({ detail: reading }) {
+    if (pianoMode) {
+        activeKey = stretchCurve[reading.targetIndex].key;
+        drawStretchCurve();
+    } else if (instrumentReferences) {
+        activeStringIndex = reading.targetIndex;
+        updateStringDisplay();
+    }
+}
+
+// Apply the selected transposition and note spelling to every displayed note name
+function updateNotation() {
+    notation = createNotation({
+        transposition: transpositionSelect.value,
+        spelling: spellingSelect.value,
+        system: notationSystemSelect.value
+    });
+
+    renderTuningOptions(tuningSelect.value);
+    renderToneOptions(toneNoteSelect.value);
+    renderStrings();
+    renderStrumOverview();
+    updateNoteAxis();
+
+    if (fileAnalysis) {
+        renderFileAnalysis();
+    }
+    showSessionReport();
+}
+
+// Measure a reading against the stretched target of its piano key
+function processPianoReading({ frequency, confidence, targetIndex }) {
+    const entry = stretchCurve[targetIndex];
+    const key = entry.key;
+
+    // The extreme bass and treble can be tuned on a chosen partial instead of the fundamental
+    const partial = getTuningPartial(key, parseInt(bassPartialSelect.value, 10), parseInt(treblePartialSelect.value, 10));
+    const targetFrequency = partialFrequency(entry.frequency, entry.inharmonicity, partial);
+
+    // Spectral analysis is expensive, so partials are measured at a limited rate
+    const now = performance.now();
+    const needsSpectrum = partial > 1 || measureInharmonicityCheckbox.checked;
+
+    if (needsSpectrum && now - lastPartialAnalysis >= PARTIAL_ANALYSIS_INTERVAL) {
+        lastPartialAnalysis = now;
+
+        const { partialAnalyzer, audioContext } = tuner;
+        const buffer = new Float32Array(partialAnalyzer.fftSize);
+        partialAnalyzer.getFloatTimeDomainData(buffer);
+        const spectrum = computePartialSpectrum(buffer, audioContext.sampleRate);
+
+        if (partial > 1) {
+            const measured = findPartial(spectrum, partialFrequency(frequency, entry.inharmonicity, partial));
+            partialReading = measured !== -1 ? { key, partial, frequency: measured } : null;
+        }
+
+        if (measureInharmonicityCheckbox.checked && confidence >= MEASURE_CONFIDENCE) {
+            recordInharmonicity(key, measureInharmonicity(spectrum, frequency, audioContext.sampleRate));
+        }
+    }
+
+    // Until the partial has been measured, estimate it from the fundamental
+    const isCurrentReading = partialReading && partialReading.key === key && partialReading.partial === partial;
+    const partialValue = partial === 1
+        ? frequency
+        : isCurrentReading ? partialReading.frequency : partialFrequency(frequency, entry.inharmonicity, partial);
+
+    const cents = centsBetween(partialValue, targetFrequency);
+    setStrobeTarget(entry.frequency);
+    const { note, octave } = parseNoteName(entry.name);
+    updatePianoReadout(entry, partial);
+
+    updateDisplay(note, octave, partialValue, cents);
 }
 
 // Update reference frequency
 function updateReferenceFrequency() {
-    referenceFrequency = parseFloat(referenceFreqInput.value);
+    const value = validateSetting('reference', referenceFreqInput.value);
+
+    // Keep the previous reference when the input is empty or out of range
+    if (value === undefined) {
+        showSettingsNotice(`The A4 reference must be between ${referenceFreqInput.min} and ${referenceFreqInput.max} Hz`);
+        referenceFreqInput.value = referenceFrequency;
+        return;
+    }
+
+    referenceFrequency = value;
+    settingsNotice.hidden = true;
+    updateNoteAxis();
+
+    // String targets depend on the reference frequency
+    updateTuning();
+}
+
+// Show how clearly the detector recognized a pitch
+function updateConfidence(confidence) {
+    const percentage = Math.round(confidence * 100);
+
+    confidenceBar.style.width = `${percentage}%`;
+    confidenceValue.textContent = `${percentage}%`;
+
+    // Dim the note when the reading is weak
+    noteDisplay.classList.toggle('weak', confidence < WEAK_CONFIDENCE);
 }
 
 // Update display with note information
 function updateDisplay(note, octave, frequency, cents = 0) {
-    if (note && octave && frequency) {
-        noteNameElement.textContent = note;
-        octaveElement.textContent = octave;
+    if (note && octave !== null && frequency) {
+        // Notes are recognized at concert pitch and written in the selected notation
+        const written = formatNote(note, octave, notation);
+        noteNameElement.textContent = written.note;
+        octaveElement.textContent = written.octave;
         frequencyDisplay.textContent = `${frequency.toFixed(2)} Hz`;
-        centsDeviationElement.textContent = `${cents.toFixed(0)} cents`;
+        centsDeviationElement.textContent = `${cents.toFixed(0)} cents (${tuningDirection(cents)})`;
+        addPitchReading(frequency, cents);
+        sessionRecorder.record(note, octave, cents);
 
         // Update meter position based on cents deviation
         const position = 50 + (cents / 50) * 50; // Convert cents to percentage (±50 cents = ±50%)
         meterIndicator.style.left = `${Math.max(0, Math.min(100, position))}%`;
+        meterScale.setAttribute('aria-valuenow', String(Math.max(-50, Math.min(50, Math.round(cents)))));
+        meterScale.setAttribute('aria-valuetext', describeTuning(written.note, cents));
 
-        // Change color based on tuning accuracy
-        if (Math.abs(cents) < 5) {
-            meterIndicator.style.backgroundColor = 'var(--success-color)';
-        } else if (Math.abs(cents) < 15) {
-            meterIndicator.style.backgroundColor = 'var(--accent-color)';
-        } else {
-            meterIndicator.style.backgroundColor = 'var(--error-color)';
-        }
+        // Show the tuning accuracy by colour and by the indicator's shape
+        const deviation = Math.abs(cents);
+        meterIndicator.classList.toggle('in-tune', deviation < IN_TUNE_CENTS);
+        meterIndicator.classList.toggle('close', deviation >= IN_TUNE_CENTS && deviation < CLOSE_CENTS);
+        meterIndicator.classList.toggle('off', deviation >= CLOSE_CENTS);
+
+        updateAccessibleFeedback(written.note, cents);
     } else {
         // Reset display when not listening
         noteNameElement.textContent = '--';
@@ -164,7 +2020,123 @@ function updateDisplay(note, octave, frequency, cents = 0) {
         frequencyDisplay.textContent = '0 Hz';
         centsDeviationElement.textContent = '0 cents';
         meterIndicator.style.left = '50%';
-        meterIndicator.style.backgroundColor = 'var(--accent-color)';
+        meterIndicator.classList.remove('in-tune', 'close', 'off');
+        meterScale.setAttribute('aria-valuenow', '0');
+        meterScale.setAttribute('aria-valuetext', 'No note');
+    }
+}
+
+// Announce the tuning to screen readers and guide the player with the audio cue, as enabled
+function updateAccessibleFeedback(name, cents) {
+    if (announceTuningCheckbox.checked) {
+        tuningAnnouncer.update(name, cents);
+    }
+
+    if (audioCueCheckbox.checked) {
+        const cue = getTuningCue();
+
+        // The window follows the detection range, so the time the tuner is deaf after a tick changes with it
+        cue.detectionGap = tuner.getIgnoredInputTime() * 1000;
+        cue.update(cents);
+    }
+}
+
+// Get the audio cue, creating it on first use
+function getTuningCue() {
+    if (!tuningCue) {
+        tuningCue = new TuningCue(getAudioContext());
+
+        // The microphone hears the ticks, which must not be taken for the instrument
+        tuningCue.ontick = ({ time, duration }) => tuner.ignoreInput(time, time + duration);
+    }
+
+    return tuningCue;
+}
+
+// Start or stop announcing the tuning
+function updateAnnouncements() {
+    tuningAnnouncer.reset();
+}
+
+// Stop the audio cue when it is turned off; it starts with the next reading when turned on
+function updateAudioCue() {
+    if (!audioCueCheckbox.checked && tuningCue) {
+        tuningCue.stop();
+    }
+}
+
+// Switch between the standard and the colour-blind safe colours
+function updateColorPalette() {
+    document.body.classList.toggle('colorblind-palette', colorPaletteSelect.value === 'colorblind');
+    setColorPalette(colorPaletteSelect.value);
+}
+
+// Mark a string as tuned and let the player feel it
+function handleInTune() {
+    updateStringDisplay();
+
+    if (vibrateCheckbox.checked) {
+        vibrateInTune();
+    }
+}
+
+// Stop the audio cue once the note has ended, and announce the next note as a new one
+function handleSilence() {
+    tuningAnnouncer.reset();
+
+    if (tuningCue) {
+        tuningCue.stop();
+    }
+}
+
+// Open the file picker of a label styled as a button with Enter or Space, like a real button
+function activateFileButton(event) {
+    if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        document.getElementById(event.currentTarget.htmlFor).click();
+    }
+}
+
+// Control the tuner from the keyboard, unless the shortcuts are turned off or a form control has the focus
+async function handleKeyboardShortcut(event) {
+    // Single keys can be pressed by accident, e.g. by speech input, so they can be turned off;
+    // on form controls they keep their own meaning
+    if (!shortcutsCheckbox.checked || event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey
+        || event.target.matches('input, select, textarea')) {
+        return;
+    }
+
+    const key = event.key.toLowerCase();
+    const stringCount = instrumentReferences ? instrumentReferences.strings.length : 0;
+
+    if (key >= '1' && key <= '9' && Number(key) <= stringCount) {
+        event.preventDefault();
+        selectString(Number(key) - 1);
+        tuningAnnouncer.announce(`Locked to string ${key}`);
+    } else if (key === '0' && stringCount > 0) {
+        event.preventDefault();
+        lockStringCheckbox.checked = false;
+        updateStringLock();
+        tuningAnnouncer.announce('String unlocked');
+    } else if (key === 'a') {
+        event.preventDefault();
+        tuningAnnouncer.repeat();
+    } else if (key === 'c') {
+        event.preventDefault();
+        audioCueCheckbox.checked = !audioCueCheckbox.checked;
+        updateAudioCue();
+        saveSettings(getCurrentSettings());
+        tuningAnnouncer.announce(audioCueCheckbox.checked ? 'Audio cue on' : 'Audio cue off');
+    } else if (key === 'p') {
+        event.preventDefault();
+        toggleTone();
+    } else if (key === 'm') {
+        event.preventDefault();
+        toggleMetronome();
+    } else if (key === 't') {
+        event.preventDefault();
+        await toggleListening();
+        tuningAnnouncer.announce(tuner.isRunning ? 'Tuner started' : 'Tuner stopped');
     }
 }
 
@@ -0,0 +1,287 @@
+/**
+ * Metronome Module
+ * Plays metronome clicks on the tuner's AudioContext, scheduled ahead on the audio clock
+ *
+ * A timer wakes up every SCHEDULER_INTERVAL and schedules the clicks of the next
+ * SCHEDULE_AHEAD seconds at exact audio times, so the beat stays steady while the main
+ * thread is busy with pitch detection and drawing. The microphone hears the clicks too;
+ * onbeat reports when each click sounds, so the tuner can ignore its input meanwhile.
+ */
+
+// Slowest and fastest tempo in beats per minute
+export const MIN_TEMPO = 30;
+export const MAX_TEMPO = 300;
+
+// Tempo the metronome starts at
+export const DEFAULT_TEMPO = 100;
+
+// Time signatures with the beats per bar and the beats accented by default, counted from 0
+// The tempo counts the note value of the signature, e.g. eighth notes in 6/8.
+export const TIME_SIGNATURES = {
+    '2/4': { beats: 2, accents: [0] },
+    '3/4': { beats: 3, accents: [0] },
+    '4/4': { beats: 4, accents: [0] },
+    '5/4': { beats: 5, accents: [0, 3] },
+    '6/8': { beats: 6, accents: [0, 3] },
+    '7/8': { beats: 7, accents: [0, 2, 4] },
+    '9/8': { beats: 9, accents: [0, 3, 6] },
+    '12/8': { beats: 12, accents: [0, 3, 6, 9] }
+};
+
+// Number of clicks each beat can be divided into
+export const SUBDIVISIONS = [1, 2, 3, 4];
+
+// Length of a click in seconds
+export const CLICK_DURATION = 0.03;
+
+// How often the scheduler runs in milliseconds, and how far ahead it schedules clicks in seconds
+const SCHEDULER_INTERVAL = 25;
+const SCHEDULE_AHEAD = 0.1;
+
+// Delay before the first click in seconds, so it is not scheduled in the past
+const START_DELAY = 0.05;
+
+// Pitch in Hz and relative volume of the clicks on accented beats, other beats and subdivisions
+const CLICK_SOUNDS = {
+    accent: { frequency: 2000, volume: 1 },
+    beat: { frequency: 1500, volume: 0.6 },
+    subdivision: { frequency: 1000, volume: 0.3 }
+};
+
+// Output volume of the metronome
+const METRONOME_VOLUME = 0.5;
+
+// Pause in milliseconds after which a tap starts a new tap tempo measurement
+const TAP_TIMEOUT = 2000;
+
+// Number of most recent taps the tap tempo is averaged over
+const MAX_TAPS = 5;
+
+/**
+ * Get the beats of a time signature that are accented by default
+ * @param {string} signature - Time signature, see TIME_SIGNATURES
+ * @returns {boolean[]} - Whether each beat of the bar is accented
+ */
+export function getDefaultAccents(signature) {
+    const { beats, accents } = TIME_SIGNATURES[signature];
+    return Array.from({ length: beats }, (_, beat) => accents.includes(beat));
+}
+
+/**
+ * Limit a tempo to the range the metronome can play
+ * @param {number} tempo - Tempo in beats per minute
+ * @returns {number} - Tempo between MIN_TEMPO and MAX_TEMPO
+ */
+function clampTempo(tempo) {
+    return Math.max(MIN_TEMPO, Math.min(MAX_TEMPO, tempo));
+}
+
+/**
+ * Metronome scheduled on an AudioContext
+ */
+export class Metronome {
+    /**
+     * @param {AudioContext} audioContext - The audio context to play on
+     * @param {AudioNode} destination - Node the clicks are sent to (default: the speakers)
+     */
+    constructor(audioContext, destination = audioContext.destination) {
+        this.audioContext = audioContext;
+        this.output = audioContext.createGain();
+        this.output.gain.value = METRONOME_VOLUME;
+        this.output.connect(destination);
+
+        this.settings = {
+            tempo: DEFAULT_TEMPO, // Beats per minute
+            signature: '4/4', // Time signature, see TIME_SIGNATURES
+            accents: getDefaultAccents('4/4'), // Whether each beat of the bar is accented
+            subdivision: 1 // Clicks per beat
+        };
+
+        this.timerId = null; // Scheduler timer while the metronome runs
+        this.nextClickTime = 0; // Audio time of the next click to schedule, in seconds
+        this.beat = 0; // Beat of the bar the next click belongs to
+        this.subdivisionIndex = 0; // Position of the next click within its beat, 0 on the beat
+        this.voices = new Set(); // Clicks scheduled but not finished, stopped early by stop()
+        this.taps = []; // Times of the recent taps in milliseconds
+
+        // Called for every scheduled click with its time, length and place in the bar
+        this.onbeat = null;
+    }
+
+    /**
+     * Whether the metronome is running
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.timerId !== null;
+    }
+
+    /**
+     * Change the metronome settings, taking effect from the next scheduled click
+     * @param {Object} settings - Object with tempo, signature, accents and subdivision
+     */
+    configure(settings) {
+        const signatureChanged = settings.signature !== undefined && settings.signature !== this.settings.signature;
+
+        Object.assign(this.settings, settings);
+        this.settings.tempo = clampTempo(this.settings.tempo);
+
+        if (signatureChanged) {
+            // A new signature starts a new bar with its own accents
+            if (settings.accents === undefined) {
+                this.settings.accents = getDefaultAccents(this.settings.signature);
+            }
+            this.beat = 0;
+            this.subdivisionIndex = 0;
+        }
+
+        // Move on to the next beat if the current one no longer has this many clicks
+        if (this.subdivisionIndex >= this.settings.subdivision) {
+            this.subdivisionIndex = 0;
+            this.beat = (this.beat + 1) % TIME_SIGNATURES[this.settings.signature].beats;
+        }
+    }
+
+    /**
+     * Start clicking on the first beat of a bar
+     */
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.beat = 0;
+        this.subdivisionIndex = 0;
+        this.nextClickTime = this.audioContext.currentTime + START_DELAY;
+
+        this.schedule();
+        this.timerId = setInterval(() => this.schedule(), SCHEDULER_INTERVAL);
+    }
+
+    /**
+     * Stop clicking, silencing clicks that were already scheduled
+     */
+    stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        clearInterval(this.timerId);
+        this.timerId = null;
+
+        this.voices.forEach(source => source.stop());
+        this.voices.clear();
+    }
+
+    /**
+     * Schedule every click that falls within the next SCHEDULE_AHEAD seconds
+     */
+    schedule() {
+        const now = this.audioContext.currentTime;
+
+        // After the page was throttled in the background, skip the clicks that were missed
+        // rather than playing them all at once
+        while (this.nextClickTime < now) {
+            this.advance();
+        }
+
+        while (this.nextClickTime < now + SCHEDULE_AHEAD) {
+            this.scheduleClick();
+            this.advance();
+        }
+    }
+
+    /**
+     * Schedule the next click and report it
+     */
+    scheduleClick() {
+        const { signature, accents } = this.settings;
+        const time = this.nextClickTime;
+        const onBeat = this.subdivisionIndex === 0;
+        const accent = onBeat && accents[this.beat];
+
+        let sound = CLICK_SOUNDS.subdivision;
+        if (onBeat) {
+            sound = accent ? CLICK_SOUNDS.accent : CLICK_SOUNDS.beat;
+        }
+        this.playClick(time, sound);
+
+        if (this.onbeat) {
+            this.onbeat({
+                time,
+                duration: CLICK_DURATION,
+                beat: this.beat,
+                beats: TIME_SIGNATURES[signature].beats,
+                subdivision: this.subdivisionIndex,
+                accent
+            });
+        }
+    }
+
+    /**
+     * Move on to the next click of the bar
+     */
+    advance() {
+        const { tempo, signature, subdivision } = this.settings;
+
+        this.nextClickTime += 60 / tempo / subdivision;
+        this.subdivisionIndex++;
+
+        if (this.subdivisionIndex >= subdivision) {
+            this.subdivisionIndex = 0;
+            this.beat = (this.beat + 1) % TIME_SIGNATURES[signature].beats;
+        }
+    }
+
+    /**
+     * Play a single click
+     * @param {number} time - Audio time of the click in seconds
+     * @param {Object} sound - Object with frequency in Hz and relative volume
+     */
+    playClick(time, { frequency, volume }) {
+        const context = this.audioContext;
+        const source = context.createOscillator();
+        const envelope = context.createGain();
+
+        // A short attack avoids a pop, and the exponential decay makes the sine sound like a click
+        source.frequency.value = frequency;
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(volume, time + 0.001);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + CLICK_DURATION);
+
+        source.connect(envelope);
+        envelope.connect(this.output);
+        source.start(time);
+        source.stop(time + CLICK_DURATION);
+
+        this.voices.add(source);
+        source.onended = () => {
+            envelope.disconnect();
+            this.voices.delete(source);
+        };
+    }
+
+    /**
+     * Set the tempo from the time between taps
+     * @param {number} time - Time of the tap in milliseconds
+     * @returns {number|null} - The new tempo, or null until there are two taps to measure
+     */
+    tap(time = performance.now()) {
+        const lastTap = this.taps[this.taps.length - 1];
+        if (lastTap !== undefined && time - lastTap > TAP_TIMEOUT) {
+            this.taps = [];
+        }
+
+        this.taps.push(time);
+        this.taps = this.taps.slice(-MAX_TAPS);
+
+        if (this.taps.length < 2) {
+            return null;
+        }
+
+        const interval = (this.taps[this.taps.length - 1] - this.taps[0]) / (this.taps.length - 1);
+        this.configure({ tempo: Math.round(60000 / interval) });
+
+        return this.settings.tempo;
+    }
+}
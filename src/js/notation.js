@@ -0,0 +1,100 @@
+/**
+ * Notation Module
+ * Spells notes for display: transposition for B♭, E♭ and F instruments, sharp or
+ * flat spelling, and English, German or fixed-do solfège note names
+ *
+ * Notes are always detected at concert pitch; the notation only changes how they are written.
+ */
+
+// Concert pitch names of the 12 pitch classes, as used throughout the app
+const CONCERT_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Semitones between the sounding and the written pitch of each instrument key
+export const TRANSPOSITIONS = {
+    C: { name: 'Concert Pitch (C)', semitones: 0 },
+    Bb: { name: 'B♭ Instrument', semitones: 2 }, // Trumpet, clarinet, tenor sax: written a major second higher
+    Eb: { name: 'E♭ Instrument', semitones: 9 }, // Alto sax: written a major sixth higher
+    F: { name: 'F Instrument', semitones: 7 } // Horn: written a perfect fifth higher
+};
+
+// Note names of each notation system for every pitch class, spelled with sharps, flats or the most common choice
+export const NOTATION_SYSTEMS = {
+    english: {
+        name: 'English (C D E)',
+        sharps: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'],
+        flats: ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'],
+        auto: ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B']
+    },
+    german: {
+        name: 'German (H/B)',
+        sharps: ['C', 'Cis', 'D', 'Dis', 'E', 'F', 'Fis', 'G', 'Gis', 'A', 'Ais', 'H'],
+        flats: ['C', 'Des', 'D', 'Es', 'E', 'F', 'Ges', 'G', 'As', 'A', 'B', 'H'],
+        auto: ['C', 'Cis', 'D', 'Es', 'E', 'F', 'Fis', 'G', 'As', 'A', 'B', 'H']
+    },
+    solfege: {
+        name: 'Fixed-Do Solfège (Do Re Mi)',
+        sharps: ['Do', 'Do#', 'Re', 'Re#', 'Mi', 'Fa', 'Fa#', 'Sol', 'Sol#', 'La', 'La#', 'Si'],
+        flats: ['Do', 'Reb', 'Re', 'Mib', 'Mi', 'Fa', 'Solb', 'Sol', 'Lab', 'La', 'Sib', 'Si'],
+        auto: ['Do', 'Do#', 'Re', 'Mib', 'Mi', 'Fa', 'Fa#', 'Sol', 'Lab', 'La', 'Sib', 'Si']
+    }
+};
+
+// Accidental spellings that can be chosen
+export const SPELLINGS = ['sharps', 'flats', 'auto'];
+
+// Concert pitch with English sharp names, matching the raw note recognition output
+export const DEFAULT_NOTATION = { transposition: 'C', spelling: 'sharps', system: 'english' };
+
+/**
+ * Create a notation from display options, replacing unknown values with the defaults
+ * @param {Object} options - Object with transposition, spelling and system
+ * @returns {Object} - Normalized notation
+ */
+export function createNotation(options = {}) {
+    return {
+        transposition: options.transposition in TRANSPOSITIONS ? options.transposition : DEFAULT_NOTATION.transposition,
+        spelling: SPELLINGS.includes(options.spelling) ? options.spelling : DEFAULT_NOTATION.spelling,
+        system: options.system in NOTATION_SYSTEMS ? options.system : DEFAULT_NOTATION.system
+    };
+}
+
+/**
+ * Write a concert pitch note in the given notation
+ * @param {string} note - Concert pitch note name with sharps (e.g. 'A#')
+ * @param {number} octave - Concert pitch octave number
+ * @param {Object} notation - Notation created by createNotation() (default: concert pitch, English sharps)
+ * @returns {Object} - Object containing the written note name and octave
+ */
+export function formatNote(note, octave, notation = DEFAULT_NOTATION) {
+    const pitchClass = CONCERT_NAMES.indexOf(note);
+
+    if (pitchClass === -1 || octave === null || octave === undefined) {
+        return { note, octave };
+    }
+
+    // Count half steps from C0 so that transposing can cross octave boundaries
+    const written = octave * 12 + pitchClass + TRANSPOSITIONS[notation.transposition].semitones;
+    const writtenPitchClass = ((written % 12) + 12) % 12;
+
+    return {
+        note: NOTATION_SYSTEMS[notation.system][notation.spelling][writtenPitchClass],
+        octave: Math.floor(written / 12)
+    };
+}
+
+/**
+ * Write a note name such as 'A#4' in the given notation
+ * @param {string} name - Concert pitch note name with octave
+ * @param {Object} notation - Notation created by createNotation() (default: concert pitch, English sharps)
+ * @returns {string} - The written note name with octave, or the input if it cannot be parsed
+ */
+export function formatNoteName(name, notation = DEFAULT_NOTATION) {
+    const match = /^([A-G]#?)(-?\d+)$/.exec(name);
+
+    if (!match) {
+        return name;
+    }
+
+    const { note, octave } = formatNote(match[1], parseInt(match[2], 10), notation);
+    return `${note}${octave}`;
+}
@@ -1,45 +1,84 @@
 /**
  * Note Recognition Module
  * Converts frequencies to musical notes and calculates cents deviation
+ *
+ * Every function accepts an optional temperament (see temperaments.js); notes are
+ * tempered relative to A4, which always sounds at the reference frequency.
  */
 
+import { findBuiltInTuning } from './tunings.js';
+import { EQUAL_TEMPERAMENT, getTemperamentOffset } from './temperaments.js';
+import { DEFAULT_NOTATION, formatNote } from './notation.js';
+
 // Note names in scientific pitch notation
-const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Get the frequency of the note a number of half steps away from A4
+ * @param {number} halfStepsFromA4 - Number of half steps from A4
+ * @param {number} referenceFrequency - Reference frequency for A4 in Hz
+ * @param {Object} temperament - Temperament the note is tuned in
+ * @returns {number} - The frequency in Hz
+ */
+function frequencyFromHalfSteps(halfStepsFromA4, referenceFrequency, temperament) {
+    // A4 is the 57th half step above C0
+    const pitchClass = (((halfStepsFromA4 + 57) % 12) + 12) % 12;
+
+    // Deviation from equal temperament, relative to A which stays at the reference
+    const offset = getTemperamentOffset(temperament, pitchClass) - getTemperamentOffset(temperament, 9);
+
+    return referenceFrequency * Math.pow(2, (halfStepsFromA4 * 100 + offset) / 1200);
+}
 
 /**
  * Convert a frequency to a musical note
  * @param {number} frequency - The frequency in Hz
  * @param {number} referenceFrequency - Reference frequency for A4 in Hz (default: 440)
+ * @param {Object} temperament - Temperament to measure against (default: equal temperament)
+ * @param {Object} notation - Notation the note is written in, see notation.js (default: concert pitch, English sharps)
  * @returns {Object} - Object containing note name, octave, and cents deviation
  */
-export function noteFromFrequency(frequency, referenceFrequency = 440) {
+export function noteFromFrequency(frequency, referenceFrequency = 440, temperament = EQUAL_TEMPERAMENT, notation = DEFAULT_NOTATION) {
     // Guard against invalid input
     if (!frequency || frequency <= 0) {
         return { note: null, octave: null, cents: 0 };
     }
     
-    // Calculate the number of half steps away from A4
+    // Calculate the exact number of half steps away from A4 (including cents)
     // Formula: 12 * log2(f/referenceFrequency)
-    const halfStepsFromA4 = Math.round(12 * Math.log2(frequency / referenceFrequency));
-    
-    // Calculate the exact number of half steps (including cents)
     const exactHalfStepsFromA4 = 12 * Math.log2(frequency / referenceFrequency);
     
+    // A tempered note is never more than a half step away from its equal-tempered position,
+    // so the nearest note is the equal-tempered one or one of its neighbours
+    const nearestHalfSteps = Math.round(exactHalfStepsFromA4);
+    let halfStepsFromA4 = nearestHalfSteps;
+    let exactCents = Infinity;
+    
+    for (let candidate = nearestHalfSteps - 1; candidate <= nearestHalfSteps + 1; candidate++) {
+        const candidateFrequency = frequencyFromHalfSteps(candidate, referenceFrequency, temperament);
+        const candidateCents = 1200 * Math.log2(frequency / candidateFrequency);
+        
+        if (Math.abs(candidateCents) < Math.abs(exactCents)) {
+            exactCents = candidateCents;
+            halfStepsFromA4 = candidate;
+        }
+    }
+    
     // Calculate cents deviation (100 cents = 1 half step)
-    const cents = Math.round((exactHalfStepsFromA4 - halfStepsFromA4) * 100);
+    const cents = Math.round(exactCents);
     
     // A4 is the 57th note on the piano (0-indexed would be 56)
     // So we add 56 to get the note index from the half steps from A4
-    const noteIndex = (halfStepsFromA4 + 57) % 12;
+    const noteIndex = (((halfStepsFromA4 + 57) % 12) + 12) % 12;
     
     // Calculate the octave
     // A4 is in the 4th octave, and each octave has 12 half steps
     const octave = Math.floor((halfStepsFromA4 + 57) / 12);
     
-    // Get the note name
-    const note = NOTE_NAMES[noteIndex];
+    // Get the note name, written in the requested notation
+    const { note, octave: writtenOctave } = formatNote(NOTE_NAMES[noteIndex], octave, notation);
     
-    return { note, octave, cents };
+    return { note, octave: writtenOctave, cents };
 }
 
 /**
@@ -47,9 +86,10 @@ export function noteFromFrequency(frequency, referenceFrequency = 440) {
  * @param {string} note - The note name (e.g., 'A', 'C#')
  * @param {number} octave - The octave number
  * @param {number} referenceFrequency - Reference frequency for A4 in Hz (default: 440)
+ * @param {Object} temperament - Temperament the note is tuned in (default: equal temperament)
  * @returns {number} - The frequency in Hz
  */
-export function frequencyFromNote(note, octave, referenceFrequency = 440) {
+export function frequencyFromNote(note, octave, referenceFrequency = 440, temperament = EQUAL_TEMPERAMENT) {
     // Find the index of the note in the NOTE_NAMES array
     const noteIndex = NOTE_NAMES.indexOf(note);
     
@@ -61,8 +101,9 @@ export function frequencyFromNote(note, octave, referenceFrequency = 440) {
     // A4 is the 57th note on the piano (0-indexed would be 56)
     const halfStepsFromA4 = noteIndex + (octave * 12) - 57;
     
-    // Calculate the frequency using the formula: referenceFrequency * 2^(halfSteps/12)
-    const frequency = referenceFrequency * Math.pow(2, halfStepsFromA4 / 12);
+    // Calculate the frequency using the formula: referenceFrequency * 2^(halfSteps/12),
+    // shifted by the temperament's deviation from equal temperament
+    const frequency = frequencyFromHalfSteps(halfStepsFromA4, referenceFrequency, temperament);
     
     return frequency;
 }
@@ -71,17 +112,18 @@ export function frequencyFromNote(note, octave, referenceFrequency = 440) {
  * Get the closest note for a given frequency
  * @param {number} frequency - The frequency in Hz
  * @param {number} referenceFrequency - Reference frequency for A4 in Hz (default: 440)
+ * @param {Object} temperament - Temperament to measure against (default: equal temperament)
  * @returns {Object} - Object containing note name, octave, frequency, and cents deviation
  */
-export function getClosestNote(frequency, referenceFrequency = 440) {
-    const { note, octave, cents } = noteFromFrequency(frequency, referenceFrequency);
+export function getClosestNote(frequency, referenceFrequency = 440, temperament = EQUAL_TEMPERAMENT) {
+    const { note, octave, cents } = noteFromFrequency(frequency, referenceFrequency, temperament);
     
     if (!note) {
         return null;
     }
     
     // Calculate the exact frequency of the note
-    const exactFrequency = frequencyFromNote(note, octave, referenceFrequency);
+    const exactFrequency = frequencyFromNote(note, octave, referenceFrequency, temperament);
     
     return {
         note,
@@ -91,52 +133,66 @@ export function getClosestNote(frequency, referenceFrequency = 440) {
     };
 }
 
+/**
+ * Split a note name in scientific pitch notation into note and octave
+ * @param {string} name - The note name (e.g., 'E2', 'C#4')
+ * @returns {Object|null} - Object containing note name and octave, or null if the name is invalid
+ */
+export function parseNoteName(name) {
+    const match = /^([A-G]#?)(-?\d+)$/.exec(name);
+
+    if (!match || NOTE_NAMES.indexOf(match[1]) === -1) {
+        return null;
+    }
+
+    return { note: match[1], octave: parseInt(match[2], 10) };
+}
+
+/**
+ * Compute the per-string target frequencies of a tuning
+ * @param {Object} tuning - Tuning with a name and a list of note names (e.g., ['E2', 'A2', ...])
+ * @param {number} referenceFrequency - Reference frequency for A4 in Hz (default: 440)
+ * @param {Object} temperament - Temperament the strings are tuned in (default: equal temperament)
+ * @returns {Object} - Object containing the tuning name, string names and target frequencies
+ */
+export function getTuningReferences(tuning, referenceFrequency = 440, temperament = EQUAL_TEMPERAMENT) {
+    const frequencies = tuning.notes.map(name => {
+        const parsed = parseNoteName(name);
+
+        if (!parsed) {
+            throw new Error(`Invalid note name: ${name}`);
+        }
+
+        return frequencyFromNote(parsed.note, parsed.octave, referenceFrequency, temperament);
+    });
+
+    return {
+        name: tuning.name,
+        strings: tuning.notes.slice(),
+        frequencies
+    };
+}
+
 /**
  * Get reference frequencies for different instruments
+ * Instruments without fixed strings (e.g. piano) are returned as chromatic,
+ * meaning every note is matched against the nearest equal-tempered pitch.
  * @param {string} instrument - The instrument name
+ * @param {number} referenceFrequency - Reference frequency for A4 in Hz (default: 440)
+ * @param {string} tuningId - Id of a built-in tuning (default: 'standard')
+ * @param {Object} temperament - Temperament the strings are tuned in (default: equal temperament)
  * @returns {Object} - Object containing reference frequencies for the instrument
  */
-export function getInstrumentReferences(instrument) {
-    const references = {
-        guitar: {
-            strings: ['E2', 'A2', 'D3', 'G3', 'B3', 'E4'],
-            frequencies: [
-                frequencyFromNote('E', 2),
-                frequencyFromNote('A', 2),
-                frequencyFromNote('D', 3),
-                frequencyFromNote('G', 3),
-                frequencyFromNote('B', 3),
-                frequencyFromNote('E', 4)
-            ]
-        },
-        bass: {
-            strings: ['E1', 'A1', 'D2', 'G2'],
-            frequencies: [
-                frequencyFromNote('E', 1),
-                frequencyFromNote('A', 1),
-                frequencyFromNote('D', 2),
-                frequencyFromNote('G', 2)
-            ]
-        },
-        violin: {
-            strings: ['G3', 'D4', 'A4', 'E5'],
-            frequencies: [
-                frequencyFromNote('G', 3),
-                frequencyFromNote('D', 4),
-                frequencyFromNote('A', 4),
-                frequencyFromNote('E', 5)
-            ]
-        },
-        ukulele: {
-            strings: ['G4', 'C4', 'E4', 'A4'],
-            frequencies: [
-                frequencyFromNote('G', 4),
-                frequencyFromNote('C', 4),
-                frequencyFromNote('E', 4),
-                frequencyFromNote('A', 4)
-            ]
-        }
-    };
-    
-    return references[instrument] || null;
-}
\ No newline at end of file
+export function getInstrumentReferences(instrument, referenceFrequency = 440, tuningId = 'standard', temperament = EQUAL_TEMPERAMENT) {
+    if (instrument === 'piano') {
+        return {
+            chromatic: true,
+            strings: [],
+            frequencies: []
+        };
+    }
+
+    const tuning = findBuiltInTuning(instrument, tuningId);
+
+    return tuning ? getTuningReferences(tuning, referenceFrequency, temperament) : null;
+}
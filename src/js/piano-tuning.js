@@ -0,0 +1,356 @@
+/**
+ * Piano Tuning Module
+ * Measures string inharmonicity and builds a stretched (Railsback) tuning curve
+ *
+ * A stiff string's partials are sharper than whole multiples of its fundamental:
+ * partial n sounds at n * f0 * sqrt(1 + B * n²), where B is the inharmonicity.
+ * Tuning octaves beat-free against these sharp partials stretches the treble
+ * sharp and the bass flat compared to plain equal temperament.
+ * Keys are numbered 1 (A0) to 88 (C8).
+ */
+
+import { NOTE_NAMES, frequencyFromNote } from './note-recognition.js';
+import { EQUAL_TEMPERAMENT, getTemperamentOffset } from './temperaments.js';
+import { magnitudeSpectrum, nextPowerOfTwo } from './fft.js';
+
+// Number of keys and the key tuned to the reference frequency
+export const PIANO_KEY_COUNT = 88;
+export const A4_KEY = 49;
+
+// Keys up to this one (B1) and from this one (C7) are the extreme bass and treble,
+// where a partial other than the fundamental can be chosen for tuning
+export const EXTREME_BASS_LAST_KEY = 15;
+export const EXTREME_TREBLE_FIRST_KEY = 76;
+
+// Typical inharmonicity along the keyboard, used where nothing has been measured yet
+// (lowest in the tenor, rising steeply towards the short treble strings)
+const TYPICAL_INHARMONICITY = [
+    [1, 4e-4],
+    [28, 1.2e-4],
+    [52, 4e-4],
+    [76, 2.5e-3],
+    [88, 1.2e-2]
+];
+
+// Number of partials searched when measuring inharmonicity, and the fewest needed for a measurement
+const MAX_PARTIALS = 10;
+const MIN_PARTIALS = 3;
+
+// Distance in cents from the predicted partial within which a spectral peak is accepted
+const PARTIAL_SEARCH_CENTS = 40;
+
+// Peaks weaker than this fraction of the strongest peak are ignored
+const PARTIAL_THRESHOLD = 0.02;
+
+// Zero padding factor for the spectrum, for finer peak interpolation
+const SPECTRUM_PADDING = 2;
+
+// localStorage key for the measured inharmonicity of each key
+const STORAGE_KEY = 'web-tuner-piano-inharmonicity';
+
+/**
+ * Get the note name of a piano key
+ * @param {number} key - Key number, 1 (A0) to 88 (C8)
+ * @returns {string} - Note name with octave (e.g. 'A4')
+ */
+export function pianoKeyName(key) {
+    return `${NOTE_NAMES[(key + 8) % 12]}${Math.floor((key + 8) / 12)}`;
+}
+
+/**
+ * Get the frequency of a partial of a stiff string
+ * @param {number} frequency - Sounding frequency of the fundamental (first partial) in Hz
+ * @param {number} inharmonicity - Inharmonicity coefficient B of the string
+ * @param {number} partial - Partial number, 1 for the fundamental
+ * @returns {number} - Frequency of the partial in Hz
+ */
+export function partialFrequency(frequency, inharmonicity, partial) {
+    return partial * frequency * Math.sqrt((1 + inharmonicity * partial * partial) / (1 + inharmonicity));
+}
+
+/**
+ * Compute the spectrum used for locating partials
+ * @param {Float32Array} buffer - Audio data buffer
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @returns {Object} - Object containing the magnitudes, the bin width in Hz and the strongest magnitude
+ */
+export function computePartialSpectrum(buffer, sampleRate) {
+    const size = nextPowerOfTwo(buffer.length) * SPECTRUM_PADDING;
+    const magnitudes = magnitudeSpectrum(buffer, size);
+
+    let maximum = 0;
+    for (let i = 1; i < magnitudes.length; i++) {
+        maximum = Math.max(maximum, magnitudes[i]);
+    }
+
+    return { magnitudes, binWidth: sampleRate / size, maximum };
+}
+
+/**
+ * Find the spectral peak closest to an expected partial frequency
+ * @param {Object} spectrum - Spectrum returned by computePartialSpectrum()
+ * @param {number} frequency - Expected frequency in Hz
+ * @param {number} searchCents - Distance in cents around the expected frequency to search (default: 40)
+ * @returns {number} - Interpolated frequency of the peak in Hz, or -1 if there is no clear peak
+ */
+export function findPartial(spectrum, frequency, searchCents = PARTIAL_SEARCH_CENTS) {
+    const { magnitudes, binWidth, maximum } = spectrum;
+    const ratio = Math.pow(2, searchCents / 1200);
+
+    const lowBin = Math.max(1, Math.floor(frequency / ratio / binWidth));
+    const highBin = Math.min(magnitudes.length - 2, Math.ceil(frequency * ratio / binWidth));
+
+    let peakBin = -1;
+    for (let bin = lowBin; bin <= highBin; bin++) {
+        // Only local maxima count, not the slope of a neighbouring peak
+        const isPeak = magnitudes[bin] >= magnitudes[bin - 1] && magnitudes[bin] >= magnitudes[bin + 1];
+        if (isPeak && (peakBin === -1 || magnitudes[bin] > magnitudes[peakBin])) {
+            peakBin = bin;
+        }
+    }
+
+    // A flat spectrum, e.g. of silence, has no peaks at all
+    if (peakBin === -1 || magnitudes[peakBin] === 0 || magnitudes[peakBin] < maximum * PARTIAL_THRESHOLD) {
+        return -1;
+    }
+
+    // Parabolic interpolation on the log magnitudes, which fits the Hann window's main lobe well
+    const left = Math.log(magnitudes[peakBin - 1] + 1e-12);
+    const center = Math.log(magnitudes[peakBin] + 1e-12);
+    const right = Math.log(magnitudes[peakBin + 1] + 1e-12);
+    const denominator = left - 2 * center + right;
+    const shift = denominator === 0 ? 0 : 0.5 * (left - right) / denominator;
+
+    return (peakBin + shift) * binWidth;
+}
+
+/**
+ * Fit the inharmonicity and fundamental to measured partials
+ * Uses least squares on (f_n / n)² = f0² + f0² * B * n², which is linear in n².
+ * @param {Object[]} partials - Measured partials, each with partial number and frequency
+ * @returns {Object|null} - Object containing inharmonicity and the sounding fundamental frequency, or null
+ */
+function fitInharmonicity(partials) {
+    const count = partials.length;
+    let sumX = 0;
+    let sumY = 0;
+    let sumXX = 0;
+    let sumXY = 0;
+
+    partials.forEach(({ partial, frequency }) => {
+        const x = partial * partial;
+        const y = Math.pow(frequency / partial, 2);
+        sumX += x;
+        sumY += y;
+        sumXX += x * x;
+        sumXY += x * y;
+    });
+
+    const denominator = count * sumXX - sumX * sumX;
+    if (denominator === 0) {
+        return null;
+    }
+
+    const slope = (count * sumXY - sumX * sumY) / denominator;
+    const intercept = (sumY - slope * sumX) / count;
+
+    if (intercept <= 0) {
+        return null;
+    }
+
+    // Measurement noise can produce a slightly negative slope for nearly ideal strings
+    const inharmonicity = Math.max(0, slope / intercept);
+
+    return {
+        inharmonicity,
+        frequency: Math.sqrt(intercept) * Math.sqrt(1 + inharmonicity)
+    };
+}
+
+/**
+ * Measure the inharmonicity of a string from the positions of its partials
+ * @param {Object} spectrum - Spectrum returned by computePartialSpectrum()
+ * @param {number} frequency - Approximate sounding frequency of the fundamental in Hz
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @returns {Object|null} - Object containing inharmonicity, the fitted fundamental frequency and the
+ *                          measured partials, or null if too few partials were found
+ */
+export function measureInharmonicity(spectrum, frequency, sampleRate) {
+    const partials = [];
+    let estimate = { inharmonicity: 0, frequency };
+
+    for (let partial = 1; partial <= MAX_PARTIALS; partial++) {
+        // Predict each partial from the partials found so far
+        const predicted = partialFrequency(estimate.frequency, estimate.inharmonicity, partial);
+        if (predicted >= sampleRate / 2) {
+            break;
+        }
+
+        const measured = findPartial(spectrum, predicted);
+        if (measured === -1) {
+            continue;
+        }
+
+        partials.push({ partial, frequency: measured });
+
+        if (partials.length >= 2) {
+            estimate = fitInharmonicity(partials) || estimate;
+        }
+    }
+
+    if (partials.length < MIN_PARTIALS) {
+        return null;
+    }
+
+    return { inharmonicity: estimate.inharmonicity, frequency: estimate.frequency, partials };
+}
+
+/**
+ * Get the typical inharmonicity of a key
+ * @param {number} key - Key number, 1 to 88
+ * @returns {number} - Inharmonicity coefficient B
+ */
+export function getTypicalInharmonicity(key) {
+    const upper = TYPICAL_INHARMONICITY.findIndex(([anchorKey]) => anchorKey >= key);
+
+    if (upper <= 0) {
+        return TYPICAL_INHARMONICITY[Math.max(0, upper)][1];
+    }
+
+    // Interpolate logarithmically between the surrounding anchors
+    const [lowKey, lowValue] = TYPICAL_INHARMONICITY[upper - 1];
+    const [highKey, highValue] = TYPICAL_INHARMONICITY[upper];
+    const position = (key - lowKey) / (highKey - lowKey);
+
+    return Math.exp(Math.log(lowValue) + position * (Math.log(highValue) - Math.log(lowValue)));
+}
+
+/**
+ * Build the inharmonicity of every key from the measured keys
+ * Keys between measurements are interpolated logarithmically; keys outside the measured
+ * range follow the typical curve, scaled to the nearest measurement.
+ * @param {Object} measurements - Measured inharmonicity by key number
+ * @returns {number[]} - Inharmonicity of keys 1 to 88 (index 0 is key 1)
+ */
+export function createInharmonicityCurve(measurements = {}) {
+    const measuredKeys = Object.keys(measurements)
+        .map(Number)
+        .filter(key => key >= 1 && key <= PIANO_KEY_COUNT && measurements[key] > 0)
+        .sort((a, b) => a - b);
+
+    const logRatio = key => Math.log(measurements[key] / getTypicalInharmonicity(key));
+
+    return Array.from({ length: PIANO_KEY_COUNT }, (_, index) => {
+        const key = index + 1;
+        const typical = getTypicalInharmonicity(key);
+
+        if (measuredKeys.length === 0) {
+            return typical;
+        }
+
+        const upper = measuredKeys.findIndex(measuredKey => measuredKey >= key);
+
+        if (upper === -1) {
+            return typical * Math.exp(logRatio(measuredKeys[measuredKeys.length - 1]));
+        }
+        if (upper === 0 || measuredKeys[upper] === key) {
+            return typical * Math.exp(logRatio(measuredKeys[upper]));
+        }
+
+        const lowKey = measuredKeys[upper - 1];
+        const highKey = measuredKeys[upper];
+        const position = (key - lowKey) / (highKey - lowKey);
+
+        return typical * Math.exp(logRatio(lowKey) + position * (logRatio(highKey) - logRatio(lowKey)));
+    });
+}
+
+/**
+ * Build the stretched tuning of every key
+ * A4 sounds at the reference frequency and A3 is tuned so that its second partial matches A4.
+ * The octave in between is divided according to the temperament; every key above is tuned to
+ * the second partial of the key an octave below, and every key below so that its second partial
+ * matches the fundamental of the key an octave above.
+ * @param {number[]} inharmonicity - Inharmonicity of keys 1 to 88, see createInharmonicityCurve()
+ * @param {number} referenceFrequency - Reference frequency for A4 in Hz (default: 440)
+ * @param {Object} temperament - Temperament of the middle octave (default: equal temperament)
+ * @returns {Object[]} - One entry per key with key, name, inharmonicity, target frequency of the
+ *                       fundamental and its stretch in cents from the unstretched note
+ */
+export function createStretchCurve(inharmonicity, referenceFrequency = 440, temperament = EQUAL_TEMPERAMENT) {
+    const frequencies = new Array(PIANO_KEY_COUNT + 1);
+    const partial = (key, number) => partialFrequency(frequencies[key], inharmonicity[key - 1], number);
+
+    // Sounding fundamental of a key whose second partial must match a frequency
+    const fundamentalBelow = (key, frequency) => frequency / partialFrequency(1, inharmonicity[key - 1], 2);
+
+    frequencies[A4_KEY] = referenceFrequency;
+    frequencies[A4_KEY - 12] = fundamentalBelow(A4_KEY - 12, referenceFrequency);
+
+    // Divide the stretched middle octave like the temperament, relative to A
+    const octaveRatio = frequencies[A4_KEY] / frequencies[A4_KEY - 12];
+    for (let key = A4_KEY - 11; key < A4_KEY; key++) {
+        const offset = getTemperamentOffset(temperament, (key + 8) % 12) - getTemperamentOffset(temperament, 9);
+        frequencies[key] = frequencies[A4_KEY - 12] * Math.pow(octaveRatio, (key - A4_KEY + 12) / 12) * Math.pow(2, offset / 1200);
+    }
+
+    for (let key = A4_KEY + 1; key <= PIANO_KEY_COUNT; key++) {
+        frequencies[key] = partial(key - 12, 2);
+    }
+
+    for (let key = A4_KEY - 13; key >= 1; key--) {
+        frequencies[key] = fundamentalBelow(key, frequencies[key + 12]);
+    }
+
+    return Array.from({ length: PIANO_KEY_COUNT }, (_, index) => {
+        const key = index + 1;
+        const nominal = frequencyFromNote(NOTE_NAMES[(key + 8) % 12], Math.floor((key + 8) / 12), referenceFrequency, temperament);
+
+        return {
+            key,
+            name: pianoKeyName(key),
+            inharmonicity: inharmonicity[index],
+            frequency: frequencies[key],
+            stretchCents: 1200 * Math.log2(frequencies[key] / nominal)
+        };
+    });
+}
+
+/**
+ * Get the partial a key is tuned on
+ * @param {number} key - Key number, 1 to 88
+ * @param {number} bassPartial - Partial used in the extreme bass
+ * @param {number} treblePartial - Partial used in the extreme treble
+ * @returns {number} - Partial number, 1 for the fundamental
+ */
+export function getTuningPartial(key, bassPartial, treblePartial) {
+    if (key <= EXTREME_BASS_LAST_KEY) {
+        return bassPartial;
+    }
+    if (key >= EXTREME_TREBLE_FIRST_KEY) {
+        return treblePartial;
+    }
+    return 1;
+}
+
+/**
+ * Load the measured inharmonicity of each key from local storage
+ * @returns {Object} - Measured inharmonicity by key number
+ */
+export function loadInharmonicityMeasurements() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (error) {
+        console.error('Could not read inharmonicity measurements:', error);
+        return {};
+    }
+}
+
+/**
+ * Save the measured inharmonicity of each key to local storage
+ * @param {Object} measurements - Measured inharmonicity by key number
+ */
+export function saveInharmonicityMeasurements(measurements) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(measurements));
+}
@@ -1,51 +1,140 @@
 /**
  * Pitch Detection Module
- * Implements the autocorrelation algorithm for pitch detection
+ * Implements autocorrelation, YIN, McLeod (MPM) and harmonic product spectrum pitch detectors
+ *
+ * Every detector takes an audio buffer, its sample rate and optional detection options
+ * ({ minFrequency, maxFrequency, silenceThreshold, clarityThreshold }) and returns an object
+ * with the detected frequency (-1 if no pitch detected) and a confidence score between 0 and 1
+ * describing how clearly periodic the signal is. A pitch is only reported when the confidence
+ * reaches the clarity threshold.
  */
 
+import { autocorrelation, crossCorrelation, magnitudeSpectrum, nextPowerOfTwo } from './fft.js';
+
+// Default detection range in Hz
+export const DEFAULT_MIN_FREQUENCY = 50;
+export const DEFAULT_MAX_FREQUENCY = 1500;
+
+// Default mean signal energy below which the signal is treated as silence (about -30 dBFS)
+export const DEFAULT_SILENCE_THRESHOLD = 0.001;
+
+// Default minimum confidence of each detector for a pitch to be reported
+export const DEFAULT_CLARITY_THRESHOLDS = {
+    autocorrelation: 0.2,
+    yin: 0.85, // A normalized difference of at most 0.15
+    mpm: 0.5,
+    hps: 0.3
+};
+
+/**
+ * Create a detection result
+ * @param {number} frequency - Detected frequency in Hz, or -1 if no pitch detected
+ * @param {number} confidence - Confidence score between 0 and 1
+ * @returns {Object} - Object containing frequency and confidence
+ */
+function pitchResult(frequency, confidence) {
+    return {
+        frequency,
+        confidence: Math.max(0, Math.min(1, confidence))
+    };
+}
+
+/**
+ * Calculate the mean energy of a buffer
+ * @param {Float32Array} buffer - Audio data buffer
+ * @returns {number} - Mean squared amplitude
+ */
+function calculateSignalEnergy(buffer) {
+    let signalEnergy = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        signalEnergy += buffer[i] * buffer[i];
+    }
+    return signalEnergy / buffer.length;
+}
+
+/**
+ * Compute the autocorrelation function used by detectPitch
+ * Each lag is normalized by the number of overlapping samples.
+ * @param {Float32Array} buffer - Audio data buffer
+ * @param {number} maxLag - Largest lag to compute
+ * @returns {Float64Array} - Normalized autocorrelation for lags 0 to maxLag
+ */
+export function computeAutocorrelation(buffer, maxLag) {
+    const bufferLength = buffer.length;
+    const correlations = autocorrelation(buffer, maxLag);
+
+    for (let lag = 0; lag <= maxLag; lag++) {
+        correlations[lag] /= bufferLength - lag;
+    }
+
+    return correlations;
+}
+
+/**
+ * Compute the YIN difference function
+ * d(tau) = sum over the first half of the buffer of (x[i] - x[i + tau])^2, expanded as
+ * energy(0) + energy(tau) - 2 * crossCorrelation(tau) so that it can be computed with FFTs
+ * @param {Float32Array} buffer - Audio data buffer
+ * @returns {Float64Array} - Difference values for lags 0 to half the buffer length
+ */
+export function computeDifferenceFunction(buffer) {
+    const windowLength = Math.floor(buffer.length / 2);
+    const correlations = crossCorrelation(buffer.subarray(0, windowLength), buffer, windowLength - 1);
+
+    // Prefix sums of squared samples give the energy of any window in constant time
+    const squaredSums = new Float64Array(buffer.length + 1);
+    for (let i = 0; i < buffer.length; i++) {
+        squaredSums[i + 1] = squaredSums[i] + buffer[i] * buffer[i];
+    }
+
+    const difference = new Float64Array(windowLength);
+    const baseEnergy = squaredSums[windowLength];
+
+    for (let tau = 0; tau < windowLength; tau++) {
+        const shiftedEnergy = squaredSums[tau + windowLength] - squaredSums[tau];
+        // Clamp rounding noise, the difference of a sum of squares cannot be negative
+        difference[tau] = Math.max(0, baseEnergy + shiftedEnergy - 2 * correlations[tau]);
+    }
+
+    return difference;
+}
+
 /**
  * Detect the fundamental frequency of an audio signal using autocorrelation
  * @param {Float32Array} buffer - Audio data buffer
  * @param {number} sampleRate - Audio sample rate in Hz
- * @returns {number} - Detected frequency in Hz, or -1 if no pitch detected
+ * @param {Object} options - Detection options
+ * @param {number} options.minFrequency - Minimum detectable frequency in Hz (default: 50)
+ * @param {number} options.maxFrequency - Maximum detectable frequency in Hz (default: 1500)
+ * @param {number} options.silenceThreshold - Mean signal energy below which no pitch is detected (default: 0.001)
+ * @param {number} options.clarityThreshold - Minimum confidence for a pitch to be reported (default: 0.2)
+ * @returns {Object} - Object containing frequency (-1 if no pitch detected) and confidence
  */
-export function detectPitch(buffer, sampleRate) {
-    // Constants for pitch detection
-    const THRESHOLD = 0.2; // Clarity threshold
-    const MIN_FREQUENCY = 50; // Minimum detectable frequency in Hz
-    const MAX_FREQUENCY = 1500; // Maximum detectable frequency in Hz
+export function detectPitch(buffer, sampleRate, options = {}) {
+    const {
+        minFrequency = DEFAULT_MIN_FREQUENCY,
+        maxFrequency = DEFAULT_MAX_FREQUENCY,
+        silenceThreshold = DEFAULT_SILENCE_THRESHOLD,
+        clarityThreshold = DEFAULT_CLARITY_THRESHOLDS.autocorrelation
+    } = options;
     
     // Calculate buffer properties
     const bufferLength = buffer.length;
     
     // Check if signal has enough energy
-    let signalEnergy = 0;
-    for (let i = 0; i < bufferLength; i++) {
-        signalEnergy += buffer[i] * buffer[i];
-    }
-    signalEnergy /= bufferLength;
+    const signalEnergy = calculateSignalEnergy(buffer);
     
     // If signal energy is too low, return no pitch
-    if (signalEnergy < 0.001) {
-        return -1;
-    }
-    
-    // Calculate autocorrelation
-    const correlations = new Float32Array(bufferLength);
-    
-    for (let lag = 0; lag < bufferLength; lag++) {
-        let correlation = 0;
-        
-        for (let i = 0; i < bufferLength - lag; i++) {
-            correlation += buffer[i] * buffer[i + lag];
-        }
-        
-        correlations[lag] = correlation / (bufferLength - lag);
+    if (signalEnergy < silenceThreshold) {
+        return pitchResult(-1, 0);
     }
     
     // Find peaks in autocorrelation
-    const minPeriod = Math.floor(sampleRate / MAX_FREQUENCY);
-    const maxPeriod = Math.ceil(sampleRate / MIN_FREQUENCY);
+    const minPeriod = Math.floor(sampleRate / maxFrequency);
+    const maxPeriod = Math.ceil(sampleRate / minFrequency);
+    
+    // Calculate autocorrelation, only up to the longest period that can be detected
+    const correlations = computeAutocorrelation(buffer, Math.min(maxPeriod, bufferLength - 1));
     
     let bestPeriod = -1;
     let bestCorrelation = 0;
@@ -62,8 +151,8 @@ export function detectPitch(buffer, sampleRate) {
     const normalizedCorrelation = bestCorrelation / correlations[0];
     
     // Check if correlation is strong enough
-    if (normalizedCorrelation < THRESHOLD) {
-        return -1; // No clear pitch detected
+    if (normalizedCorrelation < clarityThreshold) {
+        return pitchResult(-1, normalizedCorrelation); // No clear pitch detected
     }
     
     // Refine the period using parabolic interpolation
@@ -82,7 +171,7 @@ export function detectPitch(buffer, sampleRate) {
     const frequency = sampleRate / refinedPeriod;
     
     // Return the detected frequency
-    return frequency;
+    return pitchResult(frequency, normalizedCorrelation);
 }
 
 /**
@@ -90,26 +179,30 @@ export function detectPitch(buffer, sampleRate) {
  * This is a more accurate but more computationally expensive algorithm
  * @param {Float32Array} buffer - Audio data buffer
  * @param {number} sampleRate - Audio sample rate in Hz
- * @returns {number} - Detected frequency in Hz, or -1 if no pitch detected
+ * @param {Object} options - Detection options
+ * @param {number} options.minFrequency - Minimum detectable frequency in Hz (default: 50)
+ * @param {number} options.maxFrequency - Maximum detectable frequency in Hz (default: 1500)
+ * @param {number} options.silenceThreshold - Mean signal energy below which no pitch is detected (default: 0.001)
+ * @param {number} options.clarityThreshold - Minimum confidence for a pitch to be reported (default: 0.85)
+ * @returns {Object} - Object containing frequency (-1 if no pitch detected) and confidence
  */
-export function detectPitchYIN(buffer, sampleRate) {
-    // Constants for YIN algorithm
-    const THRESHOLD = 0.15;
-    const MIN_FREQUENCY = 50;
-    const MAX_FREQUENCY = 1500;
-    
-    const bufferLength = buffer.length;
-    const yinBuffer = new Float32Array(bufferLength / 2);
+export function detectPitchYIN(buffer, sampleRate, options = {}) {
+    const {
+        minFrequency = DEFAULT_MIN_FREQUENCY,
+        maxFrequency = DEFAULT_MAX_FREQUENCY,
+        silenceThreshold = DEFAULT_SILENCE_THRESHOLD,
+        clarityThreshold = DEFAULT_CLARITY_THRESHOLDS.yin
+    } = options;
+
+    // Largest normalized difference accepted as periodic
+    const threshold = 1 - clarityThreshold;
+
+    if (calculateSignalEnergy(buffer) < silenceThreshold) {
+        return pitchResult(-1, 0);
+    }
     
     // Step 1: Calculate difference function
-    for (let tau = 0; tau < yinBuffer.length; tau++) {
-        yinBuffer[tau] = 0;
-        
-        for (let i = 0; i < yinBuffer.length; i++) {
-            const delta = buffer[i] - buffer[i + tau];
-            yinBuffer[tau] += delta * delta;
-        }
-    }
+    const yinBuffer = computeDifferenceFunction(buffer);
     
     // Step 2: Cumulative normalization
     let runningSum = 0;
@@ -125,11 +218,11 @@ export function detectPitchYIN(buffer, sampleRate) {
     let minVal = 1000;
     
     // Define search range based on frequency limits
-    const minPeriod = Math.floor(sampleRate / MAX_FREQUENCY);
-    const maxPeriod = Math.ceil(sampleRate / MIN_FREQUENCY);
+    const minPeriod = Math.floor(sampleRate / maxFrequency);
+    const maxPeriod = Math.ceil(sampleRate / minFrequency);
     
     for (let tau = minPeriod; tau < maxPeriod; tau++) {
-        if (yinBuffer[tau] < THRESHOLD) {
+        if (yinBuffer[tau] < threshold) {
             while (tau + 1 < yinBuffer.length && yinBuffer[tau + 1] < yinBuffer[tau]) {
                 tau++;
             }
@@ -143,8 +236,8 @@ export function detectPitchYIN(buffer, sampleRate) {
     }
     
     // No valid pitch found
-    if (minTau === -1 || minVal >= THRESHOLD) {
-        return -1;
+    if (minTau === -1 || minVal >= threshold) {
+        return pitchResult(-1, 1 - minVal);
     }
     
     // Step 4: Parabolic interpolation for better accuracy
@@ -172,5 +265,227 @@ export function detectPitchYIN(buffer, sampleRate) {
     }
     
     // Convert period to frequency
-    return sampleRate / betterTau;
-}
\ No newline at end of file
+    // The normalized difference at the minimum measures aperiodicity, so its complement is the confidence
+    return pitchResult(sampleRate / betterTau, 1 - minVal);
+}
+
+/**
+ * Pitch detection using the McLeod Pitch Method (MPM)
+ * Uses the normalized square difference function, which is robust against amplitude changes
+ * @param {Float32Array} buffer - Audio data buffer
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {Object} options - Detection options
+ * @param {number} options.minFrequency - Minimum detectable frequency in Hz (default: 50)
+ * @param {number} options.maxFrequency - Maximum detectable frequency in Hz (default: 1500)
+ * @param {number} options.silenceThreshold - Mean signal energy below which no pitch is detected (default: 0.001)
+ * @param {number} options.clarityThreshold - Minimum confidence for a pitch to be reported (default: 0.5)
+ * @returns {Object} - Object containing frequency (-1 if no pitch detected) and confidence
+ */
+export function detectPitchMPM(buffer, sampleRate, options = {}) {
+    // Constants for MPM algorithm
+    const PEAK_RATIO = 0.9; // Select the first key maximum within this ratio of the highest one
+    const {
+        minFrequency = DEFAULT_MIN_FREQUENCY,
+        maxFrequency = DEFAULT_MAX_FREQUENCY,
+        silenceThreshold = DEFAULT_SILENCE_THRESHOLD,
+        clarityThreshold = DEFAULT_CLARITY_THRESHOLDS.mpm // Minimum clarity of the selected peak
+    } = options;
+
+    const bufferLength = buffer.length;
+
+    if (calculateSignalEnergy(buffer) < silenceThreshold) {
+        return pitchResult(-1, 0);
+    }
+
+    const minPeriod = Math.floor(sampleRate / maxFrequency);
+    const maxPeriod = Math.min(Math.ceil(sampleRate / minFrequency), bufferLength - 1);
+
+    // Step 1: Normalized square difference function
+    const correlations = autocorrelation(buffer, maxPeriod);
+
+    // Prefix sums of squared samples give the energy of the overlapping parts in constant time
+    const squaredSums = new Float64Array(bufferLength + 1);
+    for (let i = 0; i < bufferLength; i++) {
+        squaredSums[i + 1] = squaredSums[i] + buffer[i] * buffer[i];
+    }
+
+    const nsdf = new Float64Array(maxPeriod + 1);
+
+    for (let tau = 0; tau <= maxPeriod; tau++) {
+        const energy = squaredSums[bufferLength - tau] + (squaredSums[bufferLength] - squaredSums[tau]);
+        nsdf[tau] = energy > 0 ? 2 * correlations[tau] / energy : 0;
+    }
+
+    // Step 2: Collect the highest maximum between each pair of positive zero crossings
+    const keyMaxima = [];
+    let tau = 1;
+
+    // Skip the initial positive lobe around lag zero
+    while (tau < maxPeriod && nsdf[tau] > 0) {
+        tau++;
+    }
+
+    let currentMax = -1;
+    for (; tau < maxPeriod; tau++) {
+        if (nsdf[tau] > 0) {
+            if (nsdf[tau] > nsdf[tau - 1] && nsdf[tau] >= nsdf[tau + 1] &&
+                (currentMax === -1 || nsdf[tau] > nsdf[currentMax])) {
+                currentMax = tau;
+            }
+        } else if (currentMax !== -1) {
+            keyMaxima.push(currentMax);
+            currentMax = -1;
+        }
+    }
+    if (currentMax !== -1) {
+        keyMaxima.push(currentMax);
+    }
+
+    const candidates = keyMaxima.filter(index => index >= minPeriod);
+    if (candidates.length === 0) {
+        return pitchResult(-1, 0);
+    }
+
+    // Step 3: Pick the first key maximum close to the highest one
+    const highest = Math.max(...candidates.map(index => nsdf[index]));
+    const bestTau = candidates.find(index => nsdf[index] >= PEAK_RATIO * highest);
+    const clarity = nsdf[bestTau];
+
+    if (clarity < clarityThreshold) {
+        return pitchResult(-1, clarity);
+    }
+
+    // Step 4: Parabolic interpolation for better accuracy
+    const left = nsdf[bestTau - 1];
+    const right = nsdf[bestTau + 1];
+    const denominator = left - 2 * clarity + right;
+    const refinedTau = denominator !== 0 ? bestTau + 0.5 * (left - right) / denominator : bestTau;
+
+    return pitchResult(sampleRate / refinedTau, clarity);
+}
+
+/**
+ * Pitch detection using the harmonic product spectrum (HPS)
+ * Multiplies downsampled copies of the magnitude spectrum so that the fundamental,
+ * shared by all harmonics, stands out even when it is weak or missing.
+ * The spectral resolution limits the lowest detectable pitch to about 4 * sampleRate / buffer.length.
+ * @param {Float32Array} buffer - Audio data buffer
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {Object} options - Detection options
+ * @param {number} options.minFrequency - Minimum detectable frequency in Hz (default: 50)
+ * @param {number} options.maxFrequency - Maximum detectable frequency in Hz (default: 1500)
+ * @param {number} options.silenceThreshold - Mean signal energy below which no pitch is detected (default: 0.001)
+ * @param {number} options.clarityThreshold - Minimum confidence for a pitch to be reported (default: 0.3)
+ * @returns {Object} - Object containing frequency (-1 if no pitch detected) and confidence
+ */
+export function detectPitchHPS(buffer, sampleRate, options = {}) {
+    // Constants for HPS algorithm
+    const HARMONICS = 5; // Number of spectra multiplied together
+    const PADDING = 4; // Zero-padding factor to improve frequency resolution
+    const {
+        minFrequency = DEFAULT_MIN_FREQUENCY,
+        maxFrequency = DEFAULT_MAX_FREQUENCY,
+        silenceThreshold = DEFAULT_SILENCE_THRESHOLD,
+        clarityThreshold = DEFAULT_CLARITY_THRESHOLDS.hps // Minimum share of spectral energy in the detected harmonics
+    } = options;
+
+    if (calculateSignalEnergy(buffer) < silenceThreshold) {
+        return pitchResult(-1, 0);
+    }
+
+    const fftSize = nextPowerOfTwo(buffer.length) * PADDING;
+    const magnitudes = magnitudeSpectrum(buffer, fftSize);
+    const binWidth = sampleRate / fftSize;
+
+    // Half width of the Hann window's main lobe, in padded bins
+    const lobeWidth = 2 * fftSize / buffer.length;
+
+    // Harmonics closer together than the main lobe cannot be told apart
+    const minBin = Math.max(Math.floor(minFrequency / binWidth), Math.ceil(2 * lobeWidth));
+    const maxBin = Math.min(Math.ceil(maxFrequency / binWidth), Math.floor((magnitudes.length - 1) / HARMONICS));
+
+    // Step 1: Harmonic product spectrum, computed in the log domain to avoid underflow
+    // Magnitudes are floored relative to the spectrum peak so that a single missing
+    // harmonic does not wipe out the product
+    const floor = Math.max(...magnitudes) * 0.01 + 1e-12;
+    let bestBin = -1;
+    let bestProduct = -Infinity;
+
+    for (let bin = minBin; bin <= maxBin; bin++) {
+        let product = 0;
+        for (let h = 1; h <= HARMONICS; h++) {
+            product += Math.log(Math.max(magnitudes[bin * h], floor));
+        }
+
+        if (product > bestProduct) {
+            bestProduct = product;
+            bestBin = bin;
+        }
+    }
+
+    if (bestBin === -1) {
+        return pitchResult(-1, 0);
+    }
+
+    // Step 2: Refine the estimate from the interpolated positions of the harmonic peaks
+    let weightedFrequency = 0;
+    let totalWeight = 0;
+    let harmonicEnergy = 0;
+
+    for (let h = 1; h <= HARMONICS; h++) {
+        // Search around the expected bin since the harmonic may fall between bins
+        const expected = bestBin * h;
+        const searchWidth = Math.min(h, lobeWidth);
+        let peak = expected;
+
+        for (let bin = expected - searchWidth; bin <= expected + searchWidth; bin++) {
+            if (bin > 0 && bin < magnitudes.length - 1 && magnitudes[bin] > magnitudes[peak]) {
+                peak = bin;
+            }
+        }
+
+        const left = magnitudes[peak - 1];
+        const center = magnitudes[peak];
+        const right = magnitudes[peak + 1] || 0;
+        const denominator = left - 2 * center + right;
+        const offset = denominator !== 0 ? 0.5 * (left - right) / denominator : 0;
+
+        weightedFrequency += ((peak + offset) * binWidth / h) * center;
+        totalWeight += center;
+
+        for (let bin = Math.round(peak - lobeWidth); bin <= peak + lobeWidth; bin++) {
+            harmonicEnergy += (magnitudes[bin] || 0) ** 2;
+        }
+    }
+
+    // Step 3: Confidence is the share of spectral energy explained by the harmonics
+    let totalEnergy = 0;
+    for (let bin = 1; bin < magnitudes.length; bin++) {
+        totalEnergy += magnitudes[bin] * magnitudes[bin];
+    }
+
+    const confidence = totalEnergy > 0 ? harmonicEnergy / totalEnergy : 0;
+
+    if (totalWeight === 0 || confidence < clarityThreshold) {
+        return pitchResult(-1, confidence);
+    }
+
+    return pitchResult(weightedFrequency / totalWeight, confidence);
+}
+
+// Available pitch detectors, selectable at runtime
+export const PITCH_DETECTORS = {
+    autocorrelation: { name: 'Autocorrelation', detect: detectPitch },
+    yin: { name: 'YIN', detect: detectPitchYIN },
+    mpm: { name: 'McLeod (MPM)', detect: detectPitchMPM },
+    hps: { name: 'Harmonic Product Spectrum', detect: detectPitchHPS }
+};
+
+/**
+ * Get a pitch detector by its id
+ * @param {string} id - The detector id ('autocorrelation', 'yin', 'mpm', 'hps')
+ * @returns {Object} - The detector, falling back to MPM for unknown ids
+ */
+export function getPitchDetector(id) {
+    return PITCH_DETECTORS[id] || PITCH_DETECTORS.mpm;
+}
@@ -0,0 +1,215 @@
+/**
+ * Pitch Stabilizer Module
+ * Smooths raw pitch estimates between detection and display
+ *
+ * The stabilizer combines a median filter and an exponential moving average, rejects
+ * sudden octave jumps that disagree with the recent history, ignores the unstable
+ * attack of a plucked note, holds the reading when confidence fades during the decay,
+ * and applies hysteresis before the displayed note changes.
+ *
+ * Every detector reports confidence on its own scale, so the decay hold is measured from
+ * the detector's clarity threshold, which is passed in with setClarityThreshold().
+ */
+
+// Default strength of each stabilization behavior
+export const DEFAULT_STABILIZER_SETTINGS = {
+    medianSize: 5, // Number of recent estimates in the median filter (1 disables it)
+    smoothing: 0.6, // Weight of the previous value in the moving average (0 disables it)
+    hysteresisCents: 15, // Extra cents beyond the note boundary before the displayed note changes
+    octaveJumpFrames: 4, // Consecutive octave-jumped estimates needed to accept an octave change (0 disables rejection)
+    attackTime: 50, // Time in milliseconds after an onset during which estimates are ignored
+    decayConfidence: 0.5 // Share of the confidence range above the clarity threshold below which a decaying note is held (0 disables it)
+};
+
+// Pause in milliseconds after which the next detection starts a new note
+const RELEASE_TIME = 150;
+
+// Deviation in cents from the smoothed pitch beyond which the average restarts instead of gliding
+const SNAP_CENTS = 50;
+
+// Tolerance in cents when recognizing a jump of exactly one octave
+const OCTAVE_TOLERANCE = 60;
+
+/**
+ * Calculate the median of an array of numbers
+ * @param {number[]} values - The values
+ * @returns {number} - The median
+ */
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Calculate the distance between two frequencies in cents
+ * @param {number} frequency - The frequency in Hz
+ * @param {number} reference - The reference frequency in Hz
+ * @returns {number} - Distance in cents
+ */
+function cents(frequency, reference) {
+    return 1200 * Math.log2(frequency / reference);
+}
+
+/**
+ * Stabilizer for a stream of pitch estimates
+ */
+export class PitchStabilizer {
+    /**
+     * @param {Object} settings - Stabilization settings, see DEFAULT_STABILIZER_SETTINGS
+     */
+    constructor(settings = {}) {
+        this.settings = Object.assign({}, DEFAULT_STABILIZER_SETTINGS, settings);
+        this.clarityThreshold = 0; // Confidence the detector needs to report a pitch
+        this.reset();
+    }
+
+    /**
+     * Set the clarity threshold of the active detector, which the decay hold is scaled to
+     * @param {number} threshold - Confidence the detector needs to report a pitch, between 0 and 1
+     */
+    setClarityThreshold(threshold) {
+        this.clarityThreshold = threshold;
+    }
+
+    /**
+     * Get the confidence below which a decaying note keeps its last stable reading
+     * @returns {number} - Confidence between the clarity threshold and 1
+     */
+    getDecayConfidence() {
+        return this.clarityThreshold + this.settings.decayConfidence * (1 - this.clarityThreshold);
+    }
+
+    /**
+     * Change stabilization settings
+     * @param {Object} settings - Settings to change, see DEFAULT_STABILIZER_SETTINGS
+     */
+    configure(settings) {
+        Object.assign(this.settings, settings);
+        this.history = this.history.slice(-Math.max(1, this.settings.medianSize));
+    }
+
+    /**
+     * Forget the current note, e.g. after the instrument or reference changes
+     */
+    reset() {
+        this.history = [];
+        this.smoothedFrequency = null;
+        this.onsetTime = null;
+        this.lastDetectionTime = null;
+        this.octaveJumpCount = 0;
+        this.heldNote = null;
+    }
+
+    /**
+     * Feed a raw pitch estimate into the stabilizer
+     * @param {number} frequency - Detected frequency in Hz, or -1 if no pitch detected
+     * @param {number} confidence - Confidence score between 0 and 1
+     * @param {number} timestamp - Time of the estimate in milliseconds
+     * @returns {number} - Stabilized frequency in Hz, or -1 if there is nothing to display
+     */
+    process(frequency, confidence, timestamp) {
+        const { medianSize, smoothing, hysteresisCents, octaveJumpFrames, attackTime } = this.settings;
+
+        if (frequency === -1) {
+            // A long enough pause ends the note
+            if (this.lastDetectionTime !== null && timestamp - this.lastDetectionTime > RELEASE_TIME) {
+                this.reset();
+            }
+            return -1;
+        }
+
+        this.lastDetectionTime = timestamp;
+
+        // Attack: the first moments of a plucked note are noisy and usually sharp
+        if (this.onsetTime === null) {
+            this.onsetTime = timestamp;
+        }
+        if (timestamp - this.onsetTime < attackTime) {
+            return -1;
+        }
+
+        // Decay: a fading note keeps its last stable reading instead of drifting, but a weak
+        // estimate far from it is the attack of a new note and is followed
+        if (this.smoothedFrequency !== null &&
+            confidence < this.getDecayConfidence() &&
+            Math.abs(cents(frequency, this.smoothedFrequency)) <= hysteresisCents) {
+            return this.smoothedFrequency;
+        }
+
+        const estimate = this.correctOctave(frequency, octaveJumpFrames);
+
+        this.history.push(estimate);
+        if (this.history.length > Math.max(1, medianSize)) {
+            this.history.shift();
+        }
+
+        const filtered = median(this.history);
+
+        // Glide towards small changes, but follow a new note immediately
+        if (this.smoothedFrequency === null || Math.abs(cents(filtered, this.smoothedFrequency)) > SNAP_CENTS) {
+            this.smoothedFrequency = filtered;
+        } else {
+            this.smoothedFrequency = smoothing * this.smoothedFrequency + (1 - smoothing) * filtered;
+        }
+
+        return this.smoothedFrequency;
+    }
+
+    /**
+     * Fold an estimate that jumped exactly one octave away from the recent history
+     * back into place, unless the jump persists long enough to be a real octave change
+     * @param {number} frequency - Detected frequency in Hz
+     * @param {number} octaveJumpFrames - Consecutive jumps needed to accept the change, 0 disables rejection
+     * @returns {number} - Corrected frequency in Hz
+     */
+    correctOctave(frequency, octaveJumpFrames) {
+        if (octaveJumpFrames === 0 || this.history.length === 0) {
+            return frequency;
+        }
+
+        const deviation = cents(frequency, median(this.history));
+        const octaves = Math.round(deviation / 1200);
+
+        if (octaves === 0 || Math.abs(deviation - octaves * 1200) > OCTAVE_TOLERANCE) {
+            this.octaveJumpCount = 0;
+            return frequency;
+        }
+
+        this.octaveJumpCount++;
+
+        // The new octave persisted, so start tracking it
+        if (this.octaveJumpCount >= octaveJumpFrames) {
+            this.octaveJumpCount = 0;
+            this.history = [];
+            this.smoothedFrequency = null;
+            return frequency;
+        }
+
+        return frequency / Math.pow(2, octaves);
+    }
+
+    /**
+     * Decide which note to display, applying hysteresis at note boundaries
+     * @param {Object} candidate - Nearest note for the current frequency, with a unique key and its targetFrequency
+     * @param {number} frequency - Stabilized frequency in Hz
+     * @returns {Object} - The note to display, either the candidate or the previously held note
+     */
+    holdNote(candidate, frequency) {
+        const held = this.heldNote;
+
+        if (!held || held.key === candidate.key) {
+            this.heldNote = candidate;
+            return candidate;
+        }
+
+        // Keep the held note until the pitch is clearly past the boundary between the notes
+        const boundary = Math.abs(cents(candidate.targetFrequency, held.targetFrequency)) / 2;
+        if (Math.abs(cents(frequency, held.targetFrequency)) > boundary + this.settings.hysteresisCents) {
+            this.heldNote = candidate;
+            return candidate;
+        }
+
+        return held;
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * Pitch Worklet Node Module
+ * Creates the AudioWorklet node that runs pitch detection off the main thread
+ *
+ * The URL of the worklet module is imported only when a node is first created. Only the
+ * bundler can resolve it, and modules importing this one, like the tuner engine, must stay
+ * importable without it, e.g. in tests under Node.
+ */
+
+// Audio contexts that have already loaded the worklet module
+const loadedContexts = new WeakSet();
+
+/**
+ * Check whether the browser supports AudioWorklet
+ * @param {AudioContext} audioContext - The audio context
+ * @returns {boolean} - Whether AudioWorklet can be used
+ */
+export function isAudioWorkletSupported(audioContext) {
+    return Boolean(audioContext.audioWorklet) && typeof AudioWorkletNode !== 'undefined';
+}
+
+/**
+ * Create a pitch detection worklet node
+ * Connect an audio source to the node; detection results are passed to onPitch as they arrive.
+ * @param {AudioContext} audioContext - The audio context
+ * @param {Object} options - Analysis options
+ * @param {number} options.windowSize - Number of samples analyzed per detection
+ * @param {number} options.hopSize - Number of new samples between detections
+ * @param {string} options.detector - Id of the pitch detector
+ * @param {boolean} options.adaptive - Shrink the window to fit the tracked pitch, windowSize being the largest window
+ * @param {boolean} options.paused - Collect samples without detecting pitches
+ * @param {number} options.minFrequency - Minimum detectable frequency in Hz
+ * @param {number} options.maxFrequency - Maximum detectable frequency in Hz
+ * @param {number} options.silenceThreshold - Mean signal energy below which no pitch is detected
+ * @param {number} options.clarityThreshold - Minimum confidence for a pitch to be reported
+ * @param {Function} onPitch - Called with { frequency, confidence, windowSize, time } for every detection
+ * @returns {Promise<AudioWorkletNode>} - The worklet node
+ */
+export async function createPitchWorkletNode(audioContext, options, onPitch) {
+    if (!loadedContexts.has(audioContext)) {
+        const { default: pitchWorkletUrl } = await import('./pitch-worklet.js?worker&url');
+        await audioContext.audioWorklet.addModule(pitchWorkletUrl);
+        loadedContexts.add(audioContext);
+    }
+
+    // Without outputs the node is processed as long as its input is connected
+    const node = new AudioWorkletNode(audioContext, 'pitch-processor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: 1,
+        channelCountMode: 'explicit',
+        processorOptions: options
+    });
+
+    node.port.onmessage = (event) => {
+        if (event.data.type === 'pitch') {
+            onPitch(event.data);
+        }
+    };
+
+    return node;
+}
+
+/**
+ * Update the analysis settings of a pitch detection worklet node
+ * @param {AudioWorkletNode} node - The worklet node
+ * @param {Object} options - Analysis options (see createPitchWorkletNode)
+ */
+export function configurePitchWorkletNode(node, options) {
+    node.port.postMessage(Object.assign({ type: 'configure' }, options));
+}
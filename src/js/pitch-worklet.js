@@ -0,0 +1,195 @@
+/**
+ * Pitch Worklet Module
+ * AudioWorklet processor that runs pitch detection on the audio rendering thread
+ *
+ * Incoming samples are collected in a ring buffer. Every hopSize samples the most recent
+ * samples are analyzed, so every sample reaches the detector regardless of how often
+ * the page renders. Results are posted back through the node's message port.
+ *
+ * In adaptive mode windowSize is the largest window, needed for the lowest note of the
+ * detection range. Once a pitch is tracked reliably the window shrinks to fit that pitch,
+ * which lowers latency for high notes.
+ *
+ * While paused, samples are still collected, so detection resumes with a full window.
+ */
+
+import { getPitchDetector } from './pitch-detection.js';
+import { getWindowSizeForFrequency } from './analysis-window.js';
+
+// Confidence required before the window is shrunk to the detected pitch
+const ADAPTIVE_CONFIDENCE = 0.8;
+
+// How far below the tracked pitch a shrunk window can still detect (one octave)
+const ADAPTIVE_MARGIN = 2;
+
+// Every this many analyses the full window is used, to catch notes below a shrunk window
+const FULL_WINDOW_INTERVAL = 8;
+
+// A rise in signal energy by this factor between hops marks a new note
+const ONSET_ENERGY_RATIO = 2;
+
+class PitchProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        this.windowSize = 0;
+        this.hopSize = 0;
+        this.detector = null;
+        this.adaptive = false;
+        this.paused = false;
+        this.detectionOptions = {};
+
+        this.configure(Object.assign({
+            windowSize: 2048,
+            hopSize: 1024,
+            detector: 'mpm'
+        }, options.processorOptions));
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'configure') {
+                this.configure(event.data);
+            }
+        };
+    }
+
+    // Apply new analysis settings, resetting the buffers if the window size changes
+    configure({ windowSize, hopSize, detector, adaptive, paused, minFrequency, maxFrequency, silenceThreshold, clarityThreshold }) {
+        if (windowSize && windowSize !== this.windowSize) {
+            this.windowSize = windowSize;
+            this.ringBuffer = new Float32Array(windowSize);
+            this.analysisBuffers = new Map();
+            this.writeIndex = 0;
+            this.bufferedSamples = 0;
+            this.samplesSinceAnalysis = 0;
+        }
+
+        if (hopSize) {
+            this.hopSize = hopSize;
+        }
+
+        if (detector) {
+            this.detector = getPitchDetector(detector);
+        }
+
+        if (adaptive !== undefined) {
+            this.adaptive = adaptive;
+        }
+
+        if (paused !== undefined) {
+            this.paused = paused;
+        }
+
+        if (minFrequency && maxFrequency) {
+            this.detectionOptions = { ...this.detectionOptions, minFrequency, maxFrequency };
+        }
+
+        if (silenceThreshold !== undefined) {
+            this.detectionOptions = { ...this.detectionOptions, silenceThreshold };
+        }
+
+        if (clarityThreshold !== undefined) {
+            this.detectionOptions = { ...this.detectionOptions, clarityThreshold };
+        }
+
+        // Start again from the full window
+        this.currentWindowSize = this.windowSize;
+        this.analysesSinceFullWindow = 0;
+        this.previousHopEnergy = 0;
+    }
+
+    // Copy the most recent samples out of the ring buffer, oldest sample first
+    readLatestSamples(size) {
+        if (!this.analysisBuffers.has(size)) {
+            this.analysisBuffers.set(size, new Float32Array(size));
+        }
+
+        const buffer = this.analysisBuffers.get(size);
+        const start = (this.writeIndex - size + this.windowSize) % this.windowSize;
+        const firstPart = this.ringBuffer.subarray(start, Math.min(start + size, this.windowSize));
+
+        buffer.set(firstPart, 0);
+        buffer.set(this.ringBuffer.subarray(0, size - firstPart.length), firstPart.length);
+
+        return buffer;
+    }
+
+    // Mean energy of the samples received since the last analysis
+    calculateHopEnergy() {
+        const samples = this.readLatestSamples(Math.min(this.hopSize, this.windowSize));
+        let energy = 0;
+
+        for (let i = 0; i < samples.length; i++) {
+            energy += samples[i] * samples[i];
+        }
+
+        return energy / samples.length;
+    }
+
+    // Pick the window for the next analysis
+    selectWindowSize() {
+        if (!this.adaptive) {
+            return this.windowSize;
+        }
+
+        // A new note may be lower than the tracked one, so it gets the full window
+        const hopEnergy = this.calculateHopEnergy();
+        const isOnset = hopEnergy > this.previousHopEnergy * ONSET_ENERGY_RATIO;
+        this.previousHopEnergy = hopEnergy;
+
+        if (isOnset || this.analysesSinceFullWindow >= FULL_WINDOW_INTERVAL) {
+            return this.windowSize;
+        }
+
+        return this.currentWindowSize;
+    }
+
+    // Run the detector on the most recent samples and post the result
+    analyze() {
+        const size = this.selectWindowSize();
+        const samples = this.readLatestSamples(size);
+        const { frequency, confidence } = this.detector.detect(samples, sampleRate, this.detectionOptions);
+
+        this.analysesSinceFullWindow = size === this.windowSize ? 0 : this.analysesSinceFullWindow + 1;
+
+        if (this.adaptive) {
+            // Shrink the window to the tracked pitch, or restore it when the pitch is lost
+            this.currentWindowSize = frequency !== -1 && confidence >= ADAPTIVE_CONFIDENCE
+                ? Math.min(this.windowSize, getWindowSizeForFrequency(frequency / ADAPTIVE_MARGIN, sampleRate))
+                : this.windowSize;
+        }
+
+        this.port.postMessage({
+            type: 'pitch',
+            frequency,
+            confidence,
+            windowSize: size,
+            time: currentTime
+        });
+    }
+
+    process(inputs) {
+        // Only the first channel of the first input is analyzed
+        const channel = inputs[0] && inputs[0][0];
+
+        if (channel) {
+            for (let i = 0; i < channel.length; i++) {
+                this.ringBuffer[this.writeIndex] = channel[i];
+                this.writeIndex = (this.writeIndex + 1) % this.windowSize;
+                this.bufferedSamples = Math.min(this.bufferedSamples + 1, this.windowSize);
+                this.samplesSinceAnalysis++;
+
+                if (this.samplesSinceAnalysis >= this.hopSize && this.bufferedSamples === this.windowSize) {
+                    this.samplesSinceAnalysis = 0;
+                    if (!this.paused) {
+                        this.analyze();
+                    }
+                }
+            }
+        }
+
+        // Keep the processor alive while the node exists
+        return true;
+    }
+}
+
+registerProcessor('pitch-processor', PitchProcessor);
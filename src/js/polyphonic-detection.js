@@ -0,0 +1,339 @@
+/**
+ * Polyphonic Detection Module
+ * Measures every string of an instrument from a single strum
+ *
+ * The string targets serve as priors: each string is only searched for near its own
+ * target. Strings are resolved one at a time, most prominent first, and the harmonics
+ * of each resolved string are removed from the spectrum before the next one is searched.
+ * Where a harmonic overlaps another string, only the part expected from the string's
+ * smooth spectral envelope is removed, so the other string keeps its share.
+ */
+
+import { magnitudeSpectrum, nextPowerOfTwo } from './fft.js';
+
+// Mean signal energy below which the strum is treated as silence
+const SILENCE_ENERGY = 0.0005;
+
+// Zero padding factor for the spectrum, for finer peak interpolation
+const SPECTRUM_PADDING = 2;
+
+// Largest distance in cents from a string's target that is searched
+const MAX_SEARCH_CENTS = 100;
+
+// Spacing in cents of the candidate frequencies tried around each target
+const CANDIDATE_STEP_CENTS = 2;
+
+// Number of harmonics that contribute to a string's salience
+const HARMONICS = 8;
+
+// Harmonics closer than this to a harmonic of another string's target are treated as shared
+const OVERLAP_CENTS = 50;
+
+// Harmonic peaks implying a fundamental further than this from the coarse estimate belong to another string
+const HARMONIC_TOLERANCE_CENTS = 8;
+
+// A string is reported only if its salience reaches this fraction of the strongest string's
+const MIN_RELATIVE_SALIENCE = 0.1;
+
+// A string's fundamental or second harmonic must rise this far above the spectrum's median level
+const MIN_PEAK_TO_FLOOR = 4;
+
+/**
+ * Find the median of a spectrum's magnitudes without sorting it
+ * Quickselect partitions a copy around pivots until the middle element is in place.
+ * @param {Float64Array} spectrum - Magnitude spectrum
+ * @returns {number} - The median magnitude
+ */
+function medianMagnitude(spectrum) {
+    const values = Float64Array.from(spectrum);
+    const middle = Math.floor(values.length / 2);
+    let low = 0;
+    let high = values.length - 1;
+
+    while (low < high) {
+        const pivot = values[(low + high) >> 1];
+        let i = low;
+        let j = high;
+
+        while (i <= j) {
+            while (values[i] < pivot) {
+                i++;
+            }
+            while (values[j] > pivot) {
+                j--;
+            }
+            if (i <= j) {
+                [values[i], values[j]] = [values[j], values[i]];
+                i++;
+                j--;
+            }
+        }
+
+        // Continue in the part that holds the middle position
+        if (middle <= j) {
+            high = j;
+        } else if (middle >= i) {
+            low = i;
+        } else {
+            break;
+        }
+    }
+
+    return values[middle];
+}
+
+/**
+ * Find the strongest local maximum near a frequency
+ * @param {Float64Array} spectrum - Magnitude spectrum
+ * @param {number} binWidth - Width of a bin in Hz
+ * @param {number} frequency - Expected frequency in Hz
+ * @param {number} radius - Search radius in bins
+ * @returns {number} - Bin index of the peak, or -1 if there is none
+ */
+function findPeakBin(spectrum, binWidth, frequency, radius) {
+    const center = Math.round(frequency / binWidth);
+    const low = Math.max(1, center - radius);
+    const high = Math.min(spectrum.length - 2, center + radius);
+
+    let peakBin = -1;
+    for (let bin = low; bin <= high; bin++) {
+        const isPeak = spectrum[bin] >= spectrum[bin - 1] && spectrum[bin] >= spectrum[bin + 1];
+        if (isPeak && (peakBin === -1 || spectrum[bin] > spectrum[peakBin])) {
+            peakBin = bin;
+        }
+    }
+
+    return peakBin;
+}
+
+/**
+ * Refine a peak's frequency by parabolic interpolation on the log magnitudes
+ * @param {Float64Array} spectrum - Magnitude spectrum
+ * @param {number} bin - Bin index of the peak
+ * @param {number} binWidth - Width of a bin in Hz
+ * @returns {number} - Interpolated frequency in Hz
+ */
+function interpolatePeak(spectrum, bin, binWidth) {
+    const left = Math.log(spectrum[bin - 1] + 1e-12);
+    const center = Math.log(spectrum[bin] + 1e-12);
+    const right = Math.log(spectrum[bin + 1] + 1e-12);
+    const denominator = left - 2 * center + right;
+    const shift = denominator === 0 ? 0 : 0.5 * (left - right) / denominator;
+
+    return (bin + shift) * binWidth;
+}
+
+/**
+ * Find which harmonics of each string coincide with a harmonic of another string
+ * The fundamental is never treated as shared, since every string needs it to be found.
+ * @param {number[]} stringFrequencies - Target frequency of each string in Hz
+ * @returns {boolean[][]} - For each string, whether harmonic n (at index n - 1) is its own
+ */
+function findOwnHarmonics(stringFrequencies) {
+    return stringFrequencies.map((target, index) =>
+        Array.from({ length: HARMONICS }, (_, position) => {
+            const harmonic = position + 1;
+            if (harmonic === 1) {
+                return true;
+            }
+
+            return !stringFrequencies.some((other, otherIndex) => {
+                if (otherIndex === index) {
+                    return false;
+                }
+                for (let otherHarmonic = 1; otherHarmonic <= HARMONICS; otherHarmonic++) {
+                    if (Math.abs(1200 * Math.log2(harmonic * target / (otherHarmonic * other))) < OVERLAP_CENTS) {
+                        return true;
+                    }
+                }
+                return false;
+            });
+        })
+    );
+}
+
+/**
+ * Measure how strongly a candidate fundamental is present in the spectrum
+ * @param {Float64Array} spectrum - Magnitude spectrum
+ * @param {number} binWidth - Width of a bin in Hz
+ * @param {number} frequency - Candidate fundamental in Hz
+ * @param {boolean[]} ownHarmonics - Whether each harmonic belongs to this string alone
+ * @returns {number} - Weighted sum of the harmonic magnitudes
+ */
+function harmonicSalience(spectrum, binWidth, frequency, ownHarmonics) {
+    let salience = 0;
+
+    for (let harmonic = 1; harmonic <= HARMONICS; harmonic++) {
+        // Harmonics shared with another string would pull the estimate towards that string
+        if (!ownHarmonics[harmonic - 1]) {
+            continue;
+        }
+
+        const position = harmonic * frequency / binWidth;
+        const bin = Math.floor(position);
+        if (bin >= spectrum.length - 1) {
+            break;
+        }
+
+        // Sample the spectrum exactly at the harmonic, so the salience peaks at the true pitch,
+        // weighting lower harmonics more
+        const fraction = position - bin;
+        const magnitude = spectrum[bin] * (1 - fraction) + spectrum[bin + 1] * fraction;
+        salience += magnitude / harmonic;
+    }
+
+    return salience;
+}
+
+/**
+ * Estimate a string's frequency near its target
+ * @param {Float64Array} spectrum - Residual magnitude spectrum
+ * @param {number} binWidth - Width of a bin in Hz
+ * @param {number} target - Target frequency of the string in Hz
+ * @param {number} searchCents - Distance in cents around the target to search
+ * @param {number} lobeWidth - Half width of a spectral peak in bins
+ * @param {boolean[]} ownHarmonics - Whether each harmonic belongs to this string alone
+ * @returns {Object} - Object containing the estimated frequency, salience and the harmonic peak bins
+ */
+function estimateString(spectrum, binWidth, target, searchCents, lobeWidth, ownHarmonics) {
+    let bestFrequency = target;
+    let bestSalience = -1;
+
+    // Coarse search over candidate fundamentals around the target
+    for (let cents = -searchCents; cents <= searchCents; cents += CANDIDATE_STEP_CENTS) {
+        const candidate = target * Math.pow(2, cents / 1200);
+        const salience = harmonicSalience(spectrum, binWidth, candidate, ownHarmonics);
+        if (salience > bestSalience) {
+            bestSalience = salience;
+            bestFrequency = candidate;
+        }
+    }
+
+    // Refine from the harmonic peaks that agree with the coarse estimate, favouring strong low
+    // harmonics, which are least affected by inharmonicity and by other strings
+    const peaks = [];
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    for (let harmonic = 1; harmonic <= HARMONICS; harmonic++) {
+        const bin = findPeakBin(spectrum, binWidth, harmonic * bestFrequency, lobeWidth);
+        const implied = bin === -1 ? 0 : interpolatePeak(spectrum, bin, binWidth) / harmonic;
+
+        if (bin === -1 || Math.abs(1200 * Math.log2(implied / bestFrequency)) > HARMONIC_TOLERANCE_CENTS) {
+            peaks.push(-1);
+            continue;
+        }
+
+        peaks.push(bin);
+        if (ownHarmonics[harmonic - 1]) {
+            weightedSum += spectrum[bin] / harmonic * implied;
+            totalWeight += spectrum[bin] / harmonic;
+        }
+    }
+
+    return {
+        frequency: totalWeight > 0 ? weightedSum / totalWeight : bestFrequency,
+        salience: bestSalience,
+        peaks
+    };
+}
+
+/**
+ * Remove a resolved string's harmonics from the residual spectrum
+ * Each harmonic is reduced by the amplitude expected from its neighbours (spectral
+ * smoothness), so energy belonging to another string at the same frequency remains.
+ * @param {Float64Array} spectrum - Residual magnitude spectrum, modified in place
+ * @param {number[]} peaks - Bin index of each harmonic's peak, or -1
+ * @param {number} lobeWidth - Half width of a spectral peak in bins
+ */
+function subtractHarmonics(spectrum, peaks, lobeWidth) {
+    const amplitudes = peaks.map(bin => (bin === -1 ? 0 : spectrum[bin]));
+
+    peaks.forEach((bin, index) => {
+        if (bin === -1) {
+            return;
+        }
+
+        const neighbours = [amplitudes[index - 1], amplitudes[index], amplitudes[index + 1]].filter(value => value !== undefined);
+        const expected = Math.min(amplitudes[index], neighbours.reduce((sum, value) => sum + value, 0) / neighbours.length);
+        const factor = amplitudes[index] > 0 ? 1 - expected / amplitudes[index] : 1;
+
+        for (let offset = -lobeWidth; offset <= lobeWidth; offset++) {
+            if (spectrum[bin + offset] !== undefined) {
+                spectrum[bin + offset] *= factor;
+            }
+        }
+    });
+}
+
+/**
+ * Detect the frequency of every string in a strum
+ * @param {Float32Array} buffer - Audio data buffer
+ * @param {number} sampleRate - Audio sample rate in Hz
+ * @param {number[]} stringFrequencies - Target frequency of each string in Hz
+ * @returns {Object[]} - One result per string, each with frequency (-1 if not detected) and confidence
+ */
+export function detectStrings(buffer, sampleRate, stringFrequencies) {
+    const results = stringFrequencies.map(() => ({ frequency: -1, confidence: 0 }));
+
+    let energy = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        energy += buffer[i] * buffer[i];
+    }
+    if (energy / buffer.length < SILENCE_ENERGY) {
+        return results;
+    }
+
+    const size = nextPowerOfTwo(buffer.length) * SPECTRUM_PADDING;
+    const spectrum = magnitudeSpectrum(buffer, size);
+    const binWidth = sampleRate / size;
+
+    // The Hann window's main lobe spans two bins of the unpadded spectrum on each side
+    const lobeWidth = 2 * SPECTRUM_PADDING;
+
+    const floor = medianMagnitude(spectrum);
+
+    // Search each string no further than halfway to its nearest neighbour
+    const searchRanges = stringFrequencies.map((target, index) => {
+        const distances = stringFrequencies
+            .filter((_, other) => other !== index)
+            .map(other => Math.abs(1200 * Math.log2(other / target)))
+            .filter(distance => distance > 0);
+        return Math.min(MAX_SEARCH_CENTS, ...distances.map(distance => distance / 2));
+    });
+
+    const ownHarmonics = findOwnHarmonics(stringFrequencies);
+    const remaining = stringFrequencies.map((_, index) => index);
+    let strongest = 0;
+
+    // Resolve the most prominent remaining string, remove it, and repeat
+    while (remaining.length > 0) {
+        const estimates = remaining.map(index =>
+            estimateString(spectrum, binWidth, stringFrequencies[index], searchRanges[index], lobeWidth, ownHarmonics[index])
+        );
+
+        let best = 0;
+        estimates.forEach((estimate, position) => {
+            if (estimate.salience > estimates[best].salience) {
+                best = position;
+            }
+        });
+
+        const index = remaining.splice(best, 1)[0];
+        const estimate = estimates[best];
+        strongest = Math.max(strongest, estimate.salience);
+
+        // The string must have a clear fundamental or second harmonic of its own
+        const lowPeaks = estimate.peaks.slice(0, 2).filter(bin => bin !== -1).map(bin => spectrum[bin]);
+        const isAudible = lowPeaks.some(magnitude => magnitude >= floor * MIN_PEAK_TO_FLOOR);
+        const relativeSalience = strongest > 0 ? estimate.salience / strongest : 0;
+
+        if (isAudible && relativeSalience >= MIN_RELATIVE_SALIENCE) {
+            results[index] = { frequency: estimate.frequency, confidence: Math.max(0, Math.min(1, relativeSalience)) };
+        }
+
+        subtractHarmonics(spectrum, estimate.peaks, lobeWidth);
+    }
+
+    return results;
+}
@@ -0,0 +1,342 @@
+/**
+ * Practice Sessions Module
+ * Records the notes played while the tuner runs, reports intonation per note and
+ * stores sessions locally in IndexedDB
+ *
+ * Readings arrive many times per second, so the recorder keeps running sums per note
+ * event (one continuous note) instead of every reading.
+ */
+
+import { NOTE_NAMES } from './note-recognition.js';
+
+// IndexedDB database and object store holding the recorded sessions
+const DATABASE_NAME = 'web-tuner';
+const DATABASE_VERSION = 1;
+const SESSION_STORE = 'practice-sessions';
+
+// Version of the JSON export format
+const EXPORT_VERSION = 1;
+
+// A pause longer than this in milliseconds ends a note event
+const EVENT_GAP = 250;
+
+// Note events shorter than this in milliseconds are passing glitches and are not recorded
+const MIN_EVENT_DURATION = 150;
+
+// Mean deviation in cents from which a note counts as tending sharp or flat
+const TENDENCY_CENTS = 5;
+
+// Share of a note's events that must deviate the same way for a tendency to be reported
+const TENDENCY_CONSISTENCY = 0.75;
+
+// Number of note events a tendency needs to be reported
+const MIN_TENDENCY_EVENTS = 3;
+
+// Connection to the database, opened on first use
+let databasePromise = null;
+
+/**
+ * Records note events from the tuner's readings
+ */
+export class SessionRecorder {
+    constructor() {
+        this.session = null;
+        this.event = null;
+    }
+
+    /**
+     * Whether a session is being recorded
+     * @returns {boolean}
+     */
+    get isRecording() {
+        return this.session !== null;
+    }
+
+    /**
+     * Start recording a new session
+     * @param {Object} settings - Tuner settings stored with the session (e.g. instrument, referenceFrequency)
+     * @param {number} timestamp - Current time in milliseconds since the epoch
+     */
+    start(settings = {}, timestamp = Date.now()) {
+        this.session = {
+            id: `session-${timestamp}`,
+            startedAt: new Date(timestamp).toISOString(),
+            endedAt: null,
+            duration: 0,
+            settings,
+            events: []
+        };
+        this.startTime = timestamp;
+        this.event = null;
+    }
+
+    /**
+     * Record a reading of the displayed note
+     * @param {string} note - Concert pitch note name
+     * @param {number} octave - Octave number
+     * @param {number} cents - Deviation from the note's target in cents
+     * @param {number} timestamp - Time of the reading in milliseconds since the epoch
+     */
+    record(note, octave, cents, timestamp = Date.now()) {
+        if (!this.session) {
+            return;
+        }
+
+        const event = this.event;
+        const isSameNote = event && event.note === note && event.octave === octave && timestamp - event.lastTime <= EVENT_GAP;
+
+        if (!isSameNote) {
+            this.finishEvent();
+            this.event = { note, octave, startTime: timestamp, lastTime: timestamp, count: 0, sum: 0, sumOfSquares: 0 };
+        }
+
+        this.event.lastTime = timestamp;
+        this.event.count++;
+        this.event.sum += cents;
+        this.event.sumOfSquares += cents * cents;
+    }
+
+    /**
+     * Store the current note event in the session if it lasted long enough
+     */
+    finishEvent() {
+        const event = this.event;
+        this.event = null;
+
+        if (!event || event.lastTime - event.startTime < MIN_EVENT_DURATION) {
+            return;
+        }
+
+        this.session.events.push({
+            note: event.note,
+            octave: event.octave,
+            start: (event.startTime - this.startTime) / 1000,
+            duration: (event.lastTime - event.startTime) / 1000,
+            readings: event.count,
+            sum: event.sum,
+            sumOfSquares: event.sumOfSquares
+        });
+    }
+
+    /**
+     * Stop recording
+     * @param {number} timestamp - Current time in milliseconds since the epoch
+     * @returns {Object|null} - The recorded session, or null if nothing was being recorded
+     */
+    stop(timestamp = Date.now()) {
+        if (!this.session) {
+            return null;
+        }
+
+        this.finishEvent();
+
+        const session = this.session;
+        session.endedAt = new Date(timestamp).toISOString();
+        session.duration = (timestamp - this.startTime) / 1000;
+        this.session = null;
+
+        return session;
+    }
+}
+
+/**
+ * Combine the running sums of several note events
+ * @param {Object[]} events - Note events of a session
+ * @returns {Object} - Object containing meanCents and standardDeviation over all readings
+ */
+function combineEvents(events) {
+    const count = events.reduce((total, event) => total + event.readings, 0);
+    const meanCents = events.reduce((total, event) => total + event.sum, 0) / count;
+    const meanOfSquares = events.reduce((total, event) => total + event.sumOfSquares, 0) / count;
+
+    return {
+        meanCents,
+        standardDeviation: Math.sqrt(Math.max(0, meanOfSquares - meanCents * meanCents))
+    };
+}
+
+/**
+ * Create an intonation report for a recorded session
+ * @param {Object} session - Session returned by SessionRecorder.stop()
+ * @returns {Object} - Object containing notes (per note and octave, in pitch order: note, octave,
+ *                     events, duration, meanCents and standardDeviation as the stability),
+ *                     meanAbsoluteCents, standardDeviation and tendencies (per pitch class:
+ *                     note, meanCents and events)
+ */
+export function createSessionReport(session) {
+    const events = session.events;
+    const notes = new Map();
+    const pitchClasses = new Map();
+
+    events.forEach(event => {
+        const key = `${event.note}${event.octave}`;
+        if (!notes.has(key)) {
+            notes.set(key, []);
+        }
+        notes.get(key).push(event);
+
+        if (!pitchClasses.has(event.note)) {
+            pitchClasses.set(event.note, []);
+        }
+        pitchClasses.get(event.note).push(event);
+    });
+
+    const noteReports = Array.from(notes.values())
+        .map(noteEvents => ({
+            note: noteEvents[0].note,
+            octave: noteEvents[0].octave,
+            events: noteEvents.length,
+            duration: noteEvents.reduce((total, event) => total + event.duration, 0),
+            ...combineEvents(noteEvents)
+        }))
+        .sort((a, b) => a.octave * 12 + NOTE_NAMES.indexOf(a.note) - (b.octave * 12 + NOTE_NAMES.indexOf(b.note)));
+
+    // A tendency is a pitch class played out of tune the same way in most of its events
+    const tendencies = [];
+    pitchClasses.forEach((classEvents, note) => {
+        if (classEvents.length < MIN_TENDENCY_EVENTS) {
+            return;
+        }
+
+        const { meanCents } = combineEvents(classEvents);
+        const sameSide = classEvents.filter(event => Math.sign(event.sum) === Math.sign(meanCents)).length;
+
+        if (Math.abs(meanCents) >= TENDENCY_CENTS && sameSide / classEvents.length >= TENDENCY_CONSISTENCY) {
+            tendencies.push({ note, meanCents, events: classEvents.length });
+        }
+    });
+    tendencies.sort((a, b) => Math.abs(b.meanCents) - Math.abs(a.meanCents));
+
+    // Weight each event's deviation by its number of readings, so long notes count more than short ones
+    const readings = events.reduce((total, event) => total + event.readings, 0);
+    const absoluteSum = events.reduce((total, event) => total + Math.abs(event.sum), 0);
+
+    return {
+        notes: noteReports,
+        meanAbsoluteCents: readings > 0 ? absoluteSum / readings : null,
+        standardDeviation: readings > 0 ? combineEvents(events).standardDeviation : null,
+        tendencies
+    };
+}
+
+/**
+ * Compare a session with the sessions recorded before it
+ * @param {Object} session - The session to compare
+ * @param {Object[]} sessions - All stored sessions
+ * @returns {Object} - Object containing earlierSessions (count), meanAbsoluteCentsChange against the
+ *                     average of the earlier sessions and notes (note, octave and meanCentsChange against
+ *                     the last session in which the note was played); changes are null without history
+ */
+export function compareWithEarlierSessions(session, sessions) {
+    const earlier = sessions
+        .filter(other => other.startedAt < session.startedAt && other.events.length > 0)
+        .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+    const report = createSessionReport(session);
+    const earlierReports = earlier.map(createSessionReport);
+
+    const earlierMean = earlierReports.length > 0
+        ? earlierReports.reduce((total, other) => total + other.meanAbsoluteCents, 0) / earlierReports.length
+        : null;
+
+    const notes = report.notes.map(entry => {
+        const previous = earlierReports
+            .map(other => other.notes.find(otherEntry => otherEntry.note === entry.note && otherEntry.octave === entry.octave))
+            .find(otherEntry => otherEntry !== undefined);
+
+        return {
+            note: entry.note,
+            octave: entry.octave,
+            meanCentsChange: previous ? Math.abs(entry.meanCents) - Math.abs(previous.meanCents) : null
+        };
+    });
+
+    return {
+        earlierSessions: earlier.length,
+        meanAbsoluteCentsChange: earlierMean !== null && report.meanAbsoluteCents !== null ? report.meanAbsoluteCents - earlierMean : null,
+        notes
+    };
+}
+
+/**
+ * Open the database, creating the session store on first use
+ * @returns {Promise<IDBDatabase>} - The open database
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('This browser cannot store practice sessions (IndexedDB is not available)'));
+                return;
+            }
+
+            const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow another attempt after a failure
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+
+    return databasePromise;
+}
+
+/**
+ * Run a request against the session store
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} createRequest - Creates the request from the object store
+ * @returns {Promise<*>} - The request's result, once the transaction has completed
+ */
+async function runRequest(mode, createRequest) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(SESSION_STORE, mode);
+        const request = createRequest(transaction.objectStore(SESSION_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Store a recorded session, replacing any session with the same id
+ * @param {Object} session - Session returned by SessionRecorder.stop()
+ * @returns {Promise<Object>} - The stored session
+ */
+export async function saveSession(session) {
+    await runRequest('readwrite', store => store.put(session));
+    return session;
+}
+
+/**
+ * Load all stored sessions
+ * @returns {Promise<Object[]>} - Sessions, oldest first
+ */
+export async function loadSessions() {
+    const sessions = await runRequest('readonly', store => store.getAll());
+    return sessions.sort((a, b) => (a.startedAt < b.startedAt ? -1 : 1));
+}
+
+/**
+ * Delete a stored session
+ * @param {string} sessionId - Id of the session to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteSession(sessionId) {
+    await runRequest('readwrite', store => store.delete(sessionId));
+}
+
+/**
+ * Export all stored sessions with their reports as a JSON string
+ * @returns {Promise<string>} - JSON document containing the sessions
+ */
+export async function exportSessions() {
+    const sessions = (await loadSessions()).map(session => ({ ...session, report: createSessionReport(session) }));
+
+    return JSON.stringify({ version: EXPORT_VERSION, sessions }, null, 2);
+}
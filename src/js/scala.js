@@ -0,0 +1,175 @@
+/**
+ * Scala Module
+ * Parses Scala scale (.scl) and keyboard mapping (.kbm) files into temperaments
+ *
+ * The tuner names notes with the 12 keys of the octave, so a scale is used through a
+ * 12-key keyboard mapping: either an explicit .kbm file or, for 12-note scales, the
+ * default mapping of one scale degree per key.
+ * See https://www.huygens-fokker.org/scala/scl_format.html for the file formats.
+ */
+
+/**
+ * Get the meaningful lines of a Scala file, without comments
+ * @param {string} text - File contents
+ * @returns {string[]} - Lines that are not comments
+ */
+function readLines(text) {
+    return text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+}
+
+/**
+ * Convert a Scala pitch value to cents
+ * Values containing a period are cents, anything else is a ratio such as 3/2 or 2.
+ * @param {string} value - The pitch value
+ * @returns {number} - The pitch in cents
+ * @throws {Error} - If the value is not a valid pitch
+ */
+function parsePitch(value) {
+    if (value.includes('.')) {
+        const cents = parseFloat(value);
+        if (!Number.isFinite(cents)) {
+            throw new Error(`Invalid pitch in scale: ${value}`);
+        }
+        return cents;
+    }
+
+    const match = /^(\d+)(?:\/(\d+))?$/.exec(value);
+    const numerator = match && parseInt(match[1], 10);
+    const denominator = match && match[2] ? parseInt(match[2], 10) : 1;
+
+    if (!match || numerator <= 0 || denominator <= 0) {
+        throw new Error(`Invalid pitch in scale: ${value}`);
+    }
+
+    return 1200 * Math.log2(numerator / denominator);
+}
+
+/**
+ * Parse a Scala scale file
+ * @param {string} text - Contents of the .scl file
+ * @returns {Object} - Object containing the description and the pitches in cents, the last being the period
+ * @throws {Error} - If the file is not a valid scale
+ */
+export function parseScl(text) {
+    const lines = readLines(text);
+
+    if (lines.length < 2) {
+        throw new Error('Scale file is missing its description or note count');
+    }
+
+    const description = lines[0].trim();
+    const noteCount = parseInt(lines[1].trim(), 10);
+
+    if (!Number.isInteger(noteCount) || noteCount < 1) {
+        throw new Error('Scale file has an invalid note count');
+    }
+
+    // Only the first field of each pitch line is the value, the rest is a comment
+    const pitches = lines.slice(2)
+        .map(line => line.trim().split(/\s+/)[0])
+        .filter(Boolean)
+        .slice(0, noteCount)
+        .map(parsePitch);
+
+    if (pitches.length !== noteCount) {
+        throw new Error(`Scale file lists ${pitches.length} of ${noteCount} notes`);
+    }
+
+    return { description, pitches };
+}
+
+/**
+ * Parse a Scala keyboard mapping file
+ * @param {string} text - Contents of the .kbm file
+ * @returns {Object} - Object containing mapSize, middleNote, octaveDegree and mapping (null for unmapped keys)
+ * @throws {Error} - If the file is not a valid keyboard mapping
+ */
+export function parseKbm(text) {
+    const values = readLines(text).map(line => line.trim().split(/\s+/)[0]).filter(Boolean);
+
+    if (values.length < 7) {
+        throw new Error('Keyboard mapping file is incomplete');
+    }
+
+    const mapSize = parseInt(values[0], 10);
+    const middleNote = parseInt(values[3], 10);
+    const octaveDegree = parseInt(values[6], 10);
+
+    if (![mapSize, middleNote, octaveDegree].every(Number.isInteger) || mapSize < 0) {
+        throw new Error('Keyboard mapping file has invalid header values');
+    }
+
+    const mapping = values.slice(7, 7 + mapSize).map(value => {
+        if (value === 'x') {
+            return null;
+        }
+
+        const degree = parseInt(value, 10);
+        if (!Number.isInteger(degree)) {
+            throw new Error(`Invalid key mapping: ${value}`);
+        }
+        return degree;
+    });
+
+    // Missing entries at the end of the mapping are unmapped keys
+    while (mapping.length < mapSize) {
+        mapping.push(null);
+    }
+
+    return { mapSize, middleNote, octaveDegree, mapping };
+}
+
+/**
+ * Create a temperament definition from a Scala scale and optional keyboard mapping
+ * @param {Object} scale - Scale returned by parseScl()
+ * @param {Object} keyboardMapping - Keyboard mapping returned by parseKbm(), or null
+ * @returns {Object} - Object containing name, 12 degrees in cents and the root pitch class
+ * @throws {Error} - If the scale cannot be mapped onto the 12 keys of an octave
+ */
+export function temperamentFromScala(scale, keyboardMapping = null) {
+    const { pitches } = scale;
+    const noteCount = pitches.length;
+    const period = pitches[noteCount - 1];
+
+    // Cents of any scale degree, including degrees beyond the first period
+    const degreeCents = degree => {
+        const periods = Math.floor(degree / noteCount);
+        const step = degree - periods * noteCount;
+        return periods * period + (step === 0 ? 0 : pitches[step - 1]);
+    };
+
+    let mapping;
+    let root = 0;
+    let octaveDegree = noteCount;
+
+    if (keyboardMapping && keyboardMapping.mapSize > 0) {
+        if (keyboardMapping.mapSize !== 12) {
+            throw new Error('Keyboard mapping must repeat every 12 keys');
+        }
+        mapping = keyboardMapping.mapping;
+        root = ((keyboardMapping.middleNote % 12) + 12) % 12;
+        octaveDegree = keyboardMapping.octaveDegree || noteCount;
+    } else {
+        if (noteCount !== 12) {
+            throw new Error(`A ${noteCount}-note scale needs a 12-key keyboard mapping (.kbm)`);
+        }
+        mapping = Array.from({ length: 12 }, (_, key) => key);
+        if (keyboardMapping) {
+            root = ((keyboardMapping.middleNote % 12) + 12) % 12;
+        }
+    }
+
+    // Each group of 12 keys must span exactly one octave
+    if (Math.abs(degreeCents(octaveDegree) - 1200) > 0.5) {
+        throw new Error('Only scales that repeat at the octave are supported');
+    }
+
+    // Unmapped keys keep their equal-tempered pitch
+    const degrees = mapping.map((degree, key) => degree === null ? key * 100 : degreeCents(degree));
+
+    return {
+        name: scale.description || 'Scala scale',
+        degrees,
+        root
+    };
+}
@@ -0,0 +1,248 @@
+/**
+ * Settings Module
+ * Validates the tuner settings, keeps them between visits and encodes them in links
+ *
+ * Settings come from untrusted places (local storage and the URL query string), so every
+ * value is checked against its allowed range or choices. Invalid values are replaced with
+ * the default and reported, so the app can tell the user.
+ */
+
+import { TUNINGS } from './tunings.js';
+import { PITCH_DETECTORS, DEFAULT_CLARITY_THRESHOLDS, DEFAULT_MIN_FREQUENCY, DEFAULT_MAX_FREQUENCY } from './pitch-detection.js';
+import { DEFAULT_STABILIZER_SETTINGS } from './pitch-stabilizer.js';
+import { TRANSPOSITIONS, NOTATION_SYSTEMS, SPELLINGS } from './notation.js';
+import { MIN_TEMPO, MAX_TEMPO, DEFAULT_TEMPO, TIME_SIGNATURES, SUBDIVISIONS } from './metronome.js';
+
+// localStorage key for the saved settings
+const STORAGE_KEY = 'web-tuner-settings';
+
+/**
+ * Create a parser for a number within limits
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {Function} - Parser returning the number, or undefined if it is invalid
+ */
+function numberBetween(min, max) {
+    return value => {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        return Number.isFinite(number) && number >= min && number <= max ? number : undefined;
+    };
+}
+
+/**
+ * Create a parser for a whole number within limits
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {Function} - Parser returning the number, or undefined if it is invalid
+ */
+function integerBetween(min, max) {
+    const parseNumber = numberBetween(min, max);
+    return value => {
+        const number = parseNumber(value);
+        return Number.isInteger(number) ? number : undefined;
+    };
+}
+
+/**
+ * Create a parser for one of a fixed set of choices
+ * @param {string[]} choices - Allowed values
+ * @returns {Function} - Parser returning the choice, or undefined if it is invalid
+ */
+function oneOf(choices) {
+    return value => (choices.includes(String(value)) ? String(value) : undefined);
+}
+
+/**
+ * Create a parser for a comma-separated list of distinct choices, e.g. '2,5'
+ * @param {string[]} choices - Allowed values, in the order they are listed
+ * @returns {Function} - Parser returning the list in the order of the choices, or undefined if it is invalid
+ */
+function listOf(choices) {
+    return value => {
+        if (typeof value !== 'string') {
+            return undefined;
+        }
+
+        const items = value === '' ? [] : value.split(',');
+        if (!items.every(item => choices.includes(item)) || new Set(items).size !== items.length) {
+            return undefined;
+        }
+
+        return choices.filter(choice => items.includes(choice)).join(',');
+    };
+}
+
+/**
+ * Parse a flag stored as a boolean or written as '1'/'0' or 'true'/'false' in a link
+ * @param {*} value - Value to parse
+ * @returns {boolean|undefined} - The flag, or undefined if it is invalid
+ */
+function parseFlag(value) {
+    if (value === true || value === 'true' || value === '1') {
+        return true;
+    }
+    if (value === false || value === 'false' || value === '0') {
+        return false;
+    }
+    return undefined;
+}
+
+/**
+ * Parse an id of a tuning or temperament, which may be imported and so is checked by the app
+ * @param {*} value - Value to parse
+ * @returns {string|undefined} - The id, or undefined if it is not a plausible id
+ */
+function parseId(value) {
+    return typeof value === 'string' && /^[\w-]{1,64}$/.test(value) ? value : undefined;
+}
+
+// Every setting with its default and parser, in the order they must be applied
+export const SETTINGS = {
+    reference: { defaultValue: 440, parse: numberBetween(420, 460) },
+    instrument: { defaultValue: 'guitar', parse: oneOf([...Object.keys(TUNINGS), 'piano']) },
+    tuning: { defaultValue: 'standard', parse: parseId },
+    strum: { defaultValue: false, parse: parseFlag },
+    temperament: { defaultValue: 'equal', parse: parseId },
+    root: { defaultValue: 0, parse: integerBetween(0, 11) },
+    transposition: { defaultValue: 'C', parse: oneOf(Object.keys(TRANSPOSITIONS)) },
+    spelling: { defaultValue: 'sharps', parse: oneOf(SPELLINGS) },
+    notation: { defaultValue: 'english', parse: oneOf(Object.keys(NOTATION_SYSTEMS)) },
+    basspartial: { defaultValue: '1', parse: oneOf(['1', '2', '3', '4', '5', '6']) },
+    treblepartial: { defaultValue: '1', parse: oneOf(['1', '2', '3']) },
+    visualization: { defaultValue: 'waveform', parse: oneOf(['waveform', 'spectrum', 'particles', 'strobe', 'history']) },
+    harmonics: { defaultValue: '', parse: listOf(['2', '3', '4', '5', '6']) },
+    detector: { defaultValue: 'mpm', parse: oneOf(Object.keys(PITCH_DETECTORS)) },
+    window: { defaultValue: 'auto', parse: oneOf(['auto', '1024', '2048', '4096', '8192', '16384']) },
+    hop: { defaultValue: '512', parse: oneOf(['256', '512', '1024', '2048']) },
+    autorange: { defaultValue: true, parse: parseFlag },
+    minfreq: { defaultValue: DEFAULT_MIN_FREQUENCY, parse: numberBetween(20, 5000) },
+    maxfreq: { defaultValue: DEFAULT_MAX_FREQUENCY, parse: numberBetween(20, 5000) },
+    median: { defaultValue: DEFAULT_STABILIZER_SETTINGS.medianSize, parse: integerBetween(1, 9) },
+    smoothing: { defaultValue: DEFAULT_STABILIZER_SETTINGS.smoothing, parse: numberBetween(0, 0.95) },
+    hysteresis: { defaultValue: DEFAULT_STABILIZER_SETTINGS.hysteresisCents, parse: integerBetween(0, 40) },
+    octavejump: { defaultValue: DEFAULT_STABILIZER_SETTINGS.octaveJumpFrames, parse: integerBetween(0, 10) },
+    attack: { defaultValue: DEFAULT_STABILIZER_SETTINGS.attackTime, parse: integerBetween(0, 200) },
+    decay: { defaultValue: DEFAULT_STABILIZER_SETTINGS.decayConfidence, parse: numberBetween(0, 0.9) },
+    gate: { defaultValue: -30, parse: numberBetween(-80, -20) },
+    clarity: { defaultValue: DEFAULT_CLARITY_THRESHOLDS.mpm, parse: numberBetween(0.05, 0.95) },
+    bandpass: { defaultValue: false, parse: parseFlag },
+    raw: { defaultValue: true, parse: parseFlag },
+    gain: { defaultValue: 0, parse: numberBetween(-12, 24) },
+    tempo: { defaultValue: DEFAULT_TEMPO, parse: integerBetween(MIN_TEMPO, MAX_TEMPO) },
+    signature: { defaultValue: '4/4', parse: oneOf(Object.keys(TIME_SIGNATURES)) },
+    subdivision: { defaultValue: '1', parse: oneOf(SUBDIVISIONS.map(String)) },
+    announce: { defaultValue: true, parse: parseFlag },
+    cue: { defaultValue: false, parse: parseFlag },
+    vibrate: { defaultValue: false, parse: parseFlag },
+    shortcuts: { defaultValue: true, parse: parseFlag },
+    palette: { defaultValue: 'standard', parse: oneOf(['standard', 'colorblind']) }
+};
+
+/**
+ * Get the default value of every setting
+ * @returns {Object} - Settings by name
+ */
+export function getDefaultSettings() {
+    return Object.fromEntries(Object.entries(SETTINGS).map(([name, { defaultValue }]) => [name, defaultValue]));
+}
+
+/**
+ * Validate a single setting
+ * @param {string} name - Name of the setting
+ * @param {*} value - Value to check, as stored or as text
+ * @returns {*} - The parsed value, or undefined if the setting is unknown or the value invalid
+ */
+export function validateSetting(name, value) {
+    return SETTINGS[name] ? SETTINGS[name].parse(value) : undefined;
+}
+
+/**
+ * Validate settings, dropping values that are invalid
+ * Unknown names are ignored so that older or newer links still open.
+ * @param {Object} values - Settings by name, as stored or as text
+ * @returns {Object} - Object containing the valid settings and the names of the invalid ones
+ */
+export function validateSettings(values) {
+    const settings = {};
+    const invalid = [];
+
+    Object.keys(SETTINGS).forEach(name => {
+        if (values[name] === undefined) {
+            return;
+        }
+
+        const value = validateSetting(name, values[name]);
+        if (value === undefined) {
+            invalid.push(name);
+        } else {
+            settings[name] = value;
+        }
+    });
+
+    return { settings, invalid };
+}
+
+/**
+ * Load the settings saved on an earlier visit
+ * @returns {Object} - Object containing the valid settings and the names of the invalid ones
+ */
+export function loadSettings() {
+    let stored;
+
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch (error) {
+        return { settings: {}, invalid: ['saved settings'] };
+    }
+
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+        return { settings: {}, invalid: ['saved settings'] };
+    }
+
+    return validateSettings(stored);
+}
+
+/**
+ * Save settings for the next visit
+ * @param {Object} settings - Settings by name
+ */
+export function saveSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(validateSettings(settings).settings));
+    } catch (error) {
+        // Storage may be full or disabled; the settings then only last for this visit
+    }
+}
+
+/**
+ * Read settings from a URL query string
+ * @param {string} search - Query string, e.g. '?reference=442&instrument=viola&visualization=strobe'
+ * @returns {Object} - Object containing the valid settings and the names of the invalid ones
+ */
+export function settingsFromQuery(search) {
+    return validateSettings(Object.fromEntries(new URLSearchParams(search)));
+}
+
+/**
+ * Write settings as a URL query string, leaving out settings at their default
+ * @param {Object} settings - Settings by name
+ * @returns {string} - Query string starting with '?', or an empty string if all settings are default
+ */
+export function settingsToQuery(settings) {
+    const params = new URLSearchParams();
+    const valid = validateSettings(settings).settings;
+
+    Object.entries(valid).forEach(([name, value]) => {
+        // The clarity threshold defaults to the selected detector's own threshold
+        const defaultValue = name === 'clarity'
+            ? DEFAULT_CLARITY_THRESHOLDS[valid.detector || SETTINGS.detector.defaultValue]
+            : SETTINGS[name].defaultValue;
+
+        if (value !== defaultValue) {
+            params.set(name, typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+        }
+    });
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
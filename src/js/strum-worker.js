@@ -0,0 +1,19 @@
+/**
+ * Strum Worker Module
+ * Web Worker that measures every string of a strum off the main thread
+ *
+ * A strum needs a long window and a fine spectrum, whose analysis takes longer than a
+ * frame of the page or a render quantum of the audio thread. Each request is answered
+ * with the results of detectStrings() and the time it was sent with.
+ */
+
+import { detectStrings } from './polyphonic-detection.js';
+
+self.onmessage = (event) => {
+    const { buffer, sampleRate, stringFrequencies, time } = event.data;
+
+    self.postMessage({
+        strings: detectStrings(buffer, sampleRate, stringFrequencies),
+        time
+    });
+};
@@ -0,0 +1,158 @@
+/**
+ * Temperaments Module
+ * Library of historical temperaments and helpers for applying them to note frequencies
+ *
+ * A temperament is described by the size in cents of each of the 12 semitone steps above
+ * its root key. Notes are tuned relative to A4, which always sounds at the reference frequency.
+ */
+
+// Cents of each semitone step above the root for the built-in temperaments
+export const TEMPERAMENTS = {
+    equal: {
+        name: 'Equal Temperament',
+        degrees: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100]
+    },
+    just: {
+        name: 'Just Intonation (5-limit)',
+        // 1/1 16/15 9/8 6/5 5/4 4/3 45/32 3/2 8/5 5/3 9/5 15/8
+        degrees: [0, 111.731, 203.910, 315.641, 386.314, 498.045, 590.224, 701.955, 813.686, 884.359, 1017.596, 1088.269]
+    },
+    pythagorean: {
+        name: 'Pythagorean',
+        // 1/1 256/243 9/8 32/27 81/64 4/3 729/512 3/2 128/81 27/16 16/9 243/128
+        degrees: [0, 90.225, 203.910, 294.135, 407.820, 498.045, 611.730, 701.955, 792.180, 905.865, 996.090, 1109.775]
+    },
+    meantone: {
+        name: 'Quarter-Comma Meantone',
+        degrees: [0, 76.049, 193.157, 310.265, 386.314, 503.422, 579.471, 696.578, 772.627, 889.735, 1006.843, 1082.892]
+    },
+    werckmeister: {
+        name: 'Werckmeister III',
+        degrees: [0, 90.225, 192.180, 294.135, 390.225, 498.045, 588.270, 696.090, 792.180, 888.270, 996.090, 1092.180]
+    },
+    vallotti: {
+        name: 'Vallotti',
+        degrees: [0, 94.135, 196.090, 298.045, 392.180, 501.955, 592.180, 698.045, 796.090, 894.135, 1000.000, 1090.225]
+    },
+    kirnberger: {
+        name: 'Kirnberger III',
+        degrees: [0, 90.225, 193.157, 294.135, 386.314, 498.045, 590.224, 696.578, 792.180, 889.735, 996.090, 1088.269]
+    }
+};
+
+// Twelve-tone equal temperament, the default everywhere in the app
+export const EQUAL_TEMPERAMENT = createTemperament(TEMPERAMENTS.equal);
+
+// localStorage key for temperaments imported by the user
+const STORAGE_KEY = 'web-tuner-custom-temperaments';
+
+/**
+ * Create a temperament that can be applied to notes
+ * @param {Object} definition - Temperament with a name and 12 degrees in cents
+ * @param {number} root - Pitch class of the root key, 0 for C to 11 for B (default: 0)
+ * @returns {Object} - Temperament with name, degrees and root
+ */
+export function createTemperament(definition, root = 0) {
+    if (!Array.isArray(definition.degrees) || definition.degrees.length !== 12) {
+        throw new Error('A temperament must define 12 degrees');
+    }
+
+    return {
+        name: definition.name,
+        degrees: definition.degrees.slice(),
+        root: ((root % 12) + 12) % 12
+    };
+}
+
+/**
+ * Get how far a pitch class deviates from equal temperament
+ * @param {Object} temperament - Temperament created by createTemperament()
+ * @param {number} pitchClass - Pitch class, 0 for C to 11 for B
+ * @returns {number} - Deviation in cents
+ */
+export function getTemperamentOffset(temperament, pitchClass) {
+    const degree = (((pitchClass - temperament.root) % 12) + 12) % 12;
+    return temperament.degrees[degree] - temperament.degrees[0] - degree * 100;
+}
+
+/**
+ * Validate and normalize a user-defined temperament
+ * @param {Object} data - Temperament data with name, 12 degrees in cents and a root pitch class
+ * @returns {Object} - Normalized temperament definition
+ * @throws {Error} - If the temperament definition is invalid
+ */
+export function validateCustomTemperament(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Temperament must be an object');
+    }
+
+    const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Custom Temperament';
+
+    if (!Array.isArray(data.degrees) || data.degrees.length !== 12 || !data.degrees.every(Number.isFinite)) {
+        throw new Error(`Temperament "${name}" must define 12 degrees in cents`);
+    }
+
+    const root = Number.isInteger(data.root) ? ((data.root % 12) + 12) % 12 : 0;
+
+    return {
+        id: typeof data.id === 'string' && data.id ? data.id : `custom-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        degrees: data.degrees.slice(),
+        root,
+        custom: true
+    };
+}
+
+/**
+ * Load all custom temperaments from local storage
+ * Invalid entries are skipped.
+ * @returns {Object[]} - Array of custom temperament definitions
+ */
+export function loadCustomTemperaments() {
+    let stored;
+
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.error('Could not read custom temperaments:', error);
+        return [];
+    }
+
+    if (!Array.isArray(stored)) {
+        return [];
+    }
+
+    return stored.reduce((temperaments, data) => {
+        try {
+            temperaments.push(validateCustomTemperament(data));
+        } catch (error) {
+            console.warn('Skipping invalid custom temperament:', error.message);
+        }
+        return temperaments;
+    }, []);
+}
+
+/**
+ * Save a custom temperament, replacing any temperament with the same id
+ * @param {Object} data - Temperament data with name, degrees and root
+ * @returns {Object} - The saved temperament definition
+ * @throws {Error} - If the temperament definition is invalid
+ */
+export function saveCustomTemperament(data) {
+    const temperament = validateCustomTemperament(data);
+    const temperaments = loadCustomTemperaments().filter(existing => existing.id !== temperament.id);
+
+    temperaments.push(temperament);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(temperaments));
+
+    return temperament;
+}
+
+/**
+ * Delete a custom temperament
+ * @param {string} id - Id of the temperament to delete
+ */
+export function deleteCustomTemperament(id) {
+    const temperaments = loadCustomTemperaments().filter(temperament => temperament.id !== id);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(temperaments));
+}
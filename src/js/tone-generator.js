@@ -0,0 +1,230 @@
+/**
+ * Tone Generator Module
+ * Plays reference tones and sustained drones on the tuner's AudioContext
+ *
+ * While a tone plays, the microphone hears it too; createToneRejectionFilters() builds
+ * notch filters that remove the generator's own partials before pitch detection. Partials
+ * the player's note shares with the tone are kept, see getRejectedFrequencies(), or an
+ * in-tune note would be removed along with the tone.
+ */
+
+// Available timbres
+export const TIMBRES = {
+    sine: 'Sine',
+    triangle: 'Triangle',
+    plucked: 'Plucked String'
+};
+
+// Length in seconds of a single reference tone, and of one pluck in a plucked drone
+export const TONE_DURATION = 2;
+
+// Fade in and out times in seconds, to avoid clicks
+const ATTACK_TIME = 0.02;
+const RELEASE_TIME = 0.1;
+
+// Output volume of the generator
+const TONE_VOLUME = 0.3;
+
+// Harmonics synthesized for the plucked timbre, and where along the string it is plucked
+const PLUCK_HARMONICS = 12;
+const PLUCK_POSITION = 0.2;
+
+// Decay rate of the plucked fundamental per second; higher harmonics decay faster
+const PLUCK_DECAY = 1.5;
+
+// Harmonics of the triangle wave that are loud enough to disturb pitch detection
+const TRIANGLE_HARMONICS = [1, 3, 5];
+
+// Quality factor of the notch filters, about a quarter tone wide
+const NOTCH_Q = 30;
+
+// Distance in cents from a partial of the player's note within which a tone's partial is not removed:
+// the largest deviation the tuner shows plus half the width of a notch
+const SHARED_PARTIAL_CENTS = 80;
+
+/**
+ * Synthesize a plucked string as a sum of decaying harmonics
+ * Additive synthesis keeps the pitch exact, unlike a delay-line string model.
+ * @param {AudioContext} audioContext - The audio context
+ * @param {number} frequency - Frequency of the fundamental in Hz
+ * @param {number} duration - Length of the tone in seconds
+ * @returns {AudioBuffer} - The synthesized tone
+ */
+function createPluckedBuffer(audioContext, frequency, duration) {
+    const { sampleRate } = audioContext;
+    const buffer = audioContext.createBuffer(1, Math.round(duration * sampleRate), sampleRate);
+    const data = buffer.getChannelData(0);
+
+    for (let harmonic = 1; harmonic <= PLUCK_HARMONICS && harmonic * frequency < sampleRate / 2; harmonic++) {
+        // Plucking at one point excites each harmonic in proportion to sin(n * pi * position) / n²
+        const amplitude = Math.sin(harmonic * Math.PI * PLUCK_POSITION) / (harmonic * harmonic);
+        const decay = PLUCK_DECAY * (1 + 0.5 * (harmonic - 1));
+        const step = 2 * Math.PI * harmonic * frequency / sampleRate;
+
+        for (let i = 0; i < data.length; i++) {
+            data[i] += amplitude * Math.exp(-decay * i / sampleRate) * Math.sin(step * i);
+        }
+    }
+
+    // Normalize to full scale
+    let peak = 0;
+    for (let i = 0; i < data.length; i++) {
+        peak = Math.max(peak, Math.abs(data[i]));
+    }
+    for (let i = 0; i < data.length && peak > 0; i++) {
+        data[i] /= peak;
+    }
+
+    return buffer;
+}
+
+/**
+ * Get the partials of a tone that can be removed without removing the player's note
+ * A partial of the tone close to a harmonic of a note the player is expected to play is kept:
+ * the player's partial would fall into its notch, most of all when the note is in tune.
+ * @param {number[]} toneFrequencies - Frequencies of the tone's partials in Hz
+ * @param {number[]} expectedFrequencies - Fundamentals of the notes the player is expected to play in Hz
+ * @returns {number[]} - Frequencies of the partials to remove in Hz
+ */
+export function getRejectedFrequencies(toneFrequencies, expectedFrequencies) {
+    return toneFrequencies.filter(partial => !expectedFrequencies.some(fundamental => {
+        const harmonic = Math.max(1, Math.round(partial / fundamental));
+        return Math.abs(1200 * Math.log2(partial / (harmonic * fundamental))) < SHARED_PARTIAL_CENTS;
+    }));
+}
+
+/**
+ * Create notch filters that remove a tone's partials from a signal
+ * @param {AudioContext} audioContext - The audio context
+ * @param {number[]} frequencies - Frequencies to remove in Hz
+ * @returns {BiquadFilterNode[]} - One notch filter per frequency, to be connected in series
+ */
+export function createToneRejectionFilters(audioContext, frequencies) {
+    return frequencies.map(frequency => {
+        const filter = audioContext.createBiquadFilter();
+        filter.type = 'notch';
+        filter.frequency.value = frequency;
+        filter.Q.value = NOTCH_Q;
+        return filter;
+    });
+}
+
+/**
+ * Generator for reference tones and drones
+ */
+export class ToneGenerator {
+    /**
+     * @param {AudioContext} audioContext - The audio context to play on
+     * @param {AudioNode} destination - Node the tones are sent to (default: the speakers)
+     */
+    constructor(audioContext, destination = audioContext.destination) {
+        this.audioContext = audioContext;
+        this.output = audioContext.createGain();
+        this.output.gain.value = TONE_VOLUME;
+        this.output.connect(destination);
+        this.voice = null;
+
+        // Called when a tone ends by itself
+        this.onended = null;
+    }
+
+    /**
+     * Whether a tone or drone is currently playing
+     * @returns {boolean}
+     */
+    get isPlaying() {
+        return this.voice !== null;
+    }
+
+    /**
+     * Play a tone, replacing any tone that is already playing
+     * @param {number} frequency - Frequency in Hz
+     * @param {Object} options - Object with timbre (see TIMBRES), drone (sustain until stopped) and duration in seconds
+     */
+    play(frequency, { timbre = 'sine', drone = false, duration = TONE_DURATION } = {}) {
+        this.stop();
+
+        const context = this.audioContext;
+        const now = context.currentTime;
+        const envelope = context.createGain();
+        envelope.connect(this.output);
+
+        let source;
+        if (timbre === 'plucked') {
+            // A plucked drone is plucked again every time the buffer loops
+            source = context.createBufferSource();
+            source.buffer = createPluckedBuffer(context, frequency, duration);
+            source.loop = drone;
+        } else {
+            source = context.createOscillator();
+            source.type = timbre === 'triangle' ? 'triangle' : 'sine';
+            source.frequency.value = frequency;
+
+            envelope.gain.setValueAtTime(0, now);
+            envelope.gain.linearRampToValueAtTime(1, now + ATTACK_TIME);
+            if (!drone) {
+                envelope.gain.setValueAtTime(1, now + duration - RELEASE_TIME);
+                envelope.gain.linearRampToValueAtTime(0, now + duration);
+            }
+        }
+
+        source.connect(envelope);
+        source.start(now);
+        if (!drone) {
+            source.stop(now + duration);
+        }
+
+        const voice = { source, envelope, frequency, timbre };
+        source.onended = () => {
+            envelope.disconnect();
+            if (this.voice === voice) {
+                this.voice = null;
+                if (this.onended) {
+                    this.onended();
+                }
+            }
+        };
+
+        this.voice = voice;
+    }
+
+    /**
+     * Fade out and stop the current tone
+     */
+    stop() {
+        if (!this.voice) {
+            return;
+        }
+
+        const { source, envelope } = this.voice;
+        const now = this.audioContext.currentTime;
+        this.voice = null;
+
+        envelope.gain.cancelScheduledValues(now);
+        envelope.gain.setValueAtTime(envelope.gain.value, now);
+        envelope.gain.linearRampToValueAtTime(0, now + RELEASE_TIME);
+        source.stop(now + RELEASE_TIME);
+    }
+
+    /**
+     * Get the frequencies of the partials the current tone emits
+     * @returns {number[]} - Frequencies in Hz, the fundamental first, empty when nothing is playing
+     */
+    getPartialFrequencies() {
+        if (!this.voice) {
+            return [];
+        }
+
+        const { frequency, timbre } = this.voice;
+        const nyquist = this.audioContext.sampleRate / 2;
+        let harmonics = [1];
+
+        if (timbre === 'triangle') {
+            harmonics = TRIANGLE_HARMONICS;
+        } else if (timbre === 'plucked') {
+            harmonics = Array.from({ length: PLUCK_HARMONICS / 2 }, (_, index) => index + 1);
+        }
+
+        return harmonics.map(harmonic => harmonic * frequency).filter(partial => partial < nyquist);
+    }
+}
@@ -0,0 +1,1033 @@
+/**
+ * Tuner Engine Module
+ * Runs the tuner without any user interface: owns the audio graph, the pitch detector and
+ * the mapping of pitches to notes or string targets, and reports what it hears as events
+ *
+ * The engine accepts a MediaStream or an AudioNode as input, or opens the microphone
+ * itself. Consumers listen for these events, each carrying its data in event.detail:
+ *
+ * - pitch: every detection, with the stabilized reading (a PitchReading)
+ * - noteChange: a new note or target is being played, with its PitchReading
+ * - inTune: the note or target stayed within IN_TUNE_CENTS for TUNED_HOLD_TIME, with its PitchReading
+ * - silence: the pitch was lost, with the time
+ * - error: opening the input or detecting pitches failed, with the error; an input that ends
+ *   by itself, e.g. an unplugged microphone, reports an error named InputEndedError
+ *
+ * @example
+ * const tuner = new TunerEngine({ referenceFrequency: 442 });
+ * tuner.addEventListener('pitch', event => console.log(event.detail.note, event.detail.cents));
+ * await tuner.start();
+ */
+
+import { DEFAULT_SILENCE_THRESHOLD, DEFAULT_CLARITY_THRESHOLDS, getPitchDetector } from './pitch-detection.js';
+import { isAudioWorkletSupported, createPitchWorkletNode, configurePitchWorkletNode } from './pitch-worklet-node.js';
+import { getDetectionRange, getWindowSizeForFrequency } from './analysis-window.js';
+import { noteFromFrequency, frequencyFromNote, parseNoteName } from './note-recognition.js';
+import { PitchStabilizer } from './pitch-stabilizer.js';
+import { centsBetween, findClosestString, createStringStates, updateStringState } from './instrument-tuning.js';
+import { EQUAL_TEMPERAMENT } from './temperaments.js';
+import { createToneRejectionFilters, getRejectedFrequencies } from './tone-generator.js';
+import { detectStrings } from './polyphonic-detection.js';
+import { openInputStream, closeInputStream, measureLevel, createBandPassFilters } from './audio-input.js';
+
+/**
+ * @typedef {Object} PitchReading
+ * @property {number} time - Time of the reading in milliseconds (performance.now() for live input)
+ * @property {number} frequency - Stabilized frequency in Hz, or -1 if there is nothing to show
+ * @property {number} rawFrequency - Frequency reported by the detector in Hz, or -1 if no pitch
+ * @property {number} confidence - Confidence score between 0 and 1
+ * @property {string|null} note - Concert pitch note name, null without a pitch
+ * @property {number|null} octave - Octave number, null without a pitch
+ * @property {number|null} cents - Deviation from the target in cents, null without a pitch
+ * @property {number|null} targetFrequency - Frequency of the note or target in Hz, null without a pitch
+ * @property {number|null} targetIndex - Index of the matched target, null in chromatic mode
+ * @property {Array<Object|null>|null} strings - In strum mode, the reading of every target (frequency,
+ *                                               confidence and cents) or null if it was not heard;
+ *                                               null outside strum mode
+ */
+
+// Default settings of the engine
+export const DEFAULT_ENGINE_SETTINGS = {
+    referenceFrequency: 440, // A4 reference frequency in Hz
+    temperament: EQUAL_TEMPERAMENT, // Temperament notes are tuned in
+    targets: null, // Targets to tune, each with name (e.g. 'E2') and frequency in Hz, or null for chromatic mode
+    lockedTarget: null, // Index of the target every pitch is measured against, null to follow the pitch
+    strum: false, // Measure all targets at once from a strum
+    detector: 'mpm', // Id of the pitch detection algorithm
+    windowSize: 'auto', // Samples per detection, or 'auto' to fit the window to the played note
+    hopSize: 512, // Number of new samples between detections
+    minFrequency: null, // Lowest detectable frequency in Hz, null to derive it from the targets
+    maxFrequency: null, // Highest detectable frequency in Hz, null to derive it from the targets
+    silenceThreshold: DEFAULT_SILENCE_THRESHOLD, // Mean signal energy below which no pitch is detected
+    clarityThreshold: null, // Confidence the detector needs to report a pitch, null for the detector's default
+    inputGain: 0, // Gain applied to the input in dB
+    bandPass: false, // Limit the input to the detection range
+    deviceId: '', // Microphone opened when no input is given, empty for the default device
+    raw: true // Disable the browser's speech processing on the microphone
+};
+
+// Sample rate assumed for window sizes before the audio context exists
+const DEFAULT_SAMPLE_RATE = 48000;
+
+// Size of the analyzer that follows the signal for visualizations, fine enough to resolve low notes
+const ANALYZER_FFT_SIZE = 8192;
+
+// Size of the analyzer for piano partials and strums, fine enough to resolve the partials of A0
+const PARTIAL_FFT_SIZE = 32768;
+
+// Size of the analyzer measuring the input level
+const LEVEL_FFT_SIZE = 2048;
+
+// Minimum time in milliseconds between analyses of a strum
+const STRUM_ANALYSIS_INTERVAL = 150;
+
+// Time in seconds an ignored sound is assumed to linger after it ends, covering the
+// microphone's latency and echoes in the room
+const IGNORED_INPUT_MARGIN = 0.05;
+
+// Settings that change which note or target a pitch is measured against
+const NOTE_SETTINGS = ['referenceFrequency', 'temperament', 'targets', 'strum'];
+
+// Settings passed on to the pitch detector, which is paused in strum mode
+const ANALYSIS_SETTINGS = ['detector', 'windowSize', 'hopSize', 'minFrequency', 'maxFrequency', 'silenceThreshold', 'clarityThreshold', 'targets', 'strum'];
+
+// Settings that change the filters between the input and the analyzers
+const FILTER_SETTINGS = ['bandPass', 'minFrequency', 'maxFrequency', 'targets'];
+
+// Settings that change which notes the player is expected to play, whose partials the tone rejection keeps
+const EXPECTED_NOTE_SETTINGS = ['targets', 'lockedTarget'];
+
+/**
+ * Check whether an input is an AudioNode rather than a MediaStream
+ * @param {MediaStream|AudioNode} input - The input
+ * @returns {boolean} - Whether the input can be connected directly
+ */
+function isAudioNode(input) {
+    return typeof input.connect === 'function' && Boolean(input.context);
+}
+
+/**
+ * Headless tuner: detects pitches from an audio input and reports them as events
+ */
+export class TunerEngine extends EventTarget {
+    /**
+     * @param {Object} settings - Engine settings, see DEFAULT_ENGINE_SETTINGS; may also contain an audioContext to use
+     */
+    constructor(settings = {}) {
+        super();
+
+        const { audioContext = null, ...engineSettings } = settings;
+        this.audioContext = audioContext;
+        this.settings = Object.assign({}, DEFAULT_ENGINE_SETTINGS, engineSettings);
+        this.stabilizer = new PitchStabilizer();
+        this.targetStates = createStringStates(this.settings.targets ? this.settings.targets.length : 0);
+        this.isRunning = false;
+        this.isSuspended = false; // Whether the audio context was suspended by suspend()
+
+        // Audio graph, built by start()
+        this.stream = null; // Microphone stream opened by the engine, closed when it stops
+        this.source = null; // Node feeding the input chain
+        this.ownsSource = false; // Whether the source node was created by the engine
+        this.inputNode = null; // Applies the input gain and feeds all analyzers
+        this.filters = []; // Band-pass and tone rejection filters between the source and the input node
+        this.toneFrequencies = []; // Frequencies removed from the input, e.g. of a reference tone
+        this.ignoredInput = []; // Periods of audio time whose detections are dropped, e.g. metronome clicks
+        this.analyzer = null; // Follows the signal, e.g. for visualizations
+        this.partialAnalyzer = null; // Long analyzer for piano partials and strums
+        this.levelAnalyzer = null; // Measures the input level
+        this.workletNode = null; // Runs pitch detection on the audio thread when AudioWorklet is supported
+        this.detectionAnalyzer = null; // Polled for pitch detection when AudioWorklet is not supported
+        this.animationFrameId = null;
+        this.strumTimer = null; // Requests a strum analysis every STRUM_ANALYSIS_INTERVAL in strum mode
+        this.strumWorker = null; // Analyzes strums off the main thread, created on first use
+        this.isStrumWorkerFailed = false; // Whether strums are analyzed on the main thread instead
+
+        this.updateAnalysis();
+        this.resetNote();
+    }
+
+    /**
+     * Get the audio context, creating it on first use
+     * @returns {AudioContext} - The audio context shared by the engine and its consumers
+     */
+    getAudioContext() {
+        if (!this.audioContext) {
+            this.audioContext = new (globalThis.AudioContext || globalThis.webkitAudioContext)();
+        }
+
+        return this.audioContext;
+    }
+
+    /**
+     * Change engine settings
+     * A changed deviceId or raw setting applies the next time the microphone is opened, see setInput().
+     * @param {Object} settings - Settings to change, see DEFAULT_ENGINE_SETTINGS
+     */
+    configure(settings) {
+        const changed = name => Object.prototype.hasOwnProperty.call(settings, name);
+
+        // Every detector measures clarity on its own scale
+        if (changed('detector') && settings.detector !== this.settings.detector && !changed('clarityThreshold')) {
+            this.settings.clarityThreshold = null;
+        }
+
+        // New targets start untuned and unlocked
+        if (changed('targets') && !changed('lockedTarget')) {
+            this.settings.lockedTarget = null;
+        }
+
+        Object.assign(this.settings, settings);
+
+        if (changed('targets')) {
+            this.targetStates = createStringStates(this.settings.targets ? this.settings.targets.length : 0);
+        }
+
+        if (NOTE_SETTINGS.some(changed)) {
+            this.resetNote();
+        }
+
+        if (ANALYSIS_SETTINGS.some(changed)) {
+            this.updateAnalysis();
+        }
+
+        if (this.inputNode && changed('inputGain')) {
+            this.inputNode.gain.value = Math.pow(10, this.settings.inputGain / 20);
+        }
+
+        // The band-pass filter follows the detection range, and the tone rejection the expected notes
+        if (this.source && (changed('bandPass') ||
+            (this.settings.bandPass && FILTER_SETTINGS.some(changed)) ||
+            (this.toneFrequencies.length > 0 && EXPECTED_NOTE_SETTINGS.some(changed)))) {
+            this.updateInputChain();
+        }
+    }
+
+    /**
+     * Get the detection range, noise gate and clarity threshold passed to the detector
+     * @returns {Object} - Object containing minFrequency, maxFrequency, silenceThreshold and clarityThreshold
+     */
+    getDetectionOptions() {
+        const { targets, minFrequency, maxFrequency, detector, silenceThreshold, clarityThreshold } = this.settings;
+        const range = minFrequency !== null && maxFrequency !== null
+            ? { minFrequency, maxFrequency }
+            : getDetectionRange(targets ? targets.map(target => target.frequency) : []);
+
+        return {
+            minFrequency: range.minFrequency,
+            maxFrequency: range.maxFrequency,
+            silenceThreshold,
+            clarityThreshold: clarityThreshold !== null ? clarityThreshold : DEFAULT_CLARITY_THRESHOLDS[detector]
+        };
+    }
+
+    /**
+     * Get the analysis settings of the pitch worklet
+     * @returns {Object} - Object containing windowSize, hopSize, adaptive, paused, detector and the detection options
+     */
+    getAnalysisOptions() {
+        return {
+            windowSize: this.windowSize,
+            hopSize: this.hopSize,
+            adaptive: this.settings.windowSize === 'auto',
+            paused: this.isStrumming(),
+            detector: this.settings.detector,
+            ...this.getDetectionOptions()
+        };
+    }
+
+    /**
+     * Apply the detector, window and hop sizes to the running detection
+     */
+    updateAnalysis() {
+        const { windowSize, hopSize, detector } = this.settings;
+        this.pitchDetector = getPitchDetector(detector);
+        this.stabilizer.setClarityThreshold(this.getDetectionOptions().clarityThreshold);
+
+        // In adaptive mode the largest window must fit the lowest note of the detection range
+        const sampleRate = this.audioContext ? this.audioContext.sampleRate : DEFAULT_SAMPLE_RATE;
+        this.windowSize = windowSize === 'auto'
+            ? getWindowSizeForFrequency(this.getDetectionOptions().minFrequency, sampleRate)
+            : windowSize;
+        this.hopSize = Math.min(hopSize, this.windowSize);
+
+        if (this.workletNode) {
+            configurePitchWorkletNode(this.workletNode, this.getAnalysisOptions());
+        }
+
+        if (this.detectionAnalyzer) {
+            this.detectionAnalyzer.fftSize = this.windowSize;
+        }
+
+        this.updateStrumAnalysis();
+    }
+
+    /**
+     * Start listening
+     * @param {MediaStream|AudioNode|null} input - Input to tune, or null to open the microphone
+     * @returns {Promise<void>} - Resolves once detection runs, or once stop() was called meanwhile;
+     *                            rejects if the input cannot be opened
+     */
+    async start(input = null) {
+        if (this.isRunning) {
+            return;
+        }
+
+        try {
+            // An input node brings its own audio context
+            if (input && isAudioNode(input) && !this.audioContext) {
+                this.audioContext = input.context;
+            }
+            const audioContext = this.getAudioContext();
+            this.isRunning = true;
+
+            // A context left suspended, e.g. by suspend() before the engine was stopped, hears nothing
+            this.isSuspended = false;
+            if (audioContext.state === 'suspended') {
+                await audioContext.resume();
+            }
+            if (!this.isRunning) {
+                return;
+            }
+
+            // All analyzers listen to the input through the input node, which applies the input gain
+            this.inputNode = audioContext.createGain();
+            this.inputNode.gain.value = Math.pow(10, this.settings.inputGain / 20);
+
+            this.analyzer = audioContext.createAnalyser();
+            this.analyzer.fftSize = ANALYZER_FFT_SIZE;
+            this.partialAnalyzer = audioContext.createAnalyser();
+            this.partialAnalyzer.fftSize = PARTIAL_FFT_SIZE;
+            this.levelAnalyzer = audioContext.createAnalyser();
+            this.levelAnalyzer.fftSize = LEVEL_FFT_SIZE;
+            [this.analyzer, this.partialAnalyzer, this.levelAnalyzer].forEach(node => this.inputNode.connect(node));
+
+            // The engine may be stopped while the microphone opens, e.g. during the permission prompt
+            await this.setInput(input);
+            if (!this.isRunning) {
+                return;
+            }
+
+            // Window sizes depend on the sample rate of the audio context
+            this.updateAnalysis();
+            await this.startDetection();
+        } catch (error) {
+            this.stop();
+            this.reportError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the input of the running engine, e.g. after another microphone was chosen
+     * @param {MediaStream|AudioNode|null} input - New input, or null to open the microphone with
+     *                                             the deviceId and raw settings
+     * @returns {Promise<void>} - Resolves once the new input is connected; the old input is kept if it fails
+     */
+    async setInput(input = null) {
+        if (!this.isRunning) {
+            throw new Error('The tuner engine is not running');
+        }
+
+        const audioContext = this.audioContext;
+        let stream = null;
+        let source;
+
+        if (!input) {
+            stream = await openInputStream({ deviceId: this.settings.deviceId, raw: this.settings.raw });
+            source = audioContext.createMediaStreamSource(stream);
+        } else if (isAudioNode(input)) {
+            if (input.context !== audioContext) {
+                throw new Error('The input node belongs to another audio context');
+            }
+            source = input;
+        } else {
+            source = audioContext.createMediaStreamSource(input);
+        }
+
+        // The engine may have been stopped while the microphone was opening
+        if (!this.isRunning) {
+            closeInputStream(stream);
+            return;
+        }
+
+        this.releaseSource();
+        this.stream = stream;
+        this.source = source;
+        this.ownsSource = source !== input;
+
+        // A stream ends without being stopped when its device is unplugged or access is revoked
+        const inputStream = stream || (isAudioNode(input) ? null : input);
+        if (inputStream) {
+            inputStream.getAudioTracks().forEach(track => {
+                track.addEventListener('ended', () => {
+                    if (this.source === source) {
+                        const error = new Error('The audio input ended');
+                        error.name = 'InputEndedError';
+                        this.reportError(error);
+                    }
+                });
+            });
+        }
+
+        this.updateInputChain();
+    }
+
+    /**
+     * Remove the partials of a tone from the input, e.g. of a reference tone played while tuning
+     * Partials shared with the notes the player is expected to play are kept, see getExpectedFrequencies().
+     * @param {number[]} frequencies - Frequencies of the tone's partials in Hz, the fundamental first, empty to remove none
+     */
+    setToneRejection(frequencies) {
+        this.toneFrequencies = frequencies.slice();
+
+        if (this.source) {
+            this.updateInputChain();
+        }
+    }
+
+    /**
+     * Ignore the input while a sound of the app itself plays, e.g. a metronome click
+     * Detections whose window contains the sound are dropped, so the stabilizer keeps the note
+     * that was playing before it. Sounds are only ignored while the engine runs.
+     * @param {number} startTime - Audio time the sound starts, in seconds
+     * @param {number} endTime - Audio time the sound ends, in seconds
+     */
+    ignoreInput(startTime, endTime) {
+        // Only a running engine forgets the sounds again
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.ignoredInput.push({ startTime, endTime });
+    }
+
+    /**
+     * Get the time after an ignored sound ends until the input is used again
+     * Sounds that follow each other more closely than this leave no detection between them.
+     * @returns {number} - Time in seconds, up to the next detection whose window is free of the sound
+     */
+    getIgnoredInputTime() {
+        const sampleRate = this.audioContext ? this.audioContext.sampleRate : DEFAULT_SAMPLE_RATE;
+        return this.getOutputDelay() + IGNORED_INPUT_MARGIN + (this.windowSize + this.hopSize) / sampleRate;
+    }
+
+    /**
+     * Get the time between scheduling a sound and the speakers playing it
+     * @returns {number} - Delay in seconds
+     */
+    getOutputDelay() {
+        const audioContext = this.audioContext;
+        return audioContext ? audioContext.outputLatency || audioContext.baseLatency || 0 : 0;
+    }
+
+    /**
+     * Check whether the latest detection window contains an ignored sound
+     * @returns {boolean} - Whether the detection must be dropped
+     */
+    isInputIgnored() {
+        if (this.ignoredInput.length === 0) {
+            return false;
+        }
+
+        const audioContext = this.audioContext;
+        const now = audioContext.currentTime;
+        const windowStart = now - this.windowSize / audioContext.sampleRate;
+
+        // The speakers play a sound later than it was scheduled
+        const delay = this.getOutputDelay();
+        const isHeard = ({ startTime, endTime }) => startTime + delay <= now && endTime + delay + IGNORED_INPUT_MARGIN >= windowStart;
+
+        // Forget sounds that have left the window
+        this.ignoredInput = this.ignoredInput.filter(({ endTime }) => endTime + delay + IGNORED_INPUT_MARGIN >= windowStart);
+
+        return this.ignoredInput.some(isHeard);
+    }
+
+    /**
+     * Get the notes the player is expected to play while a tone plays
+     * @returns {number[]} - Fundamentals in Hz: the locked target, every target when none is locked,
+     *                       or in chromatic mode the tone's own note, which the player plays along with
+     */
+    getExpectedFrequencies() {
+        const { targets, lockedTarget } = this.settings;
+
+        if (!targets) {
+            return this.toneFrequencies.slice(0, 1);
+        }
+        return lockedTarget !== null ? [targets[lockedTarget].frequency] : targets.map(target => target.frequency);
+    }
+
+    /**
+     * Route the input to the analyzers through the band-pass and tone rejection filters
+     */
+    updateInputChain() {
+        const audioContext = this.audioContext;
+
+        this.disconnectSource();
+        this.filters.forEach(filter => filter.disconnect());
+
+        // Sounds outside the detection range, like stage rumble or hiss, can be filtered out
+        const bandPassFilters = this.settings.bandPass ? createBandPassFilters(audioContext, this.getDetectionOptions()) : [];
+
+        // Notch filters let the tuner keep listening during a drone without detecting its partials
+        const rejectedFrequencies = getRejectedFrequencies(this.toneFrequencies, this.getExpectedFrequencies());
+        const toneRejectionFilters = rejectedFrequencies.length > 0
+            ? createToneRejectionFilters(audioContext, rejectedFrequencies)
+            : [];
+
+        this.filters = [...bandPassFilters, ...toneRejectionFilters];
+        [this.source, ...this.filters, this.inputNode].reduce((source, node) => {
+            source.connect(node);
+            return node;
+        });
+
+        // Readings from before the change may contain the filtered sounds
+        this.stabilizer.reset();
+    }
+
+    /**
+     * Disconnect the current input from the input chain
+     */
+    disconnectSource() {
+        if (!this.source) {
+            return;
+        }
+
+        // Nodes passed in by a consumer may feed other nodes too
+        if (this.ownsSource) {
+            this.source.disconnect();
+        } else {
+            this.source.disconnect(this.filters[0] || this.inputNode);
+        }
+    }
+
+    /**
+     * Disconnect the current input and close the microphone if the engine opened it
+     */
+    releaseSource() {
+        this.disconnectSource();
+        closeInputStream(this.stream);
+        this.stream = null;
+        this.source = null;
+    }
+
+    /**
+     * Start pitch detection on the audio thread, or poll an analyzer where AudioWorklet is not supported
+     * @returns {Promise<void>}
+     */
+    async startDetection() {
+        if (isAudioWorkletSupported(this.audioContext)) {
+            try {
+                const node = await createPitchWorkletNode(this.audioContext, this.getAnalysisOptions(), result => this.handleDetection(result));
+
+                if (!this.isRunning) {
+                    node.port.close();
+                    return;
+                }
+
+                node.onprocessorerror = () => {
+                    this.reportError(new Error('Pitch detection failed on the audio thread'));
+                    this.stopDetection();
+                    this.startPolling();
+                };
+                this.inputNode.connect(node);
+                this.workletNode = node;
+                this.updateStrumAnalysis();
+                return;
+            } catch (error) {
+                // The analyzer below detects the same pitches, only tied to the display's frame rate
+                this.reportError(error);
+            }
+        }
+
+        this.startPolling();
+    }
+
+    /**
+     * Detect pitches by polling an analyzer on every animation frame
+     */
+    startPolling() {
+        this.detectionAnalyzer = this.audioContext.createAnalyser();
+        this.detectionAnalyzer.fftSize = this.windowSize;
+        this.inputNode.connect(this.detectionAnalyzer);
+
+        this.poll();
+        this.updateStrumAnalysis();
+    }
+
+    /**
+     * Detect the pitch in the polled analyzer and schedule the next poll
+     */
+    poll() {
+        // Strums are analyzed by requestStrumAnalysis() instead
+        if (!this.isStrumming()) {
+            const buffer = new Float32Array(this.detectionAnalyzer.fftSize);
+            this.detectionAnalyzer.getFloatTimeDomainData(buffer);
+            this.handleDetection(this.pitchDetector.detect(buffer, this.audioContext.sampleRate, this.getDetectionOptions()));
+        }
+
+        this.animationFrameId = requestAnimationFrame(() => this.poll());
+    }
+
+    /**
+     * Stop the worklet or the polled analyzer
+     */
+    stopDetection() {
+        if (this.workletNode) {
+            this.workletNode.port.onmessage = null;
+            this.workletNode.port.close();
+            this.workletNode.disconnect();
+            this.workletNode = null;
+        }
+
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+
+        this.detectionAnalyzer = null;
+        this.updateStrumAnalysis();
+    }
+
+    /**
+     * Analyze strums on a timer while detection runs in strum mode, and stop the timer otherwise
+     */
+    updateStrumAnalysis() {
+        const isActive = this.isStrumming() && Boolean(this.workletNode || this.detectionAnalyzer);
+
+        if (isActive && this.strumTimer === null) {
+            this.strumTimer = setInterval(() => this.requestStrumAnalysis(), STRUM_ANALYSIS_INTERVAL);
+        } else if (!isActive && this.strumTimer !== null) {
+            clearInterval(this.strumTimer);
+            this.strumTimer = null;
+        }
+    }
+
+    /**
+     * Get the worker that analyzes strums, creating it on first use
+     * @returns {Worker|null} - The worker, or null if strums must be analyzed on the main thread
+     */
+    getStrumWorker() {
+        if (this.strumWorker || this.isStrumWorkerFailed) {
+            return this.strumWorker;
+        }
+
+        try {
+            this.strumWorker = new Worker(new URL('./strum-worker.js', import.meta.url), { type: 'module' });
+            this.strumWorker.onmessage = event => this.handleStrumResult(event.data);
+            this.strumWorker.onerror = () => {
+                // Later strums are analyzed on the main thread, slower but with the same results
+                this.reportError(new Error('Strum analysis failed in its worker'));
+                this.strumWorker.terminate();
+                this.strumWorker = null;
+                this.isStrumWorkerFailed = true;
+                this.strumRequest = null;
+            };
+        } catch (error) {
+            this.reportError(error);
+            this.isStrumWorkerFailed = true;
+        }
+
+        return this.strumWorker;
+    }
+
+    /**
+     * Send the latest samples of the strum to the worker, unless it is still busy with the previous ones
+     */
+    requestStrumAnalysis() {
+        if (!this.isRunning || this.isSuspended || this.strumRequest !== null || this.isInputIgnored()) {
+            return;
+        }
+
+        const buffer = new Float32Array(this.partialAnalyzer.fftSize);
+        this.partialAnalyzer.getFloatTimeDomainData(buffer);
+        const sampleRate = this.audioContext.sampleRate;
+        const stringFrequencies = this.settings.targets.map(target => target.frequency);
+        const time = performance.now();
+
+        const worker = this.getStrumWorker();
+        if (!worker) {
+            this.processStrings(detectStrings(buffer, sampleRate, stringFrequencies), time);
+            return;
+        }
+
+        this.strumRequest = time;
+        worker.postMessage({ buffer, sampleRate, stringFrequencies, time }, [buffer.buffer]);
+    }
+
+    /**
+     * Handle the strings measured by the worker
+     * @param {Object} result - Object containing the strings returned by detectStrings() and the time of the request
+     */
+    handleStrumResult({ strings, time }) {
+        // Results requested before the targets changed or the engine stopped are dropped
+        if (time !== this.strumRequest) {
+            return;
+        }
+        this.strumRequest = null;
+
+        if (this.isRunning && !this.isSuspended && this.isStrumming()) {
+            this.processStrings(strings, time);
+        }
+    }
+
+    /**
+     * Pause the audio context, e.g. while the page is hidden
+     * Everything playing on the context pauses too. Detection stops without dispatching
+     * anything, and resume() continues where it left off.
+     * @returns {Promise<void>}
+     */
+    async suspend() {
+        if (!this.audioContext || this.isSuspended) {
+            return;
+        }
+        this.isSuspended = true;
+
+        // Polling would keep analyzing the last samples of the paused analyzer
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+
+        await this.audioContext.suspend();
+    }
+
+    /**
+     * Resume the audio context paused by suspend()
+     * The note played before the pause is forgotten, so readings start fresh.
+     * @returns {Promise<void>}
+     */
+    async resume() {
+        if (!this.isSuspended) {
+            return;
+        }
+        this.isSuspended = false;
+
+        await this.audioContext.resume();
+
+        // Only a listening engine has detection to restart, unless it was suspended again meanwhile
+        if (!this.isRunning || this.isSuspended) {
+            return;
+        }
+
+        this.handleSilence(performance.now());
+        this.resetNote();
+
+        if (this.detectionAnalyzer && this.animationFrameId === null) {
+            this.poll();
+        }
+    }
+
+    /**
+     * Stop listening, releasing the microphone if the engine opened it
+     */
+    stop() {
+        this.stopDetection();
+        this.releaseSource();
+        this.filters.forEach(filter => filter.disconnect());
+        this.filters = [];
+
+        if (this.inputNode) {
+            this.inputNode.disconnect();
+            this.inputNode = null;
+        }
+
+        if (this.strumWorker) {
+            this.strumWorker.terminate();
+            this.strumWorker = null;
+        }
+
+        this.analyzer = null;
+        this.partialAnalyzer = null;
+        this.levelAnalyzer = null;
+        this.ignoredInput = [];
+        this.isRunning = false;
+        this.resetNote();
+    }
+
+    /**
+     * Measure the current input level
+     * @returns {Object|null} - Level returned by measureLevel(), or null if the engine is not running
+     */
+    measureInputLevel() {
+        if (!this.levelAnalyzer) {
+            return null;
+        }
+
+        const buffer = new Float32Array(this.levelAnalyzer.fftSize);
+        this.levelAnalyzer.getFloatTimeDomainData(buffer);
+
+        return measureLevel(buffer);
+    }
+
+    /**
+     * Analyze a buffer directly, without an audio graph, e.g. in tests or for samples from elsewhere
+     * Events are dispatched exactly as for live input.
+     * @param {Float32Array} buffer - Audio data buffer
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} time - Time of the buffer in milliseconds
+     * @returns {PitchReading|null} - The reading, or null if a strum analysis was skipped to limit its rate
+     */
+    analyze(buffer, sampleRate, time = performance.now()) {
+        if (this.isStrumming()) {
+            return this.processStrum(buffer, sampleRate, time);
+        }
+
+        const { frequency, confidence } = this.pitchDetector.detect(buffer, sampleRate, this.getDetectionOptions());
+        return this.processPitch(frequency, confidence, time);
+    }
+
+    /**
+     * Handle a detection result of the live input
+     * @param {Object} result - Object containing frequency (-1 if no pitch) and confidence
+     */
+    handleDetection({ frequency, confidence }) {
+        // Ignore results that arrive after the engine was stopped or suspended
+        if (!this.isRunning || this.isSuspended) {
+            return;
+        }
+
+        // The microphone hears the app's own sounds, which must not be taken for the instrument
+        if (this.isInputIgnored()) {
+            return;
+        }
+
+        // A strum is analyzed as a whole by requestStrumAnalysis(); pitches detected before strum mode began are dropped
+        if (this.isStrumming()) {
+            return;
+        }
+
+        this.processPitch(frequency, confidence, performance.now());
+    }
+
+    /**
+     * Whether all targets are measured at once from a strum
+     * @returns {boolean}
+     */
+    isStrumming() {
+        return this.settings.strum && this.settings.targets !== null;
+    }
+
+    /**
+     * Forget the current note, e.g. after the targets or the reference changed
+     */
+    resetNote() {
+        this.stabilizer.reset();
+        this.noteKey = null; // Key of the note or target being played
+        this.noteState = createStringStates(1)[0]; // Tuning progress of the note in chromatic mode
+        this.isSounding = false;
+        this.lastStrumAnalysis = -Infinity;
+        this.strumRequest = null; // Time of the strum analysis awaited from the worker
+    }
+
+    /**
+     * Stabilize a detected pitch, match it to a note or target and dispatch the events
+     * @param {number} frequency - Detected frequency in Hz, or -1 if no pitch
+     * @param {number} confidence - Confidence score between 0 and 1
+     * @param {number} time - Time of the detection in milliseconds
+     * @returns {PitchReading} - The reading
+     */
+    processPitch(frequency, confidence, time) {
+        const reading = {
+            time,
+            frequency: this.stabilizer.process(frequency, confidence, time),
+            rawFrequency: frequency,
+            confidence,
+            note: null,
+            octave: null,
+            cents: null,
+            targetFrequency: null,
+            targetIndex: null,
+            strings: null
+        };
+
+        if (reading.frequency !== -1) {
+            Object.assign(reading, this.matchNote(reading.frequency));
+            this.isSounding = true;
+
+            const key = reading.targetIndex !== null ? reading.targetIndex : `${reading.note}${reading.octave}`;
+            if (key !== this.noteKey) {
+                this.noteKey = key;
+                this.noteState = createStringStates(1)[0];
+                this.dispatch('noteChange', reading);
+            }
+
+            this.updateTuningState(reading.targetIndex !== null ? this.targetStates[reading.targetIndex] : this.noteState, reading);
+        } else if (frequency === -1) {
+            this.handleSilence(time);
+        }
+
+        this.dispatch('pitch', reading);
+        return reading;
+    }
+
+    /**
+     * Match a stabilized frequency to the nearest note, or to the played or locked target
+     * @param {number} frequency - Stabilized frequency in Hz
+     * @returns {Object} - Object containing note, octave, cents, targetFrequency and targetIndex
+     */
+    matchNote(frequency) {
+        const { targets, lockedTarget, referenceFrequency, temperament } = this.settings;
+
+        if (!targets) {
+            const { note, octave } = noteFromFrequency(frequency, referenceFrequency, temperament);
+            const candidate = {
+                key: `${note}${octave}`,
+                note,
+                octave,
+                targetFrequency: frequencyFromNote(note, octave, referenceFrequency, temperament)
+            };
+
+            // Keep the note until the pitch clearly moves to another one
+            const held = this.stabilizer.holdNote(candidate, frequency);
+            return {
+                note: held.note,
+                octave: held.octave,
+                cents: centsBetween(frequency, held.targetFrequency),
+                targetFrequency: held.targetFrequency,
+                targetIndex: null
+            };
+        }
+
+        let targetIndex = lockedTarget;
+
+        // Without a locked target, use the target closest to the detected pitch
+        if (targetIndex === null) {
+            const closestIndex = findClosestString(frequency, targets.map(target => target.frequency));
+            const candidate = { key: closestIndex, targetFrequency: targets[closestIndex].frequency };
+            targetIndex = this.stabilizer.holdNote(candidate, frequency).key;
+        }
+
+        const target = targets[targetIndex];
+        const { note, octave } = parseNoteName(target.name);
+
+        return {
+            note,
+            octave,
+            cents: centsBetween(frequency, target.frequency),
+            targetFrequency: target.frequency,
+            targetIndex
+        };
+    }
+
+    /**
+     * Measure every target from the sound of a strum and dispatch the events
+     * @param {Float32Array} buffer - Audio data buffer, long enough to resolve the lowest target's harmonics
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} time - Time of the buffer in milliseconds
+     * @returns {PitchReading|null} - The reading, or null if the previous analysis was too recent
+     */
+    processStrum(buffer, sampleRate, time) {
+        if (time - this.lastStrumAnalysis < STRUM_ANALYSIS_INTERVAL) {
+            return null;
+        }
+        this.lastStrumAnalysis = time;
+
+        // The targets tell the detector where to look for each string
+        return this.processStrings(detectStrings(buffer, sampleRate, this.settings.targets.map(target => target.frequency)), time);
+    }
+
+    /**
+     * Update the targets from the strings measured in a strum and dispatch the events
+     * @param {Object[]} results - Result of detectStrings() for every target
+     * @param {number} time - Time of the strum in milliseconds
+     * @returns {PitchReading} - The reading
+     */
+    processStrings(results, time) {
+        const targets = this.settings.targets;
+
+        const strings = results.map((result, index) => {
+            if (result.frequency === -1) {
+                return null;
+            }
+
+            const cents = centsBetween(result.frequency, targets[index].frequency);
+            const { note, octave } = parseNoteName(targets[index].name);
+            this.updateTuningState(this.targetStates[index], {
+                time,
+                frequency: result.frequency,
+                rawFrequency: result.frequency,
+                confidence: result.confidence,
+                note,
+                octave,
+                cents,
+                targetFrequency: targets[index].frequency,
+                targetIndex: index,
+                strings: null
+            });
+
+            return { frequency: result.frequency, confidence: result.confidence, cents };
+        });
+
+        const heard = strings.filter(reading => reading !== null);
+        if (heard.length > 0) {
+            this.isSounding = true;
+        } else {
+            this.handleSilence(time);
+        }
+
+        const reading = {
+            time,
+            frequency: -1,
+            rawFrequency: -1,
+            confidence: Math.max(0, ...heard.map(string => string.confidence)),
+            note: null,
+            octave: null,
+            cents: null,
+            targetFrequency: null,
+            targetIndex: null,
+            strings
+        };
+
+        this.dispatch('pitch', reading);
+        return reading;
+    }
+
+    /**
+     * Update the tuning progress of a note or target, dispatching inTune once it is tuned
+     * @param {Object} state - State created by createStringStates()
+     * @param {Object} reading - Reading of the note or target
+     */
+    updateTuningState(state, reading) {
+        const wasTuned = state.tuned;
+
+        if (updateStringState(state, reading.cents, reading.time) && !wasTuned) {
+            this.dispatch('inTune', reading);
+        }
+    }
+
+    /**
+     * Handle a detection without a pitch
+     * @param {number} time - Time of the detection in milliseconds
+     */
+    handleSilence(time) {
+        // A note must hold its pitch without interruption to count as tuned
+        this.targetStates.forEach(state => {
+            state.inToleranceSince = null;
+        });
+        this.noteState.inToleranceSince = null;
+
+        if (this.isSounding) {
+            this.isSounding = false;
+            this.noteKey = null;
+            this.dispatch('silence', { time });
+        }
+    }
+
+    /**
+     * Dispatch an error event
+     * @param {Error} error - The error
+     */
+    reportError(error) {
+        this.dispatch('error', { error });
+    }
+
+    /**
+     * Dispatch an event carrying its data as detail
+     * @param {string} type - Event type
+     * @param {Object} detail - Event data
+     */
+    dispatch(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
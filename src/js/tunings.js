@@ -0,0 +1,64 @@
+/**
+ * Tunings Module
+ * Library of built-in tunings for each supported instrument
+ */
+
+// Tunings per instrument, strings listed from lowest to highest
+// (re-entrant instruments such as ukulele and banjo keep their physical string order)
+export const TUNINGS = {
+    guitar: [
+        { id: 'standard', name: 'Standard', notes: ['E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+        { id: 'drop-d', name: 'Drop D', notes: ['D2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+        { id: 'dadgad', name: 'DADGAD', notes: ['D2', 'A2', 'D3', 'G3', 'A3', 'D4'] },
+        { id: 'open-g', name: 'Open G', notes: ['D2', 'G2', 'D3', 'G3', 'B3', 'D4'] },
+        { id: 'open-d', name: 'Open D', notes: ['D2', 'A2', 'D3', 'F#3', 'A3', 'D4'] },
+        { id: 'open-e', name: 'Open E', notes: ['E2', 'B2', 'E3', 'G#3', 'B3', 'E4'] },
+        { id: 'half-step-down', name: 'Half Step Down', notes: ['D#2', 'G#2', 'C#3', 'F#3', 'A#3', 'D#4'] },
+        { id: 'seven-string', name: '7-String Standard', notes: ['B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'] }
+    ],
+    bass: [
+        { id: 'standard', name: 'Standard', notes: ['E1', 'A1', 'D2', 'G2'] },
+        { id: 'drop-d', name: 'Drop D', notes: ['D1', 'A1', 'D2', 'G2'] },
+        { id: 'half-step-down', name: 'Half Step Down', notes: ['D#1', 'G#1', 'C#2', 'F#2'] },
+        { id: 'five-string', name: '5-String Standard', notes: ['B0', 'E1', 'A1', 'D2', 'G2'] }
+    ],
+    violin: [
+        { id: 'standard', name: 'Standard', notes: ['G3', 'D4', 'A4', 'E5'] }
+    ],
+    viola: [
+        { id: 'standard', name: 'Standard', notes: ['C3', 'G3', 'D4', 'A4'] }
+    ],
+    cello: [
+        { id: 'standard', name: 'Standard', notes: ['C2', 'G2', 'D3', 'A3'] }
+    ],
+    mandolin: [
+        { id: 'standard', name: 'Standard', notes: ['G3', 'D4', 'A4', 'E5'] }
+    ],
+    banjo: [
+        { id: 'standard', name: 'Open G', notes: ['G4', 'D3', 'G3', 'B3', 'D4'] },
+        { id: 'double-c', name: 'Double C', notes: ['G4', 'C3', 'G3', 'C4', 'D4'] }
+    ],
+    ukulele: [
+        { id: 'standard', name: 'Standard', notes: ['G4', 'C4', 'E4', 'A4'] },
+        { id: 'low-g', name: 'Low G', notes: ['G3', 'C4', 'E4', 'A4'] }
+    ]
+};
+
+/**
+ * Get the built-in tunings of an instrument
+ * @param {string} instrument - The instrument name
+ * @returns {Object[]} - Array of tunings, empty if the instrument has no strings
+ */
+export function getBuiltInTunings(instrument) {
+    return TUNINGS[instrument] || [];
+}
+
+/**
+ * Find a built-in tuning by its id
+ * @param {string} instrument - The instrument name
+ * @param {string} tuningId - The tuning id (e.g., 'drop-d')
+ * @returns {Object|null} - The tuning, or null if it does not exist
+ */
+export function findBuiltInTuning(instrument, tuningId) {
+    return getBuiltInTunings(instrument).find(tuning => tuning.id === tuningId) || null;
+}
@@ -4,6 +4,7 @@
  */
 
 import p5 from 'p5';
+import { IN_TUNE_CENTS } from './instrument-tuning.js';
 
 // Global variables
 let visualizationP5;
@@ -12,6 +13,77 @@ let dataArray;
 let bufferLength;
 let currentVisualization = 'waveform'; // Default visualization type
 let particles = []; // Array to store particle objects
+let timeDomainData; // Float samples for the strobe
+let spectrumData; // Magnitude of each frequency bin in dB
+let currentPitch = null; // Current pitch estimate in Hz, used to mark harmonics
+let strobeTarget = null; // Target frequency the strobe compares the input against, in Hz
+let strobeHarmonics = [1]; // Harmonics of the target shown as strobe bands
+let strobePhases = []; // Last drawn phase of each strobe band, in cycles
+let pitchHistory = []; // Recent readings, each with time, pitch, target and cents
+let historyFrozen = false; // Keep the history still for review
+let historyFrozenAt = 0; // Time the history was frozen, in milliseconds
+let axisReferenceFrequency = 440; // A4 reference used for the note axes
+let noteLabel = midiNote => String(midiNote); // Names the notes on the note axes
+let colorPalette = 'standard'; // Colours of in-tune, close and off readings, see TUNING_HUES
+let metronomeClicks = []; // Scheduled metronome clicks, each with time in milliseconds, beat, beats, subdivision and accent
+
+// Height of one strobe band in pixels, and number of stripes in the fundamental band
+const STROBE_BAND_HEIGHT = 48;
+const STROBE_STRIPES = 12;
+
+// Number of most recent samples the strobe analyzes each frame
+const STROBE_WINDOW = 2048;
+
+// RMS level below which the strobe bands are fully dark
+const STROBE_SILENCE = 0.005;
+
+// Time span shown by the pitch history, and the pause that breaks the line, in milliseconds
+const HISTORY_DURATION = 8000;
+const HISTORY_GAP = 250;
+
+// Smallest range of the pitch history's note axis in semitones
+const HISTORY_MIN_RANGE = 4;
+
+// Width of the note labels at the left of the pitch history in pixels
+const HISTORY_LABEL_WIDTH = 50;
+
+// Frequency range of the spectrum from A0, and its amplitude range in dB
+const SPECTRUM_MIN_FREQUENCY = 27.5;
+const SPECTRUM_MAX_FREQUENCY = 8000;
+const SPECTRUM_MIN_DB = -100;
+const SPECTRUM_MAX_DB = -20;
+
+// Height of the keyboard strip below the spectrum in pixels
+const KEYBOARD_HEIGHT = 24;
+
+// Number of peaks labelled with note names, and how far below the strongest peak they may be in dB
+const SPECTRUM_PEAK_LABELS = 5;
+const SPECTRUM_PEAK_RANGE = 40;
+
+// Number of harmonics of the current pitch marked on the spectrum
+const SPECTRUM_HARMONICS = 8;
+
+// Pitch classes of the black piano keys
+const BLACK_KEYS = [1, 3, 6, 8, 10];
+
+// Hues of in-tune, close and off readings in each colour palette; the colour-blind safe
+// palette uses blue, orange and vermillion instead of green, orange and red
+const TUNING_HUES = {
+    standard: { inTune: 145, close: 25, off: 5 },
+    colorblind: { inTune: 202, close: 41, off: 24 }
+};
+
+// Time in milliseconds a metronome beat pulse takes to fade, and its largest border width in pixels
+const BEAT_PULSE_DURATION = 200;
+const BEAT_PULSE_WIDTH = 16;
+
+// Diameter of the metronome's beat dots in pixels, and their distance from the top
+const BEAT_DOT_SIZE = 14;
+const BEAT_DOT_TOP = 24;
+
+// Hues of accented and other beats
+const ACCENT_HUE = 25;
+const BEAT_HUE = 210;
 
 /**
  * Set up the visualization canvas and p5 instance
@@ -58,7 +130,11 @@ export function setupVisualization(container, analyzerNode = null) {
 
             // Update data if analyzer is available
             if (analyzer) {
-                if (currentVisualization === 'waveform') {
+                if (currentVisualization === 'strobe') {
+                    analyzer.getFloatTimeDomainData(timeDomainData);
+                } else if (currentVisualization === 'spectrum') {
+                    analyzer.getFloatFrequencyData(spectrumData);
+                } else if (currentVisualization === 'waveform') {
                     analyzer.getByteTimeDomainData(dataArray);
                 } else {
                     analyzer.getByteFrequencyData(dataArray);
@@ -81,9 +157,18 @@ export function setupVisualization(container, analyzerNode = null) {
                 case 'particles':
                     drawParticles(p);
                     break;
+                case 'strobe':
+                    drawStrobe(p);
+                    break;
+                case 'history':
+                    drawPitchHistory(p);
+                    break;
                 default:
                     drawWaveform(p);
             }
+
+            // The metronome pulses on top of every visualization
+            drawBeatPulse(p);
         };
 
         // Window resize event
@@ -104,11 +189,128 @@ export function setAnalyzer(analyzerNode) {
     analyzer = analyzerNode;
     bufferLength = analyzer.frequencyBinCount;
     dataArray = new Uint8Array(bufferLength);
+    timeDomainData = new Float32Array(analyzer.fftSize);
+    spectrumData = new Float32Array(bufferLength).fill(-Infinity);
+}
+
+/**
+ * Set the current pitch estimate, whose harmonics are marked on the spectrum
+ * @param {number|null} frequency - Pitch in Hz, or null when there is no pitch
+ */
+export function setCurrentPitch(frequency) {
+    currentPitch = frequency;
+}
+
+/**
+ * Set the frequency the strobe compares the input against
+ * @param {number|null} frequency - Target frequency in Hz, or null to stop the strobe
+ */
+export function setStrobeTarget(frequency) {
+    strobeTarget = frequency;
+}
+
+/**
+ * Choose which harmonics of the target are shown as strobe bands
+ * @param {number[]} harmonics - Harmonic numbers, 1 for the fundamental
+ */
+export function setStrobeHarmonics(harmonics) {
+    strobeHarmonics = harmonics.length > 0 ? harmonics.slice().sort((a, b) => a - b) : [1];
+    strobePhases = [];
+}
+
+/**
+ * Add a reading to the pitch history
+ * @param {number|null} frequency - Displayed frequency in Hz, or null when there is no pitch
+ * @param {number} cents - Deviation from the target in cents
+ */
+export function addPitchReading(frequency, cents = 0) {
+    if (historyFrozen || !frequency) {
+        return;
+    }
+
+    const time = performance.now();
+    const pitch = 69 + 12 * Math.log2(frequency / axisReferenceFrequency);
+
+    pitchHistory.push({ time, pitch, target: pitch - cents / 100, cents });
+
+    // Drop readings that scrolled out of view
+    while (pitchHistory.length > 0 && time - pitchHistory[0].time > HISTORY_DURATION) {
+        pitchHistory.shift();
+    }
+}
+
+/**
+ * Configure the note axes of the pitch history and the spectrum
+ * @param {number} referenceFrequency - Reference frequency for A4 in Hz
+ * @param {Function} labeler - Returns the label of a MIDI note number
+ */
+export function setNoteAxis(referenceFrequency, labeler) {
+    // Readings are stored relative to the reference, so they must be rescaled
+    const shift = 12 * Math.log2(axisReferenceFrequency / referenceFrequency);
+    pitchHistory.forEach(reading => {
+        reading.pitch += shift;
+        reading.target += shift;
+    });
+
+    axisReferenceFrequency = referenceFrequency;
+    noteLabel = labeler;
+}
+
+/**
+ * Freeze or resume the pitch history
+ * @param {boolean} frozen - Whether new readings are ignored and the graph stops scrolling
+ */
+export function setPitchHistoryFrozen(frozen) {
+    historyFrozen = frozen;
+    historyFrozenAt = performance.now();
+}
+
+/**
+ * Choose the colours that show how well a reading is tuned
+ * @param {string} palette - 'standard' or 'colorblind', see TUNING_HUES
+ */
+export function setColorPalette(palette) {
+    colorPalette = palette in TUNING_HUES ? palette : 'standard';
+}
+
+/**
+ * Stop or restart drawing, e.g. while the page is hidden
+ * @param {boolean} paused - Whether the draw loop stops
+ */
+export function setVisualizationPaused(paused) {
+    if (!visualizationP5) {
+        return;
+    }
+
+    if (paused) {
+        visualizationP5.noLoop();
+
+        // Clicks scheduled before the pause are stale once drawing restarts
+        metronomeClicks = [];
+    } else {
+        visualizationP5.loop();
+    }
+}
+
+/**
+ * Add a scheduled metronome click, pulsed on every visualization once it sounds
+ * @param {Object} click - Object with time (performance.now() clock, in milliseconds), beat, beats
+ *                         (per bar), subdivision (0 on the beat) and accent
+ */
+export function addMetronomeClick(click) {
+    metronomeClicks.push(click);
+}
+
+/**
+ * Remove the metronome's beat pulse, e.g. after the metronome stopped
+ */
+export function clearMetronomeClicks() {
+    metronomeClicks = [];
 }
 
 /**
  * Change the visualization type
- * @param {string} type - The visualization type ('waveform', 'spectrum', 'particles')
+ * @param {string} type - The visualization type ('waveform', 'spectrum', 'particles', 'strobe', 'history')
  */
 export function changeVisualization(type) {
     currentVisualization = type;
@@ -146,24 +348,363 @@ function drawWaveform(p) {
     p.endShape();
 }
 
+/**
+ * Convert a frequency to a MIDI note number on the current reference
+ * @param {number} frequency - The frequency in Hz
+ * @returns {number} - Fractional MIDI note number
+ */
+function midiFromFrequency(frequency) {
+    return 69 + 12 * Math.log2(frequency / axisReferenceFrequency);
+}
+
+/**
+ * Find the strongest peaks of the spectrum
+ * @param {number} binWidth - Width of a frequency bin in Hz
+ * @returns {Object[]} - Peaks with interpolated frequency and level in dB, strongest first
+ */
+function findSpectrumPeaks(binWidth) {
+    const peaks = [];
+    const firstBin = Math.max(1, Math.floor(SPECTRUM_MIN_FREQUENCY / binWidth));
+    const lastBin = Math.min(spectrumData.length - 2, Math.ceil(SPECTRUM_MAX_FREQUENCY / binWidth));
+
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+        const level = spectrumData[bin];
+        if (level > SPECTRUM_MIN_DB && level > spectrumData[bin - 1] && level >= spectrumData[bin + 1]) {
+            // Parabolic interpolation on the dB values
+            const left = spectrumData[bin - 1];
+            const right = spectrumData[bin + 1];
+            const denominator = left - 2 * level + right;
+            const shift = denominator === 0 ? 0 : 0.5 * (left - right) / denominator;
+            peaks.push({ frequency: (bin + shift) * binWidth, level });
+        }
+    }
+
+    peaks.sort((a, b) => b.level - a.level);
+    const strongest = peaks.length > 0 ? peaks[0].level : 0;
+
+    return peaks
+        .filter(peak => peak.level >= strongest - SPECTRUM_PEAK_RANGE)
+        .slice(0, SPECTRUM_PEAK_LABELS);
+}
+
 /**
  * Draw frequency spectrum visualization
+ * Uses a logarithmic frequency axis with a note grid and keyboard, a dB amplitude axis,
+ * note names on the strongest peaks and markers on the harmonics of the current pitch.
  * @param {p5} p - The p5 instance
  */
 function drawSpectrum(p) {
-    const barWidth = p.width / bufferLength;
-    let x = 0;
+    const minMidi = midiFromFrequency(SPECTRUM_MIN_FREQUENCY);
+    const maxMidi = midiFromFrequency(SPECTRUM_MAX_FREQUENCY);
+    const plotBottom = p.height - KEYBOARD_HEIGHT;
+
+    const x = frequency => p.map(midiFromFrequency(frequency), minMidi, maxMidi, 0, p.width);
+    const xMidi = midi => p.map(midi, minMidi, maxMidi, 0, p.width);
+    const y = level => p.map(Math.max(SPECTRUM_MIN_DB, Math.min(SPECTRUM_MAX_DB, level)), SPECTRUM_MIN_DB, SPECTRUM_MAX_DB, plotBottom, 0);
+
+    p.textSize(12);
+    p.strokeWeight(1);
+
+    // Note grid with a labelled line at every C
+    for (let midi = Math.ceil(minMidi); midi <= maxMidi; midi++) {
+        const isC = midi % 12 === 0;
+        p.stroke(230, 10, 60, isC ? 0.6 : 0.15);
+        p.line(xMidi(midi), 0, xMidi(midi), plotBottom);
+        if (isC) {
+            p.noStroke();
+            p.fill(230, 20, 30);
+            p.text(noteLabel(midi), xMidi(midi) + 3, plotBottom - 5);
+        }
+    }
 
-    for (let i = 0; i < bufferLength; i++) {
-        const barHeight = p.map(dataArray[i], 0, 255, 0, p.height);
-        const hue = p.map(i, 0, bufferLength, 0, 360);
+    // Amplitude grid every 20 dB
+    for (let level = SPECTRUM_MIN_DB; level <= SPECTRUM_MAX_DB; level += 20) {
+        p.stroke(230, 10, 60, 0.3);
+        p.line(0, y(level), p.width, y(level));
+        p.noStroke();
+        p.fill(230, 20, 30);
+        p.text(`${level} dB`, 5, y(level) - 3);
+    }
 
-        p.fill(hue, 80, 80);
-        p.stroke(hue, 80, 60);
-        p.rect(x, p.height - barHeight, barWidth, barHeight);
+    // Keyboard strip, one key per semitone
+    p.stroke(230, 10, 60);
+    for (let midi = Math.ceil(minMidi - 0.5); midi <= maxMidi; midi++) {
+        const isBlack = BLACK_KEYS.includes(((midi % 12) + 12) % 12);
+        p.fill(0, 0, isBlack ? 15 : 100);
+        p.rect(xMidi(midi - 0.5), plotBottom, xMidi(midi + 0.5) - xMidi(midi - 0.5), KEYBOARD_HEIGHT);
+    }
+
+    if (!analyzer) {
+        p.noFill();
+        return;
+    }
+
+    const binWidth = analyzer.context.sampleRate / analyzer.fftSize;
+    const firstBin = Math.max(1, Math.floor(SPECTRUM_MIN_FREQUENCY / binWidth));
+    const lastBin = Math.min(spectrumData.length - 1, Math.ceil(SPECTRUM_MAX_FREQUENCY / binWidth));
+
+    // Spectrum as a filled curve
+    p.fill(200, 80, 80, 0.4);
+    p.stroke(200, 80, 60);
+    p.strokeWeight(2);
+    p.beginShape();
+    p.vertex(x(firstBin * binWidth), plotBottom);
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+        p.vertex(x(bin * binWidth), y(spectrumData[bin]));
+    }
+    p.vertex(x(lastBin * binWidth), plotBottom);
+    p.endShape(p.CLOSE);
+
+    // Fundamental and harmonics of the current pitch
+    if (currentPitch) {
+        p.strokeWeight(1);
+        for (let harmonic = 1; harmonic <= SPECTRUM_HARMONICS && currentPitch * harmonic <= SPECTRUM_MAX_FREQUENCY; harmonic++) {
+            const markerX = x(currentPitch * harmonic);
+            p.stroke(25, 90, 90, harmonic === 1 ? 1 : 0.6);
+            p.line(markerX, 0, markerX, plotBottom);
+            p.noStroke();
+            p.fill(25, 90, 70);
+            p.text(harmonic === 1 ? 'f0' : `${harmonic}f0`, markerX + 3, 15);
+        }
+    }
+
+    // Note names of the strongest peaks
+    p.noStroke();
+    p.fill(230, 40, 20);
+    findSpectrumPeaks(binWidth).forEach(peak => {
+        const midi = midiFromFrequency(peak.frequency);
+        const note = Math.round(midi);
+        const cents = Math.round((midi - note) * 100);
+        const label = `${noteLabel(note)} ${cents >= 0 ? '+' : ''}${cents}`;
+        p.text(label, x(peak.frequency) - p.textWidth(label) / 2, y(peak.level) - 8);
+    });
+
+    // Restore the defaults used by the other visualizations
+    p.strokeWeight(2);
+    p.noFill();
+}
+
+/**
+ * Measure the phase and strength of one frequency in the latest input samples
+ * The phase is relative to a reference oscillator running in audio-context time, so it
+ * stays constant when the input matches the frequency and drifts at the frequency difference.
+ * @param {number} frequency - Reference frequency in Hz
+ * @returns {Object} - Object containing phase in cycles (0 to 1) and magnitude
+ */
+function measurePhase(frequency) {
+    const { sampleRate, currentTime } = analyzer.context;
+    const samples = timeDomainData.subarray(Math.max(0, timeDomainData.length - STROBE_WINDOW));
+    const length = samples.length;
+
+    // The analyzer holds the samples leading up to the current time
+    const startTime = currentTime - length / sampleRate;
+    const startPhase = 2 * Math.PI * ((frequency * startTime) % 1);
+    const step = 2 * Math.PI * frequency / sampleRate;
+
+    let real = 0;
+    let imag = 0;
+    let weight = 0;
+
+    for (let i = 0; i < length; i++) {
+        // Hann window against leakage from other partials
+        const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (length - 1));
+        const angle = startPhase + step * i;
+        real += samples[i] * window * Math.cos(angle);
+        imag += samples[i] * window * Math.sin(angle);
+        weight += window;
+    }
+
+    // Negated so that the phase advances when the input is sharp of the reference
+    const phase = -Math.atan2(imag, real) / (2 * Math.PI);
+
+    return {
+        phase: phase - Math.floor(phase),
+        magnitude: 2 * Math.hypot(real, imag) / weight
+    };
+}
+
+/**
+ * Draw strobe tuner visualization
+ * Each band belongs to one harmonic of the target; its stripes stand still when that
+ * harmonic of the input is exactly in tune and drift right when sharp, left when flat.
+ * @param {p5} p - The p5 instance
+ */
+function drawStrobe(p) {
+    if (!analyzer || !strobeTarget) {
+        return;
+    }
+
+    const top = p.height / 2 - (strobeHarmonics.length * STROBE_BAND_HEIGHT) / 2;
+    const readings = strobeHarmonics.map(harmonic => measurePhase(strobeTarget * harmonic));
+
+    let energy = 0;
+    for (let i = 0; i < timeDomainData.length; i++) {
+        energy += timeDomainData[i] * timeDomainData[i];
+    }
+    const rms = Math.sqrt(energy / timeDomainData.length);
+    const strongest = Math.max(...readings.map(reading => reading.magnitude));
+
+    strobeHarmonics.forEach((harmonic, index) => {
+        const { phase, magnitude } = readings[index];
+        const y = top + index * STROBE_BAND_HEIGHT;
+
+        // Higher harmonics get proportionally more stripes, like the rings of a strobe disc
+        const stripes = STROBE_STRIPES * harmonic;
+        const period = p.width / stripes;
+
+        // Unwrap the phase so the stripes move smoothly between frames
+        const previous = strobePhases[index] === undefined ? phase : strobePhases[index];
+        const delta = phase - (previous - Math.floor(previous));
+        const unwrapped = previous + delta - Math.round(delta);
+        strobePhases[index] = unwrapped;
+
+        // Bands light up with the strength of their harmonic in the input
+        const brightness = rms < STROBE_SILENCE || strongest === 0 ? 0 : magnitude / strongest;
+
+        p.noStroke();
+        p.fill(230, 10, 20, 0.15);
+        p.rect(0, y, p.width, STROBE_BAND_HEIGHT - 4);
+
+        p.fill(200, 80, 80, 0.2 + 0.8 * brightness);
+        const offset = (unwrapped - Math.floor(unwrapped)) * period;
+        for (let x = offset - period; x < p.width; x += period) {
+            p.rect(x, y, period / 2, STROBE_BAND_HEIGHT - 4);
+        }
+
+        p.fill(0, 0, 100);
+        p.textSize(14);
+        p.text(harmonic === 1 ? 'Fundamental' : `Harmonic ${harmonic}`, 10, y + STROBE_BAND_HEIGHT / 2);
+    });
+
+    // Restore the defaults used by the other visualizations
+    p.noFill();
+}
+
+/**
+ * Get the colour hue for a cents deviation, matching the tuning meter
+ * @param {number} cents - Deviation in cents
+ * @returns {number} - Hue in degrees
+ */
+function centsHue(cents) {
+    if (Math.abs(cents) < IN_TUNE_CENTS) {
+        return TUNING_HUES[colorPalette].inTune;
+    }
+    return Math.abs(cents) < 15 ? TUNING_HUES[colorPalette].close : TUNING_HUES[colorPalette].off;
+}
+
+/**
+ * Draw scrolling pitch history visualization
+ * Plots recent readings on a note axis with a shaded in-tune band around each target.
+ * @param {p5} p - The p5 instance
+ */
+function drawPitchHistory(p) {
+    const now = historyFrozen ? historyFrozenAt : performance.now();
+    const visible = pitchHistory.filter(reading => now - reading.time <= HISTORY_DURATION);
+    const plotWidth = p.width - HISTORY_LABEL_WIDTH;
+
+    // Fit the note axis to the visible readings and their targets
+    let low = 69 - HISTORY_MIN_RANGE / 2;
+    let high = 69 + HISTORY_MIN_RANGE / 2;
+    if (visible.length > 0) {
+        low = Math.min(...visible.map(reading => Math.min(reading.pitch, reading.target))) - 1;
+        high = Math.max(...visible.map(reading => Math.max(reading.pitch, reading.target))) + 1;
+        const missing = HISTORY_MIN_RANGE - (high - low);
+        if (missing > 0) {
+            low -= missing / 2;
+            high += missing / 2;
+        }
+    }
 
-        x += barWidth;
+    const x = time => HISTORY_LABEL_WIDTH + plotWidth * (1 - (now - time) / HISTORY_DURATION);
+    const y = pitch => p.map(pitch, low, high, p.height * 0.9, p.height * 0.1);
+
+    // Note axis
+    p.textSize(12);
+    for (let note = Math.ceil(low); note <= Math.floor(high); note++) {
+        p.stroke(230, 10, 60, 0.4);
+        p.strokeWeight(1);
+        p.line(HISTORY_LABEL_WIDTH, y(note), p.width, y(note));
+        p.noStroke();
+        p.fill(230, 20, 30);
+        p.text(noteLabel(note), 5, y(note) + 4);
     }
+
+    // In-tune band around the target of each reading
+    p.noStroke();
+    p.fill(TUNING_HUES[colorPalette].inTune, 60, 80, 0.25);
+    visible.forEach((reading, index) => {
+        const next = visible[index + 1];
+        const end = next && next.time - reading.time <= HISTORY_GAP ? next.time : reading.time + 50;
+        const top = y(reading.target + IN_TUNE_CENTS / 100);
+        p.rect(x(reading.time), top, x(end) - x(reading.time), y(reading.target - IN_TUNE_CENTS / 100) - top);
+    });
+
+    // Pitch line, coloured by deviation and broken at pauses
+    p.strokeWeight(3);
+    for (let i = 1; i < visible.length; i++) {
+        const previous = visible[i - 1];
+        const reading = visible[i];
+        if (reading.time - previous.time > HISTORY_GAP) {
+            continue;
+        }
+
+        p.stroke(centsHue(reading.cents), 80, 80);
+        p.line(x(previous.time), y(previous.pitch), x(reading.time), y(reading.pitch));
+    }
+
+    if (historyFrozen) {
+        p.noStroke();
+        p.fill(230, 20, 30);
+        p.text('Frozen', p.width - 60, 20);
+    }
+
+    // Restore the defaults used by the other visualizations
+    p.strokeWeight(2);
+    p.noFill();
+}
+
+/**
+ * Draw the metronome's beat pulse: a border that flashes on every beat and a dot for each beat of the bar
+ * @param {p5} p - The p5 instance
+ */
+function drawBeatPulse(p) {
+    const now = performance.now();
+
+    // Clicks are scheduled ahead; the one that sounds last before now is shown
+    while (metronomeClicks.length > 1 && metronomeClicks[1].time <= now) {
+        metronomeClicks.shift();
+    }
+
+    const click = metronomeClicks[0];
+    if (!click || click.time > now) {
+        return;
+    }
+
+    const hue = click.accent ? ACCENT_HUE : BEAT_HUE;
+    const strength = Math.max(0, 1 - (now - click.time) / BEAT_PULSE_DURATION);
+
+    // Subdivisions only light their beat's dot, so the beat itself stands out
+    if (click.subdivision === 0 && strength > 0) {
+        p.noFill();
+        p.stroke(hue, 80, 90, strength * 0.8);
+        p.strokeWeight(BEAT_PULSE_WIDTH * strength);
+        p.rect(0, 0, p.width, p.height);
+    }
+
+    p.noStroke();
+    const left = p.width / 2 - (click.beats - 1) * BEAT_DOT_SIZE;
+    for (let beat = 0; beat < click.beats; beat++) {
+        if (beat === click.beat) {
+            p.fill(hue, 80, 90, 0.5 + strength / 2);
+        } else {
+            p.fill(230, 10, 60, 0.4);
+        }
+        p.ellipse(left + beat * 2 * BEAT_DOT_SIZE, BEAT_DOT_TOP, beat === click.beat ? BEAT_DOT_SIZE * (1 + strength / 2) : BEAT_DOT_SIZE);
+    }
+
+    // Restore the defaults used by the other visualizations
+    p.strokeWeight(2);
+    p.noFill();
 }
 
 /**
@@ -0,0 +1,83 @@
+/**
+ * Wake Lock Module
+ * Keeps the screen on while the tuner is listening
+ *
+ * The browser releases a screen wake lock whenever the page is hidden, so restoreWakeLock()
+ * must be called when the page is shown again. Without Screen Wake Lock support, or when the
+ * browser refuses the lock (e.g. in battery saver mode), the screen simply follows its own timeout.
+ */
+
+let wakeLock = null; // Lock currently held, null while the screen may turn off
+let pendingRequest = null; // Request that has not been answered yet
+let isWanted = false; // Whether the screen should stay on
+
+/**
+ * Check whether the browser supports the Screen Wake Lock API
+ * @returns {boolean} - Whether a wake lock can be requested
+ */
+export function isWakeLockSupported() {
+    return typeof navigator !== 'undefined' && 'wakeLock' in navigator;
+}
+
+/**
+ * Request a wake lock if one is wanted and none is held or requested
+ * @returns {Promise<void>} - Resolves once the request is answered; never rejects
+ */
+async function requestWakeLock() {
+    if (!isWanted || wakeLock || pendingRequest || !isWakeLockSupported() || document.visibilityState !== 'visible') {
+        return;
+    }
+
+    try {
+        pendingRequest = navigator.wakeLock.request('screen');
+        const lock = await pendingRequest;
+
+        // The screen may have been allowed to turn off while the request was pending
+        if (!isWanted) {
+            await lock.release();
+            return;
+        }
+
+        wakeLock = lock;
+        lock.addEventListener('release', () => {
+            if (wakeLock === lock) {
+                wakeLock = null;
+            }
+        });
+    } catch (error) {
+        // The tuner works without the lock; the screen then follows its own timeout
+    } finally {
+        pendingRequest = null;
+    }
+}
+
+/**
+ * Keep the screen on until allowScreenOff() is called
+ * @returns {Promise<void>}
+ */
+export function keepScreenOn() {
+    isWanted = true;
+    return requestWakeLock();
+}
+
+/**
+ * Let the screen turn off again
+ * @returns {Promise<void>}
+ */
+export async function allowScreenOff() {
+    isWanted = false;
+
+    if (wakeLock) {
+        const lock = wakeLock;
+        wakeLock = null;
+        await lock.release();
+    }
+}
+
+/**
+ * Request the wake lock again after the browser released it because the page was hidden
+ * @returns {Promise<void>}
+ */
+export function restoreWakeLock() {
+    return requestWakeLock();
+}
@@ -0,0 +1,58 @@
+/**
+ * Service Worker
+ * Caches the built app so the tuner installs and opens without a connection
+ *
+ * This file is a template: the build fills in the cache version, a hash of the app's files,
+ * and the paths of those files, and writes the result to sw.js (see offlinePlugin() in
+ * vite.config.js). Every build with changed files therefore installs a new cache and
+ * removes the old one once it takes over.
+ */
+
+// Version of the app, and the name of the cache holding it
+const CACHE_VERSION = __CACHE_VERSION__;
+const CACHE_NAME = `web-tuner-${CACHE_VERSION}`;
+
+// Every file of the app, relative to the service worker
+const PRECACHE_URLS = __PRECACHE_URLS__;
+
+// Cache the whole app before taking over, so it works offline from the first visit on
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Remove the caches of earlier versions and take control of open pages
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith('web-tuner-') && name !== CACHE_NAME)
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Answer from the cache, and go to the network only for files the app does not contain
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    // Shared links carry their settings in the query string, which the cached page reads itself
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match(request, { ignoreSearch: true })
+                .then(response => response || caches.match('./'))
+                .then(response => response || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(caches.match(request).then(response => response || fetch(request)));
+});
@@ -0,0 +1,99 @@
+/**
+ * Accessible Feedback Tests
+ * Checks the spoken descriptions and that the audio cue leaves the tuner time to detect
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { describeTuning, TuningCue } from '../src/js/accessible-feedback.js';
+import { TunerEngine } from '../src/js/tuner-engine.js';
+import { MAX_WINDOW_SIZE } from '../src/js/analysis-window.js';
+
+// Sample rate and output latency of the fake audio context
+const SAMPLE_RATE = 48000;
+const OUTPUT_LATENCY = 0.02;
+
+// Time in milliseconds the cue and the tuner run for
+const RUN_TIME = 5000;
+
+/**
+ * Create an audio context that plays nothing, whose clock the test advances
+ * @returns {Object} - The fake audio context
+ */
+function createFakeAudioContext() {
+    const param = { value: 0, setValueAtTime() {}, linearRampToValueAtTime() {}, exponentialRampToValueAtTime() {} };
+    const node = () => ({ gain: { ...param }, frequency: { ...param }, connect() {}, disconnect() {}, start() {}, stop() {} });
+
+    return {
+        sampleRate: SAMPLE_RATE,
+        outputLatency: OUTPUT_LATENCY,
+        currentTime: 0,
+        destination: {},
+        createGain: node,
+        createOscillator: node
+    };
+}
+
+describe('describeTuning', () => {
+    it.each([
+        ['A', -12.4, 'A, 12 cents flat'],
+        ['Bb', 1, 'B flat, in tune'],
+        ['F#', 1.2, 'F sharp, in tune'],
+        ['C', 5.4, 'C, 5 cents sharp'],
+        ['E', -50, 'E, 50 cents flat']
+    ])('describes %s at %d cents as "%s"', (name, cents, expected) => {
+        expect(describeTuning(name, cents)).toBe(expected);
+    });
+});
+
+describe('TuningCue', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('leaves a detection between in-tune ticks at the largest window', () => {
+        const context = createFakeAudioContext();
+
+        // The lowest range fits the largest window
+        const tuner = new TunerEngine({ audioContext: context, minFrequency: 20, maxFrequency: 2000 });
+        expect(tuner.windowSize).toBe(MAX_WINDOW_SIZE);
+
+        // As if started; the test delivers the detections itself
+        tuner.isRunning = true;
+
+        const detections = [];
+        tuner.addEventListener('pitch', () => detections.push(context.currentTime));
+
+        const ticks = [];
+        const cue = new TuningCue(context);
+        cue.detectionGap = tuner.getIgnoredInputTime() * 1000;
+        cue.ontick = ({ time, duration }) => {
+            ticks.push(time);
+            tuner.ignoreInput(time, time + duration);
+        };
+        cue.update(0);
+
+        // A detection arrives every hop, between which the clocks advance a millisecond at a time
+        const hopTime = tuner.hopSize / SAMPLE_RATE * 1000;
+        let nextDetection = hopTime;
+        for (let time = 1; time <= RUN_TIME; time++) {
+            context.currentTime = time / 1000;
+            vi.advanceTimersByTime(1);
+
+            if (time >= nextDetection) {
+                tuner.handleDetection({ frequency: 440, confidence: 1 });
+                nextDetection += hopTime;
+            }
+        }
+        cue.stop();
+
+        expect(ticks.length).toBeGreaterThan(2);
+        ticks.slice(1).forEach((tick, index) => {
+            const between = detections.filter(time => time > ticks[index] && time < tick);
+            expect(between.length, `detections between the ticks at ${ticks[index]} s and ${tick} s`).toBeGreaterThan(0);
+        });
+    });
+});
@@ -0,0 +1,21 @@
+/**
+ * Accuracy Report
+ * Prints how accurately every pitch detector handles the synthetic test signals
+ *
+ * Run with: npm run test:accuracy
+ * Pass --update-baseline to store the current accuracy as the baseline the test suite checks,
+ * after a change that intentionally trades accuracy in one case for another.
+ */
+
+import { writeFileSync } from 'fs';
+import { runEvaluation, formatReport, createBaseline } from './detector-evaluation.js';
+
+const BASELINE_FILE = new URL('./accuracy-baseline.json', import.meta.url);
+
+const results = runEvaluation();
+console.log(formatReport(results));
+
+if (process.argv.includes('--update-baseline')) {
+    writeFileSync(BASELINE_FILE, `${JSON.stringify(createBaseline(results), null, 2)}\n`);
+    console.log('\nBaseline updated');
+}
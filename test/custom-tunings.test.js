@@ -0,0 +1,100 @@
+/**
+ * Custom Tunings Tests
+ * Checks that imported tunings are validated and that importing a file again replaces its tunings
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { validateTuning, loadCustomTunings, saveCustomTuning, importCustomTunings } from '../src/js/custom-tunings.js';
+
+/**
+ * Create a localStorage replacement backed by a Map
+ * @returns {Object} - Object with getItem, setItem and removeItem
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+describe('validateTuning', () => {
+    it('rejects an unknown instrument', () => {
+        expect(() => validateTuning({ name: 'Open C', instrument: 'lute', notes: ['C2', 'G2'] }))
+            .toThrow('Tuning "Open C" is for an unknown instrument: lute');
+    });
+
+    it('rejects instruments that are not tunings of their own', () => {
+        expect(() => validateTuning({ name: 'Stretch', instrument: 'piano', notes: ['A0'] })).toThrow('unknown instrument');
+        expect(() => validateTuning({ name: 'Proto', instrument: 'constructor', notes: ['A0'] })).toThrow('unknown instrument');
+    });
+
+    it('keeps the id of a tuning that has one', () => {
+        expect(validateTuning({ id: 'custom-1', name: 'Open D', instrument: 'guitar', notes: ['D2'] }).id).toBe('custom-1');
+    });
+
+    it('derives the same id from the same instrument and name', () => {
+        const tuning = { name: 'Open D', instrument: 'guitar', notes: ['D2', 'A2', 'D3', 'F#3', 'A3', 'D4'] };
+        const { id } = validateTuning(tuning);
+
+        expect(id).toMatch(/^custom-guitar-open-d-[0-9a-z]+$/);
+        expect(validateTuning(tuning).id).toBe(id);
+        expect(validateTuning({ ...tuning, instrument: 'bass' }).id).not.toBe(id);
+        expect(validateTuning({ ...tuning, name: 'Open D!' }).id).not.toBe(id);
+    });
+
+    it('derives ids that are valid in settings from any name', () => {
+        const { id } = validateTuning({ name: 'Accord réentrant « très » spécial, avec un nom vraiment très long', instrument: 'ukulele', notes: ['G4'] });
+        expect(id).toMatch(/^[\w-]{1,64}$/);
+    });
+});
+
+describe('importCustomTunings', () => {
+    const file = JSON.stringify([
+        { name: 'Open D', instrument: 'guitar', notes: ['D2', 'A2', 'D3', 'F#3', 'A3', 'D4'] },
+        { name: 'Drop A', instrument: 'bass', notes: ['A1', 'A1', 'D2', 'G2'] }
+    ]);
+
+    beforeEach(() => {
+        vi.stubGlobal('localStorage', createStorage());
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('does not duplicate tunings without ids when the same file is imported again', () => {
+        importCustomTunings(file);
+        importCustomTunings(file);
+
+        expect(loadCustomTunings().map(tuning => tuning.name)).toEqual(['Open D', 'Drop A']);
+    });
+
+    it('replaces a saved tuning with the same instrument and name', () => {
+        saveCustomTuning({ id: 'custom-1700000000000-abc123', name: 'Open D', instrument: 'guitar', notes: ['D2'] });
+        importCustomTunings(file);
+
+        const tunings = loadCustomTunings();
+        expect(tunings).toHaveLength(2);
+        expect(tunings.find(tuning => tuning.name === 'Open D').notes).toHaveLength(6);
+    });
+
+    it('imports a tuning listed twice once, as listed last', () => {
+        importCustomTunings(JSON.stringify([
+            { name: 'Open G', instrument: 'guitar', notes: ['G2'] },
+            { name: 'Open G', instrument: 'guitar', notes: ['D2', 'G2', 'D3', 'G3', 'B3', 'D4'] }
+        ]));
+
+        const tunings = loadCustomTunings();
+        expect(tunings).toHaveLength(1);
+        expect(tunings[0].notes).toHaveLength(6);
+    });
+
+    it('stores nothing when a tuning is for an unknown instrument', () => {
+        const withUnknown = JSON.stringify([...JSON.parse(file), { name: 'Open C', instrument: 'lute', notes: ['C2'] }]);
+
+        expect(() => importCustomTunings(withUnknown)).toThrow('unknown instrument: lute');
+        expect(loadCustomTunings()).toEqual([]);
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * Detector Accuracy Tests
+ * Fails when a pitch detector gets less accurate than the stored baseline
+ *
+ * After a change that improves accuracy, run `npm run test:accuracy -- --update-baseline`
+ * to raise the baseline, so later changes cannot quietly lose the improvement. The full
+ * report is printed by `npm run test:accuracy`; these tests only fail on a regression.
+ */
+
+import { readFileSync } from 'fs';
+import { describe, it, expect, beforeAll } from 'vitest';
+import { runEvaluation, summarize, BASELINE_GROUPS } from './detector-evaluation.js';
+
+// Accuracy every detector reached when the baseline was last updated
+const baseline = JSON.parse(readFileSync(new URL('./accuracy-baseline.json', import.meta.url), 'utf8'));
+
+// Allowed increase of an error rate, so a single borderline case does not fail the suite
+const RATE_TOLERANCE = 0.02;
+
+// Allowed increase of the mean error in cents
+const CENTS_TOLERANCE = 0.5;
+
+// Time allowed for running every detector over every case
+const EVALUATION_TIMEOUT = 60000;
+
+describe('pitch detector accuracy', () => {
+    let rows;
+
+    beforeAll(() => {
+        rows = summarize(runEvaluation(), BASELINE_GROUPS);
+    }, EVALUATION_TIMEOUT);
+
+    it.each(baseline)('$detector in the $range range with $bufferSize samples does not regress', expected => {
+        const row = rows.find(candidate => BASELINE_GROUPS.every(field => candidate[field] === expected[field]));
+        expect(row, 'case group missing from the evaluation').toBeDefined();
+
+        expect(row.noDetectionRate, `no-detection rate, baseline ${expected.noDetectionRate}`).toBeLessThanOrEqual(expected.noDetectionRate + RATE_TOLERANCE);
+        expect(row.octaveErrorRate, `octave error rate, baseline ${expected.octaveErrorRate}`).toBeLessThanOrEqual(expected.octaveErrorRate + RATE_TOLERANCE);
+        expect(row.otherErrorRate, `other error rate, baseline ${expected.otherErrorRate}`).toBeLessThanOrEqual(expected.otherErrorRate + RATE_TOLERANCE);
+
+        if (expected.meanCents !== null) {
+            const meanCents = row.meanCents === null ? Infinity : row.meanCents;
+            expect(meanCents, `mean cents error, baseline ${expected.meanCents}`).toBeLessThanOrEqual(expected.meanCents + CENTS_TOLERANCE);
+        }
+    });
+});
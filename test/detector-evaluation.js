@@ -0,0 +1,233 @@
+/**
+ * Detector Evaluation
+ * Measures how accurately the pitch detectors and note recognition handle synthetic signals
+ *
+ * Every detector is run on the same cases: notes across three frequency ranges, rendered
+ * as each signal type and cut to each buffer size. A detection is classified as correct
+ * (within 50 cents of the expected pitch), an octave error (right pitch class, wrong
+ * octave), another error, or no detection.
+ */
+
+import { PITCH_DETECTORS } from '../src/js/pitch-detection.js';
+import { noteFromFrequency, frequencyFromNote, parseNoteName } from '../src/js/note-recognition.js';
+import { SAMPLE_RATE, createRandom, pureTone, pluckedTone, inharmonicString, vibratoTone, addNoise } from './synthetic-signals.js';
+
+// Notes played in each frequency range
+export const FREQUENCY_RANGES = {
+    low: ['E1', 'G1', 'A1', 'C2', 'E2', 'G2', 'A2', 'B2'],
+    mid: ['C3', 'E3', 'G3', 'A3', 'C4', 'E4', 'G4', 'B4'],
+    high: ['C5', 'E5', 'G5', 'A5', 'C6', 'E6', 'F6', 'G6']
+};
+
+// Buffer sizes in samples at SAMPLE_RATE
+export const BUFFER_SIZES = [1024, 2048, 4096];
+
+// Generators of each signal type, taking the frequency, length and random number generator
+export const SIGNAL_TYPES = {
+    'pure': (frequency, length, random) => pureTone(frequency, length, { random }),
+    'pluck': (frequency, length, random) => pluckedTone(frequency, length, { random }),
+    'inharmonic': (frequency, length, random) => inharmonicString(frequency, length, { random }),
+    'vibrato': (frequency, length, random) => vibratoTone(frequency, length, { random }),
+    'noise 20 dB': (frequency, length, random) => addNoise(pluckedTone(frequency, length, { missingFundamental: false, random }), 20, random),
+    'noise 10 dB': (frequency, length, random) => addNoise(pluckedTone(frequency, length, { missingFundamental: false, random }), 10, random),
+    'noise 0 dB': (frequency, length, random) => addNoise(pluckedTone(frequency, length, { missingFundamental: false, random }), 0, random)
+};
+
+// Detuning of successive notes in cents, so that the pitches do not all sit exactly on a note
+const DETUNING_CENTS = [0, 17, -31, 42, -8, 23, -45, 5];
+
+// Groups whose accuracy is stored in the baseline and checked for regressions
+export const BASELINE_GROUPS = ['detector', 'range', 'bufferSize'];
+
+// Largest error in cents for a detection to count as correct
+const CORRECT_CENTS = 50;
+
+// Margin of the detection range around the lowest and highest note, as used by the tuner
+const RANGE_MARGIN = 1.25;
+
+/**
+ * Classify a detection
+ * @param {number} detected - Detected frequency in Hz, or -1 if no pitch detected
+ * @param {number} expected - Expected frequency in Hz
+ * @returns {Object} - Object containing outcome ('correct', 'octave', 'other' or 'none') and cents error
+ */
+export function classifyDetection(detected, expected) {
+    if (detected === -1) {
+        return { outcome: 'none', cents: null };
+    }
+
+    const cents = 1200 * Math.log2(detected / expected);
+    const octaves = Math.round(cents / 1200);
+
+    if (Math.abs(cents) < CORRECT_CENTS) {
+        return { outcome: 'correct', cents };
+    }
+    if (octaves !== 0 && Math.abs(cents - octaves * 1200) < CORRECT_CENTS) {
+        return { outcome: 'octave', cents };
+    }
+    return { outcome: 'other', cents };
+}
+
+/**
+ * Get the note name a frequency is recognized as
+ * @param {number} frequency - Frequency in Hz
+ * @returns {string} - Note name with octave, e.g. 'A4'
+ */
+function recognizeNote(frequency) {
+    const { note, octave } = noteFromFrequency(frequency);
+    return `${note}${octave}`;
+}
+
+/**
+ * Run the detectors over every case
+ * @param {string[]} detectorIds - Ids of the detectors to evaluate
+ * @returns {Object[]} - One result per detector and case, each with detector, range, bufferSize,
+ *                       signal, note, expected and detected frequency, outcome, cents and
+ *                       whether the recognized note was right
+ */
+export function runEvaluation(detectorIds = Object.keys(PITCH_DETECTORS)) {
+    const results = [];
+
+    Object.entries(FREQUENCY_RANGES).forEach(([range, notes], rangeIndex) => {
+        const frequencies = notes.map(name => {
+            const { note, octave } = parseNoteName(name);
+            return frequencyFromNote(note, octave);
+        });
+        const options = {
+            minFrequency: Math.min(...frequencies) / RANGE_MARGIN,
+            maxFrequency: Math.max(...frequencies) * RANGE_MARGIN
+        };
+
+        BUFFER_SIZES.forEach(bufferSize => {
+            Object.entries(SIGNAL_TYPES).forEach(([signal, generate], signalIndex) => {
+                notes.forEach((note, noteIndex) => {
+                    // Seed every case on its own, so adding cases leaves the others unchanged
+                    const random = createRandom(rangeIndex * 1e6 + bufferSize * 100 + signalIndex * 10 + noteIndex);
+                    const frequency = frequencies[noteIndex] * Math.pow(2, DETUNING_CENTS[noteIndex % DETUNING_CENTS.length] / 1200);
+                    const { samples, frequency: expected } = generate(frequency, bufferSize, random);
+                    const expectedNote = recognizeNote(expected);
+
+                    detectorIds.forEach(detector => {
+                        const { frequency: detected } = PITCH_DETECTORS[detector].detect(samples, SAMPLE_RATE, options);
+
+                        results.push({
+                            detector,
+                            range,
+                            bufferSize,
+                            signal,
+                            note,
+                            expected,
+                            detected,
+                            ...classifyDetection(detected, expected),
+                            noteCorrect: detected !== -1 && recognizeNote(detected) === expectedNote
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    return results;
+}
+
+/**
+ * Summarize results in groups
+ * @param {Object[]} results - Results returned by runEvaluation()
+ * @param {string[]} groupBy - Result fields that form a group, e.g. ['detector', 'range']
+ * @returns {Object[]} - One row per group with the group fields, cases, noDetectionRate, octaveErrorRate,
+ *                       otherErrorRate, noteAccuracy (all shares of the cases), meanCents and maxCents
+ *                       (absolute error of the correct detections, null if there were none)
+ */
+export function summarize(results, groupBy) {
+    const groups = new Map();
+
+    results.forEach(result => {
+        const key = groupBy.map(field => result[field]).join('|');
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(result);
+    });
+
+    return Array.from(groups.values()).map(group => {
+        const share = predicate => group.filter(predicate).length / group.length;
+        const errors = group.filter(result => result.outcome === 'correct').map(result => Math.abs(result.cents));
+
+        return {
+            ...Object.fromEntries(groupBy.map(field => [field, group[0][field]])),
+            cases: group.length,
+            noDetectionRate: share(result => result.outcome === 'none'),
+            octaveErrorRate: share(result => result.outcome === 'octave'),
+            otherErrorRate: share(result => result.outcome === 'other'),
+            noteAccuracy: share(result => result.noteCorrect),
+            meanCents: errors.length > 0 ? errors.reduce((sum, value) => sum + value, 0) / errors.length : null,
+            maxCents: errors.length > 0 ? Math.max(...errors) : null
+        };
+    });
+}
+
+/**
+ * Format summary rows as a text table
+ * @param {Object[]} rows - Rows returned by summarize()
+ * @param {string[]} groupBy - Group fields shown as the first columns
+ * @returns {string} - Table with aligned columns
+ */
+export function formatTable(rows, groupBy) {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const cents = value => (value === null ? '-' : value.toFixed(2));
+    const columns = [
+        ...groupBy.map(field => [field, row => String(row[field])]),
+        ['cases', row => String(row.cases)],
+        ['no detection', row => percent(row.noDetectionRate)],
+        ['octave errors', row => percent(row.octaveErrorRate)],
+        ['other errors', row => percent(row.otherErrorRate)],
+        ['right note', row => percent(row.noteAccuracy)],
+        ['mean |cents|', row => cents(row.meanCents)],
+        ['max |cents|', row => cents(row.maxCents)]
+    ];
+
+    const cells = [columns.map(([title]) => title), ...rows.map(row => columns.map(([, format]) => format(row)))];
+    const widths = columns.map((_, index) => Math.max(...cells.map(line => line[index].length)));
+
+    // Text columns are aligned left, numbers right
+    const formatLine = line => line
+        .map((cell, index) => (index < groupBy.length ? cell.padEnd(widths[index]) : cell.padStart(widths[index])))
+        .join('  ');
+
+    return [formatLine(cells[0]), widths.map(width => '-'.repeat(width)).join('  '), ...cells.slice(1).map(formatLine)].join('\n');
+}
+
+/**
+ * Format a readable accuracy report
+ * @param {Object[]} results - Results returned by runEvaluation()
+ * @returns {string} - Tables by detector, range and buffer size, and by detector and signal type
+ */
+export function formatReport(results) {
+    return [
+        'Accuracy by detector, frequency range and buffer size',
+        formatTable(summarize(results, BASELINE_GROUPS), BASELINE_GROUPS),
+        '',
+        'Accuracy by detector and signal type',
+        formatTable(summarize(results, ['detector', 'signal']), ['detector', 'signal'])
+    ].join('\n');
+}
+
+/**
+ * Create the baseline that later evaluations are compared with
+ * @param {Object[]} results - Results returned by runEvaluation()
+ * @returns {Object[]} - Summary rows grouped by BASELINE_GROUPS, rounded for a stable file
+ */
+export function createBaseline(results) {
+    const round = value => (value === null ? null : Math.round(value * 10000) / 10000);
+
+    return summarize(results, BASELINE_GROUPS).map(row => ({
+        detector: row.detector,
+        range: row.range,
+        bufferSize: row.bufferSize,
+        noDetectionRate: round(row.noDetectionRate),
+        octaveErrorRate: round(row.octaveErrorRate),
+        otherErrorRate: round(row.otherErrorRate),
+        noteAccuracy: round(row.noteAccuracy),
+        meanCents: round(row.meanCents)
+    }));
+}
@@ -0,0 +1,130 @@
+/**
+ * File Analysis Tests
+ * Analyzes short synthetic recordings and checks the note summary and the exported pitch track
+ */
+
+import { describe, it, expect } from 'vitest';
+import { decodeAudioFile, analyzePitchTrack, summarizeNotes, pitchTrackToCsv } from '../src/js/file-analysis.js';
+import { pureTone, SAMPLE_RATE } from './synthetic-signals.js';
+
+// Analysis settings of the recordings, with a detector that finds pure tones to within a fraction of a cent
+const OPTIONS = { detector: 'yin', windowSize: 2048, hopSize: 1024 };
+
+/**
+ * Create a pitch track frame
+ * @param {number} time - Time in seconds
+ * @param {number} frequency - Frequency in Hz, or -1 for no pitch
+ * @param {string} note - Note name with octave, e.g. 'A4', or null for no pitch
+ * @param {number} cents - Deviation from the note in cents, or null for no pitch
+ * @returns {Object} - The frame
+ */
+function frame(time, frequency, note = null, cents = null) {
+    return {
+        time,
+        frequency,
+        confidence: frequency === -1 ? 0 : 0.9,
+        note: note && note.slice(0, -1),
+        octave: note && Number(note.slice(-1)),
+        cents
+    };
+}
+
+/**
+ * Create a file whose contents the fake audio context decodes
+ * @param {string} name - File name
+ * @returns {Object} - Object with name and arrayBuffer()
+ */
+const file = name => ({ name, arrayBuffer: async () => new ArrayBuffer(8) });
+
+describe('decodeAudioFile', () => {
+    it('mixes every channel into one', async () => {
+        const channels = [Float32Array.from([1, 0.5, 0]), Float32Array.from([0, 0.5, -1])];
+        const context = {
+            decodeAudioData: async () => ({
+                length: 3,
+                numberOfChannels: 2,
+                sampleRate: SAMPLE_RATE,
+                duration: 3 / SAMPLE_RATE,
+                getChannelData: channel => channels[channel]
+            })
+        };
+
+        const { samples, sampleRate } = await decodeAudioFile(file('take.wav'), context);
+        expect(Array.from(samples)).toEqual([0.5, 0.5, -0.5]);
+        expect(sampleRate).toBe(SAMPLE_RATE);
+    });
+
+    it('names the supported file types when a file cannot be decoded', async () => {
+        const context = { decodeAudioData: () => Promise.reject(new Error('EncodingError')) };
+
+        await expect(decodeAudioFile(file('take.aac'), context))
+            .rejects.toThrow('Could not decode "take.aac", use a WAV, MP3, OGG or FLAC file');
+    });
+});
+
+describe('analyzePitchTrack', () => {
+    it('follows the notes of a recording', async () => {
+        const a4 = pureTone(440, SAMPLE_RATE / 2).samples;
+        const e4 = pureTone(329.63 * Math.pow(2, 10 / 1200), SAMPLE_RATE / 2).samples;
+        const recording = new Float32Array(SAMPLE_RATE);
+        recording.set(a4);
+        recording.set(e4, a4.length);
+
+        const track = await analyzePitchTrack(recording, SAMPLE_RATE, OPTIONS);
+        const frameDuration = track[1].time - track[0].time;
+        const notes = summarizeNotes(track, frameDuration);
+
+        expect(frameDuration).toBeCloseTo(OPTIONS.hopSize / SAMPLE_RATE, 9);
+        expect(notes.map(note => `${note.note}${note.octave}`)).toEqual(['E4', 'A4']);
+        expect(notes[0].meanCents).toBeCloseTo(10, 0);
+        expect(Math.abs(notes[1].meanCents)).toBeLessThan(0.5);
+
+        // Windows spanning the change of note, and the edges of the recording, count for neither note
+        notes.forEach(note => {
+            expect(note.duration).toBeGreaterThan(0.4);
+            expect(note.duration).toBeLessThanOrEqual(0.5);
+        });
+    });
+
+    it('reports every window of silence without a pitch', async () => {
+        const track = await analyzePitchTrack(new Float32Array(8192), SAMPLE_RATE, OPTIONS);
+
+        expect(track).toHaveLength(7);
+        track.forEach(entry => expect(entry).toMatchObject({ frequency: -1, note: null, octave: null, cents: null }));
+    });
+});
+
+describe('summarizeNotes', () => {
+    const track = [
+        frame(0.01, -1),
+        frame(0.02, 439.5, 'A4', -2),
+        frame(0.03, 440, 'A4', 0),
+        frame(0.04, 440.5, 'A4', 2),
+        frame(0.05, 441, 'A4', 4),
+        frame(0.06, -1),
+        frame(0.07, 331.5, 'E4', 10)
+    ];
+
+    it('summarizes each note in pitch order, leaving out frames without a pitch', () => {
+        expect(summarizeNotes(track, 0.01)).toEqual([
+            { note: 'E', octave: 4, duration: 0.01, frames: 1, meanFrequency: 331.5, meanCents: 10, standardDeviation: 0, minCents: 10, maxCents: 10 },
+            { note: 'A', octave: 4, duration: 0.04, frames: 4, meanFrequency: 440.25, meanCents: 1, standardDeviation: Math.sqrt(5), minCents: -2, maxCents: 4 }
+        ]);
+    });
+
+    it('summarizes nothing without a pitch', () => {
+        expect(summarizeNotes([frame(0, -1)], 0.01)).toEqual([]);
+    });
+});
+
+describe('pitchTrackToCsv', () => {
+    it('writes a row per frame, leaving the pitch columns of unvoiced frames empty', () => {
+        const csv = pitchTrackToCsv([frame(0.0213, 440.12345, 'A4', 0.4857), frame(0.0427, -1)]);
+
+        expect(csv).toBe([
+            'time,frequency,confidence,note,cents',
+            '0.0213,440.123,0.900,A4,0.49',
+            '0.0427,,0.000,,'
+        ].join('\n'));
+    });
+});
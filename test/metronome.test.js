@@ -0,0 +1,193 @@
+/**
+ * Metronome Tests
+ * Checks the click scheduling on a fake audio clock, the accents and the tap tempo
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Metronome, MAX_TEMPO, CLICK_DURATION } from '../src/js/metronome.js';
+
+// How often the fake audio clock advances in seconds, matching the scheduler interval
+const STEP = 0.025;
+
+/**
+ * Create an audio context that plays nothing, whose clock the test advances
+ * @returns {Object} - The fake audio context, listing the oscillators created on it in sources
+ */
+function createFakeAudioContext() {
+    const param = () => ({ value: 0, setValueAtTime() {}, linearRampToValueAtTime() {}, exponentialRampToValueAtTime() {} });
+    const context = {
+        currentTime: 0,
+        destination: {},
+        sources: [],
+        createGain: () => ({ gain: param(), connect() {}, disconnect() {} }),
+        createOscillator: () => {
+            const source = { frequency: param(), stopped: false, connect() {}, start() {}, stop() { this.stopped = true; } };
+            context.sources.push(source);
+            return source;
+        }
+    };
+    return context;
+}
+
+describe('Metronome', () => {
+    let context;
+    let metronome;
+    let clicks;
+
+    /**
+     * Advance the audio clock and the scheduler timer together
+     * @param {number} seconds - Time to advance by
+     */
+    function run(seconds) {
+        const end = context.currentTime + seconds;
+        while (context.currentTime < end - 1e-9) {
+            context.currentTime += STEP;
+            vi.advanceTimersByTime(STEP * 1000);
+        }
+    }
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        context = createFakeAudioContext();
+        metronome = new Metronome(context);
+        clicks = [];
+        metronome.onbeat = click => clicks.push(click);
+    });
+
+    afterEach(() => {
+        metronome.stop();
+        vi.useRealTimers();
+    });
+
+    it.each([
+        [60, 1],
+        [120, 2],
+        [90, 3],
+        [MAX_TEMPO, 4]
+    ])('spaces the clicks at %i bpm with %i clicks per beat', (tempo, subdivision) => {
+        metronome.configure({ tempo, subdivision });
+        metronome.start();
+        run(3);
+
+        expect(clicks.length).toBeGreaterThan(2);
+        clicks.slice(1).forEach((click, index) => {
+            expect(click.time - clicks[index].time).toBeCloseTo(60 / tempo / subdivision, 9);
+        });
+        clicks.forEach(click => expect(click.duration).toBe(CLICK_DURATION));
+    });
+
+    it('counts the beats of the bar and accents the first', () => {
+        metronome.configure({ tempo: 240, signature: '3/4' });
+        metronome.start();
+        run(2);
+
+        expect(clicks.slice(0, 6).map(click => click.beat)).toEqual([0, 1, 2, 0, 1, 2]);
+        expect(clicks.slice(0, 6).map(click => click.accent)).toEqual([true, false, false, true, false, false]);
+        clicks.forEach(click => expect(click.beats).toBe(3));
+    });
+
+    it('accents only the beats of subdivided clicks', () => {
+        metronome.configure({ tempo: 120, subdivision: 3 });
+        metronome.start();
+        run(1);
+
+        expect(clicks.slice(0, 4).map(click => [click.beat, click.subdivision, click.accent]))
+            .toEqual([[0, 0, true], [0, 1, false], [0, 2, false], [1, 0, false]]);
+    });
+
+    it('starts a new bar with the default accents of a new signature', () => {
+        metronome.configure({ tempo: 240, signature: '4/4' });
+        metronome.start();
+        run(0.6);
+
+        metronome.configure({ signature: '6/8' });
+        const changedAt = clicks.length;
+        run(2);
+
+        const after = clicks.slice(changedAt);
+        expect(after[0].beat).toBe(0);
+        expect(after[0].beats).toBe(6);
+        expect(after.slice(0, 6).map(click => click.accent)).toEqual([true, false, false, true, false, false]);
+    });
+
+    it('keeps custom accents given with a new signature', () => {
+        metronome.configure({ signature: '3/4', accents: [false, true, false] });
+        expect(metronome.settings.accents).toEqual([false, true, false]);
+    });
+
+    it.each([
+        [1, 3, 2, 0],
+        [3, 3, 0, 0],
+        [1, 1, 1, 1]
+    ])('moves on from beat %i at click %i when a beat no longer has that many clicks', (beat, subdivisionIndex, nextBeat, nextIndex) => {
+        metronome.configure({ signature: '4/4', subdivision: 4 });
+        metronome.beat = beat;
+        metronome.subdivisionIndex = subdivisionIndex;
+
+        metronome.configure({ subdivision: 2 });
+        expect([metronome.beat, metronome.subdivisionIndex]).toEqual([nextBeat, nextIndex]);
+    });
+
+    it('skips the clicks missed while the page was throttled', () => {
+        metronome.configure({ tempo: 120, signature: '4/4' });
+        metronome.start();
+        run(1);
+        const before = clicks.length;
+
+        // The timer did not run for ten seconds, while the audio clock went on
+        context.currentTime += 10.01;
+        metronome.schedule();
+
+        const late = clicks.slice(before);
+        expect(late.length).toBeLessThanOrEqual(1);
+        late.forEach(click => expect(click.time).toBeGreaterThanOrEqual(context.currentTime));
+
+        // The skipped clicks still count, so the bar continues where it would have been
+        run(1);
+        const resumed = clicks.slice(before);
+        resumed.forEach(click => {
+            const beatsSinceStart = Math.round((click.time - clicks[0].time) * 2);
+            expect(click.beat).toBe(beatsSinceStart % 4);
+        });
+    });
+
+    it('silences scheduled clicks when stopped', () => {
+        metronome.start();
+        run(0.2);
+        metronome.stop();
+
+        expect(metronome.isRunning).toBe(false);
+        expect(context.sources.length).toBeGreaterThan(0);
+        expect(context.sources.every(source => source.stopped)).toBe(true);
+
+        const count = clicks.length;
+        run(1);
+        expect(clicks).toHaveLength(count);
+    });
+
+    describe('tap', () => {
+        it('needs two taps to measure a tempo', () => {
+            expect(metronome.tap(0)).toBeNull();
+            expect(metronome.tap(500)).toBe(120);
+        });
+
+        it('starts a new measurement after a long pause', () => {
+            metronome.tap(0);
+            metronome.tap(1000);
+            expect(metronome.tap(3500)).toBeNull();
+            expect(metronome.tap(4250)).toBe(80);
+        });
+
+        it('averages the most recent five taps', () => {
+            [0, 400, 900, 1400, 1900].forEach(time => metronome.tap(time));
+
+            // The first tap falls out of the average: (2500 - 400) / 4 = 525 ms
+            expect(metronome.tap(2500)).toBe(Math.round(60000 / 525));
+        });
+
+        it('limits the tempo to the playable range', () => {
+            metronome.tap(0);
+            expect(metronome.tap(100)).toBe(MAX_TEMPO);
+        });
+    });
+});
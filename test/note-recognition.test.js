@@ -0,0 +1,43 @@
+/**
+ * Note Recognition Tests
+ * Checks that frequencies map to the right note across the whole piano range
+ */
+
+import { describe, it, expect } from 'vitest';
+import { noteFromFrequency, frequencyFromNote } from '../src/js/note-recognition.js';
+
+// Note names in the order of the chromatic scale from C
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// MIDI note numbers of the lowest and highest piano keys (A0 and C8)
+const LOWEST_NOTE = 21;
+const HIGHEST_NOTE = 108;
+
+const notes = Array.from({ length: HIGHEST_NOTE - LOWEST_NOTE + 1 }, (_, index) => {
+    const midi = LOWEST_NOTE + index;
+    return { midi, note: NOTE_NAMES[midi % 12], octave: Math.floor(midi / 12) - 1 };
+});
+
+describe('noteFromFrequency', () => {
+    [440, 442].forEach(reference => {
+        it.each(notes)(`recognizes $note$octave within ±49 cents at A4 = ${reference} Hz`, ({ midi, note, octave }) => {
+            const frequency = reference * Math.pow(2, (midi - 69) / 12);
+
+            [0, 49, -49].forEach(cents => {
+                const result = noteFromFrequency(frequency * Math.pow(2, cents / 1200), reference);
+                expect(result.note).toBe(note);
+                expect(result.octave).toBe(octave);
+                expect(result.cents).toBe(cents);
+            });
+        });
+    });
+});
+
+describe('frequencyFromNote', () => {
+    it.each(notes)('returns a frequency that is recognized as $note$octave again', ({ note, octave }) => {
+        const result = noteFromFrequency(frequencyFromNote(note, octave));
+        expect(result.note).toBe(note);
+        expect(result.octave).toBe(octave);
+        expect(result.cents).toBe(0);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Piano Tuning Tests
+ * Measures the inharmonicity of synthetic stiff strings and checks the stretched tuning built from it
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    computePartialSpectrum,
+    measureInharmonicity,
+    createInharmonicityCurve,
+    createStretchCurve,
+    partialFrequency,
+    pianoKeyName,
+    A4_KEY,
+    PIANO_KEY_COUNT
+} from '../src/js/piano-tuning.js';
+import { TEMPERAMENTS, createTemperament } from '../src/js/temperaments.js';
+import { inharmonicString, SAMPLE_RATE } from './synthetic-signals.js';
+
+// Samples analyzed per measurement, as many as the tuner's partial analyzer holds
+const BUFFER_LENGTH = 32768;
+
+// Frequency of the ideal flexible string tested, near C3
+const STRING_FREQUENCY = 130.8;
+
+const cents = (frequency, reference) => 1200 * Math.log2(frequency / reference);
+
+/**
+ * Measure the inharmonicity of a synthetic string
+ * @param {number} inharmonicity - Inharmonicity coefficient B of the string
+ * @returns {Object} - The string returned by inharmonicString() and the measurement, or null
+ */
+function measureString(inharmonicity) {
+    const string = inharmonicString(STRING_FREQUENCY, BUFFER_LENGTH, { inharmonicity, partials: 10 });
+    const spectrum = computePartialSpectrum(string.samples, SAMPLE_RATE);
+
+    // The tuner only knows the note, not where the stretched fundamental lies
+    return { string, measurement: measureInharmonicity(spectrum, STRING_FREQUENCY, SAMPLE_RATE) };
+}
+
+describe('measureInharmonicity', () => {
+    it.each([2e-4, 5e-4, 2e-3])('measures an inharmonicity of %s', inharmonicity => {
+        const { string, measurement } = measureString(inharmonicity);
+
+        expect(measurement.inharmonicity / inharmonicity).toBeCloseTo(1, 1);
+        expect(Math.abs(cents(measurement.frequency, string.frequency))).toBeLessThan(0.2);
+        expect(measurement.partials.length).toBeGreaterThanOrEqual(8);
+    });
+
+    it('measures nearly no inharmonicity on a flexible string', () => {
+        expect(measureString(0).measurement.inharmonicity).toBeLessThan(1e-5);
+    });
+
+    it('measures nothing in silence', () => {
+        const spectrum = computePartialSpectrum(new Float32Array(BUFFER_LENGTH), SAMPLE_RATE);
+
+        expect(measureInharmonicity(spectrum, STRING_FREQUENCY, SAMPLE_RATE)).toBeNull();
+    });
+});
+
+describe('createStretchCurve', () => {
+    const flexible = new Array(PIANO_KEY_COUNT).fill(0);
+
+    it('names the keys from A0 to C8', () => {
+        const curve = createStretchCurve(flexible);
+
+        expect(curve.map(entry => entry.name).filter((_, index) => index % 12 === 0))
+            .toEqual(['A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7']);
+        expect(curve[PIANO_KEY_COUNT - 1].name).toBe(pianoKeyName(88));
+        expect(pianoKeyName(88)).toBe('C8');
+    });
+
+    it('does not stretch strings without inharmonicity', () => {
+        createStretchCurve(flexible, 442).forEach(entry => expect(entry.stretchCents).toBeCloseTo(0, 6));
+    });
+
+    it('keeps the temperament in the middle octave', () => {
+        const werckmeister = createTemperament(TEMPERAMENTS.werckmeister);
+
+        createStretchCurve(flexible, 440, werckmeister).forEach(entry => expect(entry.stretchCents).toBeCloseTo(0, 6));
+    });
+
+    it('tunes every octave to the second partial of the key below', () => {
+        const inharmonicity = createInharmonicityCurve();
+        const curve = createStretchCurve(inharmonicity, 440);
+
+        expect(curve[A4_KEY - 1].frequency).toBe(440);
+        for (let key = 13; key <= PIANO_KEY_COUNT; key++) {
+            const below = curve[key - 13];
+            expect(cents(curve[key - 1].frequency, partialFrequency(below.frequency, below.inharmonicity, 2))).toBeCloseTo(0, 6);
+        }
+    });
+
+    it('stretches the treble sharp and the bass flat, more towards the ends', () => {
+        const curve = createStretchCurve(createInharmonicityCurve({ 28: 1.5e-4, 64: 6e-4 }));
+        const stretch = key => curve[key - 1].stretchCents;
+
+        expect(stretch(1)).toBeLessThan(stretch(13));
+        expect(stretch(13)).toBeLessThan(stretch(37));
+        expect(stretch(37)).toBeLessThan(0);
+        expect(stretch(61)).toBeGreaterThan(0);
+        expect(stretch(61)).toBeLessThan(stretch(73));
+        expect(stretch(73)).toBeLessThan(stretch(88));
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Pitch Stabilizer Tests
+ * Checks the decay hold against each detector's confidence scale and across note changes
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { PitchStabilizer } from '../src/js/pitch-stabilizer.js';
+import { DEFAULT_CLARITY_THRESHOLDS } from '../src/js/pitch-detection.js';
+
+// Time in milliseconds between estimates
+const FRAME_TIME = 20;
+
+// Time in milliseconds after which the attack is over
+const SETTLED_TIME = 200;
+
+/**
+ * Feed the same estimate into the stabilizer for a number of frames
+ * @param {PitchStabilizer} stabilizer - The stabilizer
+ * @param {number} frequency - Estimated frequency in Hz
+ * @param {number} confidence - Confidence of the estimate
+ * @param {number} from - Time of the first estimate in milliseconds
+ * @param {number} frames - Number of estimates
+ * @returns {number[]} - The stabilized frequencies
+ */
+function feed(stabilizer, frequency, confidence, from, frames) {
+    return Array.from({ length: frames }, (_, index) => stabilizer.process(frequency, confidence, from + index * FRAME_TIME));
+}
+
+describe('PitchStabilizer decay hold', () => {
+    let stabilizer;
+
+    /**
+     * Settle the stabilizer on a confidently detected A4
+     * @param {string} detector - Id of the detector whose clarity threshold applies
+     */
+    function settle(detector) {
+        stabilizer.setClarityThreshold(DEFAULT_CLARITY_THRESHOLDS[detector]);
+        feed(stabilizer, 440, 1, 0, SETTLED_TIME / FRAME_TIME);
+    }
+
+    beforeEach(() => {
+        stabilizer = new PitchStabilizer({ smoothing: 0 });
+    });
+
+    it.each([
+        ['autocorrelation', 0.5, 0.7],
+        ['yin', 0.88, 0.95],
+        ['mpm', 0.7, 0.8]
+    ])('is scaled to the clarity threshold of %s', (detector, heldConfidence, followedConfidence) => {
+        settle(detector);
+
+        expect(feed(stabilizer, 443, heldConfidence, SETTLED_TIME, 5).pop()).toBe(440);
+        expect(feed(stabilizer, 443, followedConfidence, SETTLED_TIME + 100, 5).pop()).toBe(443);
+    });
+
+    it('holds nothing when the decay confidence is 0', () => {
+        stabilizer.configure({ decayConfidence: 0 });
+        settle('autocorrelation');
+
+        expect(feed(stabilizer, 443, DEFAULT_CLARITY_THRESHOLDS.autocorrelation, SETTLED_TIME, 5).pop()).toBe(443);
+    });
+
+    it('follows a new note that starts with low confidence', () => {
+        settle('autocorrelation');
+
+        const readings = feed(stabilizer, 330, 0.3, SETTLED_TIME, 5);
+        expect(readings.pop()).toBe(330);
+    });
+
+    it('follows a new note at once without the median filter', () => {
+        stabilizer.configure({ medianSize: 1 });
+        settle('yin');
+
+        expect(stabilizer.process(330, 0.86, SETTLED_TIME)).toBe(330);
+    });
+
+    it('holds only estimates within the note hysteresis', () => {
+        stabilizer.configure({ hysteresisCents: 15 });
+        settle('autocorrelation');
+
+        // 10 cents is within the hysteresis, 30 cents is not
+        expect(feed(stabilizer, 440 * Math.pow(2, 10 / 1200), 0.3, SETTLED_TIME, 5).pop()).toBe(440);
+        expect(feed(stabilizer, 440 * Math.pow(2, 30 / 1200), 0.3, SETTLED_TIME + 100, 5).pop()).toBeCloseTo(440 * Math.pow(2, 30 / 1200), 6);
+    });
+});
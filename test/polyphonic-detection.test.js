@@ -0,0 +1,54 @@
+/**
+ * Polyphonic Detection Tests
+ * Strums synthetic strings tuned off their targets and checks the cents measured for each
+ */
+
+import { describe, it, expect } from 'vitest';
+import { detectStrings } from '../src/js/polyphonic-detection.js';
+import { strummedStrings, SAMPLE_RATE } from './synthetic-signals.js';
+
+// Samples in a strum, as many as the engine's strum analyzer holds
+const STRUM_LENGTH = 32768;
+
+// Targets of a guitar in standard tuning, E2 A2 D3 G3 B3 E4
+const GUITAR_STRINGS = [40, 45, 50, 55, 59, 64].map(midi => 440 * Math.pow(2, (midi - 69) / 12));
+
+/**
+ * Strum the guitar with each string tuned off its target, and measure the strings in cents
+ * @param {Array<number|null>} detunings - Cents each string is off its target, null for a string that is not played
+ * @returns {Array<number|null>} - Measured cents of each string, null if it was not detected
+ */
+function strumAndMeasure(detunings) {
+    const played = GUITAR_STRINGS
+        .map((target, index) => (detunings[index] === null ? null : target * Math.pow(2, detunings[index] / 1200)))
+        .filter(frequency => frequency !== null);
+    const { samples } = strummedStrings(played, STRUM_LENGTH);
+
+    return detectStrings(samples, SAMPLE_RATE, GUITAR_STRINGS).map((result, index) =>
+        (result.frequency === -1 ? null : 1200 * Math.log2(result.frequency / GUITAR_STRINGS[index])));
+}
+
+describe('detectStrings', () => {
+    it('measures every string of a strum tuned sharp', () => {
+        strumAndMeasure(Array(6).fill(5.2)).forEach(cents => expect(cents).toBeCloseTo(5.2, 0));
+    });
+
+    it('measures strings detuned by different amounts', () => {
+        const detunings = [-20, 12, -7, 3, 15, -9];
+
+        strumAndMeasure(detunings).forEach((cents, index) => expect(Math.abs(cents - detunings[index])).toBeLessThan(1));
+    });
+
+    it('reports no frequency for a string that is not played', () => {
+        const cents = strumAndMeasure([0, 0, null, 0, 0, 0]);
+
+        expect(cents[2]).toBeNull();
+        [0, 1, 3, 4, 5].forEach(index => expect(Math.abs(cents[index])).toBeLessThan(1));
+    });
+
+    it('reports nothing in silence', () => {
+        const results = detectStrings(new Float32Array(STRUM_LENGTH), SAMPLE_RATE, GUITAR_STRINGS);
+
+        expect(results).toEqual(GUITAR_STRINGS.map(() => ({ frequency: -1, confidence: 0 })));
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Practice Sessions Tests
+ * Records sessions from tuner readings and checks their intonation reports and the comparison with earlier sessions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { SessionRecorder, createSessionReport, compareWithEarlierSessions } from '../src/js/practice-sessions.js';
+
+// Time in milliseconds between readings, and the start of the recorded sessions
+const READING_INTERVAL = 20;
+const START = Date.UTC(2024, 0, 1, 18);
+
+/**
+ * Play notes into a recorder, one after another with a pause between them
+ * @param {SessionRecorder} recorder - The recorder
+ * @param {Array<Array>} notes - Notes as [name, octave, cents, duration in milliseconds]; cents is the
+ *                               deviation of every reading, or a list of deviations that repeats
+ * @param {number} from - Time of the first reading in milliseconds since the epoch
+ * @returns {number} - Time after the last note
+ */
+function play(recorder, notes, from) {
+    let time = from;
+
+    notes.forEach(([note, octave, cents, duration]) => {
+        const deviations = [].concat(cents);
+        for (let elapsed = 0; elapsed <= duration; elapsed += READING_INTERVAL) {
+            recorder.record(note, octave, deviations[(elapsed / READING_INTERVAL) % deviations.length], time + elapsed);
+        }
+
+        // A pause that ends the note event
+        time += duration + 500;
+    });
+
+    return time;
+}
+
+/**
+ * Record a whole session
+ * @param {Array<Array>} notes - Notes played, see play()
+ * @param {number} start - Start of the session in milliseconds since the epoch
+ * @returns {Object} - The recorded session
+ */
+function recordSession(notes, start = START) {
+    const recorder = new SessionRecorder();
+    recorder.start({ instrument: 'violin', referenceFrequency: 440 }, start);
+    return recorder.stop(play(recorder, notes, start));
+}
+
+describe('SessionRecorder', () => {
+    it('records a note event per continuous note', () => {
+        const session = recordSession([['A', 4, 5, 1000], ['E', 5, -3, 500]]);
+
+        expect(session.events.map(event => [event.note, event.octave, event.readings])).toEqual([['A', 4, 51], ['E', 5, 26]]);
+        expect(session.events[0]).toMatchObject({ start: 0, duration: 1, sum: 255, sumOfSquares: 1275 });
+        expect(session.events[1].start).toBe(1.5);
+        expect(session.duration).toBe(2.5);
+        expect(session.startedAt).toBe('2024-01-01T18:00:00.000Z');
+    });
+
+    it('leaves out passing glitches', () => {
+        const session = recordSession([['A', 4, 0, 500], ['G#', 4, 40, 100], ['A', 4, 0, 500]]);
+
+        expect(session.events.map(event => event.note)).toEqual(['A', 'A']);
+    });
+
+    it('records nothing once stopped', () => {
+        const recorder = new SessionRecorder();
+        recorder.record('A', 4, 0, START);
+
+        expect(recorder.isRecording).toBe(false);
+        expect(recorder.stop()).toBeNull();
+    });
+});
+
+describe('createSessionReport', () => {
+    it('reports the intonation and stability of each note in pitch order', () => {
+        const report = createSessionReport(recordSession([['C', 5, [2, 6], 1000], ['A', 4, [-12, -8], 1000], ['C', 4, 0, 500]]));
+
+        expect(report.notes.map(note => `${note.note}${note.octave}`)).toEqual(['C4', 'A4', 'C5']);
+        expect(report.notes[1]).toMatchObject({ events: 1, duration: 1 });
+        expect(report.notes[1].meanCents).toBeCloseTo(-10, 1);
+        expect(report.notes[1].standardDeviation).toBeCloseTo(2, 1);
+        expect(report.notes[2].meanCents).toBeCloseTo(4, 1);
+        expect(report.notes[0]).toMatchObject({ meanCents: 0, standardDeviation: 0 });
+    });
+
+    it('weights the mean deviation of the session by the length of each note', () => {
+        const report = createSessionReport(recordSession([['A', 4, 10, 1000], ['D', 4, -1, 500]]));
+
+        // 51 readings at 10 cents and 26 at 1 cent
+        expect(report.meanAbsoluteCents).toBeCloseTo((51 * 10 + 26) / 77, 6);
+    });
+
+    it('reports a pitch class played out of tune the same way in most of its events', () => {
+        const report = createSessionReport(recordSession([
+            ['F#', 4, 9, 400], ['F#', 5, 7, 400], ['A', 4, 0, 400], ['F#', 4, 8, 400], ['F#', 4, -2, 400],
+            ['C', 5, -9, 400], ['C', 5, -9, 400]
+        ]));
+
+        // C is flat in only two events, too few to be a tendency
+        expect(report.tendencies).toHaveLength(1);
+        expect(report.tendencies[0]).toMatchObject({ note: 'F#', events: 4 });
+        expect(report.tendencies[0].meanCents).toBeCloseTo(5.5, 6);
+    });
+
+    it('reports no tendency for a pitch class played sharp and flat', () => {
+        const report = createSessionReport(recordSession([['B', 3, 20, 400], ['B', 3, -10, 400], ['B', 3, 15, 400], ['B', 3, -8, 400]]));
+
+        expect(report.tendencies).toEqual([]);
+    });
+
+    it('reports nothing for an empty session', () => {
+        expect(createSessionReport(recordSession([]))).toEqual({ notes: [], meanAbsoluteCents: null, standardDeviation: null, tendencies: [] });
+    });
+});
+
+describe('compareWithEarlierSessions', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const first = recordSession([['A', 4, 12, 1000], ['E', 5, 6, 1000]], START);
+    const second = recordSession([['A', 4, 8, 1000]], START + DAY);
+    const current = recordSession([['A', 4, -3, 1000], ['E', 5, 2, 1000], ['D', 4, 0, 1000]], START + 2 * DAY);
+    const later = recordSession([['A', 4, 30, 1000]], START + 3 * DAY);
+
+    it('compares each note with the last session in which it was played', () => {
+        const { earlierSessions, notes } = compareWithEarlierSessions(current, [later, current, second, first]);
+
+        expect(earlierSessions).toBe(2);
+        expect(notes.map(note => `${note.note}${note.octave}`)).toEqual(['D4', 'A4', 'E5']);
+
+        // D4 was not played before, A4 was last played in the second session and E5 in the first
+        expect(notes[0].meanCentsChange).toBeNull();
+        expect(notes[1].meanCentsChange).toBeCloseTo(3 - 8, 6);
+        expect(notes[2].meanCentsChange).toBeCloseTo(2 - 6, 6);
+    });
+
+    it('compares the mean deviation with the average of the earlier sessions', () => {
+        const { meanAbsoluteCentsChange } = compareWithEarlierSessions(current, [first, second, current, later]);
+
+        expect(meanAbsoluteCentsChange).toBeCloseTo((3 + 2 + 0) / 3 - (9 + 8) / 2, 6);
+    });
+
+    it('has nothing to compare in the first session', () => {
+        expect(compareWithEarlierSessions(first, [first, second])).toEqual({
+            earlierSessions: 0,
+            meanAbsoluteCentsChange: null,
+            notes: [{ note: 'A', octave: 4, meanCentsChange: null }, { note: 'E', octave: 5, meanCentsChange: null }]
+        });
+    });
+});
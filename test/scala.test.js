@@ -0,0 +1,160 @@
+/**
+ * Scala Tests
+ * Parses scale and keyboard mapping files and checks the temperaments made from them
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseScl, parseKbm, temperamentFromScala } from '../src/js/scala.js';
+import { TEMPERAMENTS } from '../src/js/temperaments.js';
+
+// werck3.scl from the Scala archive
+const WERCKMEISTER_SCL = [
+    '! werck3.scl',
+    '!',
+    "Andreas Werckmeister's temperament III (the most famous one, 1681)",
+    ' 12',
+    '!',
+    ' 90.22500',
+    ' 192.18000',
+    ' 294.13500',
+    ' 390.22500',
+    ' 498.04500',
+    ' 588.27000',
+    ' 696.09000',
+    ' 792.18000',
+    ' 888.27000',
+    ' 996.09000',
+    ' 1092.18000',
+    ' 2/1'
+].join('\r\n');
+
+// Ptolemy's intense diatonic scale in ratios, with comments after the values
+const JUST_MAJOR_SCL = `! ptolemy.scl
+!
+Ptolemy's Intense Diatonic Systonon, also just major
+ 7
+!
+ 9/8     major whole tone
+ 5/4     major third
+ 4/3
+ 3/2
+ 5/3
+ 15/8
+ 2       octave
+`;
+
+// Maps the seven degrees to the keys of D major
+const D_MAJOR_KBM = `! d-major.kbm
+! Size of map
+12
+! First and last MIDI note to retune
+0
+127
+! Middle note where the first entry of the mapping is mapped to
+62
+! Reference note and its frequency
+69
+440.0
+! Scale degree of the formal octave
+7
+! Mapping
+0
+x
+1
+x
+2
+3
+x
+4
+x
+5
+x
+6
+`;
+
+/**
+ * Round every value to a thousandth of a cent
+ * @param {number[]} values - Values in cents
+ * @returns {number[]} - The rounded values
+ */
+const rounded = values => values.map(value => Math.round(value * 1000) / 1000);
+
+describe('parseScl', () => {
+    it('reads the description and the pitches in cents', () => {
+        const { description, pitches } = parseScl(WERCKMEISTER_SCL);
+
+        expect(description).toBe("Andreas Werckmeister's temperament III (the most famous one, 1681)");
+        expect(pitches).toHaveLength(12);
+        expect(pitches[0]).toBe(90.225);
+        expect(pitches[11]).toBe(1200);
+    });
+
+    it('converts ratios and ignores comments after the values', () => {
+        const { pitches } = parseScl(JUST_MAJOR_SCL);
+
+        expect(rounded(pitches)).toEqual([203.91, 386.314, 498.045, 701.955, 884.359, 1088.269, 1200]);
+    });
+
+    it.each([
+        ['a missing note count', '! empty.scl\nNothing\n'],
+        ['an invalid note count', 'Broken\n none\n'],
+        ['too few pitches', 'Short\n 3\n 100.0\n 2/1\n'],
+        ['a negative ratio', 'Negative\n 1\n -3/2\n'],
+        ['a zero denominator', 'Zero\n 1\n 3/0\n']
+    ])('rejects a scale with %s', (_, text) => {
+        expect(() => parseScl(text)).toThrow();
+    });
+});
+
+describe('parseKbm', () => {
+    it('reads the header and the mapping, with x for unmapped keys', () => {
+        expect(parseKbm(D_MAJOR_KBM)).toEqual({
+            mapSize: 12,
+            middleNote: 62,
+            octaveDegree: 7,
+            mapping: [0, null, 1, null, 2, 3, null, 4, null, 5, null, 6]
+        });
+    });
+
+    it('rejects an incomplete header', () => {
+        expect(() => parseKbm('12\n0\n127\n')).toThrow('Keyboard mapping file is incomplete');
+    });
+
+    it('rejects an invalid mapping entry', () => {
+        expect(() => parseKbm('2\n0\n127\n60\n69\n440.0\n12\n0\nseven\n')).toThrow('Invalid key mapping: seven');
+    });
+});
+
+describe('temperamentFromScala', () => {
+    it('maps a 12-note scale one degree per key', () => {
+        const temperament = temperamentFromScala(parseScl(WERCKMEISTER_SCL));
+
+        expect(temperament.name).toBe("Andreas Werckmeister's temperament III (the most famous one, 1681)");
+        expect(temperament.degrees).toEqual(TEMPERAMENTS.werckmeister.degrees);
+        expect(temperament.root).toBe(0);
+    });
+
+    it('maps a 7-note scale through a keyboard mapping, rooted on its middle note', () => {
+        const temperament = temperamentFromScala(parseScl(JUST_MAJOR_SCL), parseKbm(D_MAJOR_KBM));
+
+        // Unmapped keys keep their equal-tempered pitch
+        expect(rounded(temperament.degrees)).toEqual([0, 100, 203.91, 300, 386.314, 498.045, 600, 701.955, 800, 884.359, 1000, 1088.269]);
+        expect(temperament.root).toBe(2);
+    });
+
+    it('needs a keyboard mapping for a scale of other than 12 notes', () => {
+        expect(() => temperamentFromScala(parseScl(JUST_MAJOR_SCL))).toThrow('A 7-note scale needs a 12-key keyboard mapping (.kbm)');
+    });
+
+    it('rejects a mapping whose octave is not 1200 cents', () => {
+        const mapping = { ...parseKbm(D_MAJOR_KBM), octaveDegree: 6 };
+
+        expect(() => temperamentFromScala(parseScl(JUST_MAJOR_SCL), mapping)).toThrow('Only scales that repeat at the octave are supported');
+    });
+
+    it('rejects a mapping that does not repeat every 12 keys', () => {
+        const mapping = parseKbm('7\n0\n127\n60\n69\n440.0\n7\n0\n1\n2\n3\n4\n5\n6\n');
+
+        expect(() => temperamentFromScala(parseScl(JUST_MAJOR_SCL), mapping)).toThrow('Keyboard mapping must repeat every 12 keys');
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Settings Tests
+ * Checks that settings from storage and links are validated and survive a round trip
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    getDefaultSettings,
+    validateSettings,
+    loadSettings,
+    saveSettings,
+    settingsFromQuery,
+    settingsToQuery
+} from '../src/js/settings.js';
+import { DEFAULT_CLARITY_THRESHOLDS } from '../src/js/pitch-detection.js';
+
+// localStorage key the settings are saved under
+const STORAGE_KEY = 'web-tuner-settings';
+
+/**
+ * Create a localStorage replacement backed by a Map
+ * @returns {Object} - Object with getItem, setItem and removeItem
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+describe('getDefaultSettings', () => {
+    it('starts with the detector making the fewest octave errors, at its own clarity threshold', () => {
+        expect(getDefaultSettings()).toMatchObject({ detector: 'mpm', clarity: DEFAULT_CLARITY_THRESHOLDS.mpm });
+    });
+});
+
+describe('validateSettings', () => {
+    it('keeps valid settings', () => {
+        const values = { reference: 442, instrument: 'viola', strum: true, median: 7, harmonics: '2,3', autorange: false, minfreq: 60, maxfreq: 900 };
+        expect(validateSettings(values)).toEqual({ settings: values, invalid: [] });
+    });
+
+    it.each([
+        ['reference', 500],
+        ['gain', -40],
+        ['tempo', 301],
+        ['median', 0],
+        ['hysteresis', 41],
+        ['decay', 0.95],
+        ['minfreq', 10],
+        ['maxfreq', 6000]
+    ])('rejects %s out of range (%s)', (name, value) => {
+        expect(validateSettings({ [name]: value })).toEqual({ settings: {}, invalid: [name] });
+    });
+
+    it.each([
+        ['reference', 'high'],
+        ['strum', 'yes'],
+        ['root', 1.5],
+        ['tuning', { id: 'standard' }],
+        ['detector', 'magic'],
+        ['harmonics', ['2', '3']],
+        ['harmonics', '2,7'],
+        ['harmonics', '2,2'],
+        ['basspartial', '7'],
+        ['palette', 'neon']
+    ])('rejects %s of the wrong type or choice (%j)', (name, value) => {
+        expect(validateSettings({ [name]: value })).toEqual({ settings: {}, invalid: [name] });
+    });
+
+    it('ignores unknown settings', () => {
+        expect(validateSettings({ reference: 441, volume: 11 })).toEqual({ settings: { reference: 441 }, invalid: [] });
+    });
+
+    it('lists the strobe harmonics in order', () => {
+        expect(validateSettings({ harmonics: '5,2' }).settings.harmonics).toBe('2,5');
+    });
+});
+
+describe('settingsToQuery and settingsFromQuery', () => {
+    it('leave out settings at their default', () => {
+        expect(settingsToQuery(getDefaultSettings())).toBe('');
+    });
+
+    it('restore every changed setting', () => {
+        const changed = {
+            reference: 442,
+            instrument: 'cello',
+            strum: true,
+            root: 3,
+            detector: 'yin',
+            clarity: 0.7,
+            bandpass: true,
+            raw: false,
+            basspartial: '3',
+            treblepartial: '2',
+            harmonics: '2,4',
+            autorange: false,
+            minfreq: 55,
+            maxfreq: 880.5,
+            median: 3,
+            smoothing: 0.8,
+            hysteresis: 25,
+            octavejump: 0,
+            attack: 100,
+            decay: 0.3,
+            signature: '6/8',
+            cue: true,
+            shortcuts: false
+        };
+        const settings = { ...getDefaultSettings(), ...changed };
+
+        const query = settingsToQuery(settings);
+        expect(settingsFromQuery(query)).toEqual({ settings: changed, invalid: [] });
+    });
+
+    it("compare the clarity threshold with the selected detector's default", () => {
+        const yinDefault = DEFAULT_CLARITY_THRESHOLDS.yin;
+
+        expect(settingsToQuery({ ...getDefaultSettings(), detector: 'yin', clarity: yinDefault })).toBe('?detector=yin');
+        expect(settingsToQuery({ ...getDefaultSettings(), detector: 'yin', clarity: DEFAULT_CLARITY_THRESHOLDS.autocorrelation }))
+            .toBe(`?detector=yin&clarity=${DEFAULT_CLARITY_THRESHOLDS.autocorrelation}`);
+        expect(settingsToQuery({ ...getDefaultSettings(), clarity: yinDefault })).toBe(`?clarity=${yinDefault}`);
+    });
+
+    it('report invalid values in a link', () => {
+        expect(settingsFromQuery('?reference=441&gain=loud&foo=bar')).toEqual({ settings: { reference: 441 }, invalid: ['gain'] });
+    });
+});
+
+describe('loadSettings and saveSettings', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = createStorage();
+        vi.stubGlobal('localStorage', storage);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('load nothing before anything was saved', () => {
+        expect(loadSettings()).toEqual({ settings: {}, invalid: [] });
+    });
+
+    it('load the saved settings', () => {
+        saveSettings({ reference: 443, harmonics: '3', median: 9, minfreq: undefined });
+        expect(loadSettings()).toEqual({ settings: { reference: 443, harmonics: '3', median: 9 }, invalid: [] });
+    });
+
+    it('save only valid settings', () => {
+        saveSettings({ reference: 443, gain: 100 });
+        expect(JSON.parse(storage.getItem(STORAGE_KEY))).toEqual({ reference: 443 });
+    });
+
+    it.each(['{"reference": 4', 'not json', '[440]', 'null', '42'])('reject corrupt saved settings (%s)', stored => {
+        storage.setItem(STORAGE_KEY, stored);
+        expect(loadSettings()).toEqual({ settings: {}, invalid: ['saved settings'] });
+    });
+
+    it('drop invalid values from otherwise valid saved settings', () => {
+        storage.setItem(STORAGE_KEY, JSON.stringify({ reference: 443, hop: 300 }));
+        expect(loadSettings()).toEqual({ settings: { reference: 443 }, invalid: ['hop'] });
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * Synthetic Signals
+ * Generates test signals with a known pitch for evaluating the pitch detectors
+ *
+ * Every generator returns the samples together with the pitch a listener would hear,
+ * which is the frequency a detector should report. Random choices (phases, noise) come
+ * from a seeded generator, so every run produces exactly the same signals.
+ */
+
+// Default sample rate of the generated signals in Hz
+export const SAMPLE_RATE = 48000;
+
+// Peak amplitude of the generated tones before noise is added
+const AMPLITUDE = 0.5;
+
+// Time constant in seconds of a plucked note's decay
+const PLUCK_DECAY = 0.5;
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Any 32-bit integer
+ * @returns {Function} - Returns a number between 0 (inclusive) and 1 (exclusive) on every call
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Sum sine partials into a signal, scaled to the common peak amplitude
+ * @param {Object[]} partials - Partials, each with frequency in Hz and relative amplitude
+ * @param {number} length - Number of samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Function} random - Random number generator for the starting phases
+ * @param {Function} envelope - Amplitude at a time in seconds
+ * @returns {Float32Array} - The signal
+ */
+function sumPartials(partials, length, sampleRate, random, envelope = () => 1) {
+    const samples = new Float32Array(length);
+    const phases = partials.map(() => random() * 2 * Math.PI);
+    const total = partials.reduce((sum, partial) => sum + partial.amplitude, 0);
+
+    for (let i = 0; i < length; i++) {
+        const t = i / sampleRate;
+        let value = 0;
+        partials.forEach((partial, index) => {
+            value += partial.amplitude * Math.sin(2 * Math.PI * partial.frequency * t + phases[index]);
+        });
+        samples[i] = AMPLITUDE * envelope(t) * value / total;
+    }
+
+    return samples;
+}
+
+/**
+ * Generate a pure sine tone
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} length - Number of samples
+ * @param {Object} options - Object with sampleRate and random
+ * @returns {Object} - Object containing samples and the expected frequency in Hz
+ */
+export function pureTone(frequency, length, { sampleRate = SAMPLE_RATE, random = createRandom(1) } = {}) {
+    return {
+        samples: sumPartials([{ frequency, amplitude: 1 }], length, sampleRate, random),
+        frequency
+    };
+}
+
+/**
+ * Generate a decaying harmonic tone like a plucked string, by default without its fundamental
+ * The pitch is still heard at the fundamental, which detectors must infer from the harmonics.
+ * @param {number} frequency - Fundamental frequency in Hz
+ * @param {number} length - Number of samples
+ * @param {Object} options - Object with harmonics (highest harmonic), missingFundamental, sampleRate and random
+ * @returns {Object} - Object containing samples and the expected frequency in Hz
+ */
+export function pluckedTone(frequency, length, { harmonics = 8, missingFundamental = true, sampleRate = SAMPLE_RATE, random = createRandom(1) } = {}) {
+    const partials = [];
+    for (let harmonic = missingFundamental ? 2 : 1; harmonic <= harmonics; harmonic++) {
+        // Stay below the Nyquist frequency
+        if (harmonic * frequency < sampleRate / 2) {
+            partials.push({ frequency: harmonic * frequency, amplitude: 1 / harmonic });
+        }
+    }
+
+    return {
+        samples: sumPartials(partials, length, sampleRate, random, t => Math.exp(-t / PLUCK_DECAY)),
+        frequency
+    };
+}
+
+/**
+ * Generate the tone of a stiff string, whose partials are stretched above the harmonic series
+ * Partial n sounds at n * f * sqrt(1 + B * n²), so the heard pitch is the first partial.
+ * @param {number} frequency - Frequency of the ideal flexible string in Hz
+ * @param {number} length - Number of samples
+ * @param {Object} options - Object with inharmonicity (coefficient B), partials, sampleRate and random
+ * @returns {Object} - Object containing samples and the expected frequency in Hz
+ */
+export function inharmonicString(frequency, length, { inharmonicity = 0.0005, partials = 8, sampleRate = SAMPLE_RATE, random = createRandom(1) } = {}) {
+    const partialFrequency = n => n * frequency * Math.sqrt(1 + inharmonicity * n * n);
+    const stretched = [];
+
+    for (let n = 1; n <= partials; n++) {
+        if (partialFrequency(n) < sampleRate / 2) {
+            stretched.push({ frequency: partialFrequency(n), amplitude: 1 / n });
+        }
+    }
+
+    return {
+        samples: sumPartials(stretched, length, sampleRate, random, t => Math.exp(-t / PLUCK_DECAY)),
+        frequency: partialFrequency(1)
+    };
+}
+
+/**
+ * Generate strings plucked together, each with its fundamental
+ * @param {number[]} frequencies - Frequency of each string in Hz
+ * @param {number} length - Number of samples
+ * @param {Object} options - Object with harmonics and sampleRate
+ * @returns {Object} - Object containing samples and the expected frequencies in Hz
+ */
+export function strummedStrings(frequencies, length, { harmonics = 8, sampleRate = SAMPLE_RATE } = {}) {
+    const samples = new Float32Array(length);
+
+    // Every string starts with its own phases
+    frequencies.forEach((frequency, index) => {
+        const string = pluckedTone(frequency, length, { harmonics, missingFundamental: false, sampleRate, random: createRandom(index + 1) }).samples;
+        for (let i = 0; i < length; i++) {
+            samples[i] += string[i] / frequencies.length;
+        }
+    });
+
+    return { samples, frequencies };
+}
+
+/**
+ * Generate a harmonic tone with vibrato
+ * @param {number} frequency - Center frequency in Hz
+ * @param {number} length - Number of samples
+ * @param {Object} options - Object with rate (Hz), depthCents (largest deviation), harmonics, sampleRate and random
+ * @returns {Object} - Object containing samples and the expected frequency, the mean frequency of the signal in Hz
+ */
+export function vibratoTone(frequency, length, { rate = 5.5, depthCents = 25, harmonics = 5, sampleRate = SAMPLE_RATE, random = createRandom(1) } = {}) {
+    const samples = new Float32Array(length);
+    const vibratoPhase = random() * 2 * Math.PI;
+    const phases = Array.from({ length: harmonics }, () => random() * 2 * Math.PI);
+    const total = phases.reduce((sum, _, index) => sum + 1 / (index + 1), 0);
+
+    // Integrate the instantaneous frequency to get the phase of the fundamental
+    let phase = 0;
+    for (let i = 0; i < length; i++) {
+        let value = 0;
+        for (let harmonic = 1; harmonic <= harmonics; harmonic++) {
+            value += Math.sin(harmonic * phase + phases[harmonic - 1]) / harmonic;
+        }
+        samples[i] = AMPLITUDE * value / total;
+
+        const instantaneous = frequency * Math.pow(2, depthCents / 1200 * Math.sin(2 * Math.PI * rate * i / sampleRate + vibratoPhase));
+        phase += 2 * Math.PI * instantaneous / sampleRate;
+    }
+
+    // A detector can only report the average pitch over its window
+    return {
+        samples,
+        frequency: phase / (2 * Math.PI) / (length / sampleRate)
+    };
+}
+
+/**
+ * Add white Gaussian noise to a signal
+ * @param {Object} signal - Signal returned by a generator
+ * @param {number} snr - Signal-to-noise ratio in dB
+ * @param {Function} random - Random number generator
+ * @returns {Object} - A new signal with the noise added and the same expected frequency
+ */
+export function addNoise(signal, snr, random = createRandom(1)) {
+    const { samples } = signal;
+    const signalPower = samples.reduce((sum, value) => sum + value * value, 0) / samples.length;
+    const noiseLevel = Math.sqrt(signalPower / Math.pow(10, snr / 10));
+    const noisy = new Float32Array(samples.length);
+
+    for (let i = 0; i < samples.length; i++) {
+        // Box-Muller transform of two uniform numbers into a normally distributed one
+        const gaussian = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        noisy[i] = samples[i] + noiseLevel * gaussian;
+    }
+
+    return { samples: noisy, frequency: signal.frequency };
+}
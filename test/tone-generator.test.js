@@ -0,0 +1,122 @@
+/**
+ * Tone Rejection Tests
+ * Plays the player's note through the notch filters of a drone and checks it is still detected
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getRejectedFrequencies } from '../src/js/tone-generator.js';
+import { getPitchDetector } from '../src/js/pitch-detection.js';
+import { pluckedTone, SAMPLE_RATE } from './synthetic-signals.js';
+
+// Quality factor of the generator's notch filters
+const NOTCH_Q = 30;
+
+// Samples analyzed per detection, and samples skipped first so the filters settle
+const WINDOW_SIZE = 4096;
+const SETTLE_SAMPLES = 4096;
+
+// Detection range of the tests
+const DETECTION_OPTIONS = { minFrequency: 80, maxFrequency: 1000 };
+
+// Notes played in the tests
+const A3 = 220;
+const E3 = 164.81;
+
+/**
+ * Get the first partials of a harmonic tone, as the plucked drone emits them
+ * @param {number} frequency - Fundamental in Hz
+ * @param {number} count - Number of partials
+ * @returns {number[]} - Frequencies in Hz, the fundamental first
+ */
+function harmonics(frequency, count) {
+    return Array.from({ length: count }, (_, index) => (index + 1) * frequency);
+}
+
+/**
+ * Filter a signal through notch filters in series, computed like a Web Audio BiquadFilterNode
+ * @param {Float32Array} samples - The signal
+ * @param {number[]} frequencies - Centre frequencies of the notches in Hz
+ * @returns {Float32Array} - The filtered signal
+ */
+function notch(samples, frequencies) {
+    return frequencies.reduce((input, frequency) => {
+        const w0 = 2 * Math.PI * frequency / SAMPLE_RATE;
+        const alpha = Math.sin(w0) / (2 * NOTCH_Q);
+        const a0 = 1 + alpha;
+        const [b0, b1, b2] = [1 / a0, -2 * Math.cos(w0) / a0, 1 / a0];
+        const [a1, a2] = [-2 * Math.cos(w0) / a0, (1 - alpha) / a0];
+
+        const output = new Float32Array(input.length);
+        let [x1, x2, y1, y2] = [0, 0, 0, 0];
+        for (let i = 0; i < input.length; i++) {
+            const y = b0 * input[i] + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+            [x2, x1, y2, y1] = [x1, input[i], y1, y];
+            output[i] = y;
+        }
+        return output;
+    }, samples);
+}
+
+/**
+ * Play a note through the notch filters and detect its pitch
+ * @param {string} detector - Id of the pitch detector
+ * @param {Float32Array} samples - The signal
+ * @param {number[]} rejected - Centre frequencies of the notches in Hz
+ * @returns {number} - Detected frequency in Hz, or -1 if no pitch
+ */
+function detectThrough(detector, samples, rejected) {
+    const filtered = notch(samples, rejected).subarray(SETTLE_SAMPLES);
+    return getPitchDetector(detector).detect(filtered, SAMPLE_RATE, DETECTION_OPTIONS).frequency;
+}
+
+/**
+ * Sum signals of the same length
+ * @param {...Float32Array} signals - The signals
+ * @returns {Float32Array} - The sum
+ */
+function mix(...signals) {
+    return signals.reduce((sum, signal) => sum.map((value, index) => value + signal[index]));
+}
+
+const cents = (frequency, reference) => 1200 * Math.log2(frequency / reference);
+const note = frequency => pluckedTone(frequency, SETTLE_SAMPLES + WINDOW_SIZE, { harmonics: 6, missingFundamental: false }).samples;
+
+describe('getRejectedFrequencies', () => {
+    it('keeps every partial of a drone the player plays in unison with', () => {
+        expect(getRejectedFrequencies(harmonics(A3, 6), [A3])).toEqual([]);
+    });
+
+    it('removes the partials the expected note does not share', () => {
+        // E3's 4th and 8th harmonics lie within a few cents of A3's 3rd and 6th
+        expect(getRejectedFrequencies(harmonics(A3, 6), [E3])).toEqual([220, 440, 880, 1100]);
+    });
+
+    it('keeps partials shared with any of the expected notes', () => {
+        expect(getRejectedFrequencies(harmonics(A3, 6), [E3, A3])).toEqual([]);
+    });
+});
+
+describe('tone rejection', () => {
+    it.each(['autocorrelation', 'yin', 'mpm'])('lets %s detect an in-tune unison note through the drone filters', detector => {
+        const played = A3 * Math.pow(2, 3 / 1200);
+        const rejected = getRejectedFrequencies(harmonics(A3, 6), [A3]);
+
+        expect(Math.abs(cents(detectThrough(detector, note(played), rejected), played))).toBeLessThan(2);
+    });
+
+    it.each(['yin', 'mpm'])('lets %s detect the expected note over a drone on another note', detector => {
+        const rejected = getRejectedFrequencies(harmonics(A3, 6), [E3]);
+        const detected = detectThrough(detector, mix(note(E3), note(A3)), rejected);
+
+        expect(Math.abs(cents(detected, E3))).toBeLessThan(5);
+    });
+
+    it('removes the drone itself', () => {
+        const rejected = getRejectedFrequencies(harmonics(A3, 6), [E3]);
+        const drone = pluckedTone(A3, SETTLE_SAMPLES + WINDOW_SIZE, { harmonics: 1, missingFundamental: false }).samples;
+
+        const energy = samples => samples.reduce((sum, value) => sum + value * value, 0);
+        const filtered = notch(drone, rejected).subarray(SETTLE_SAMPLES);
+        expect(energy(filtered) / energy(drone.subarray(SETTLE_SAMPLES))).toBeLessThan(0.01);
+    });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tuner Engine Tests
+ * Feeds synthetic buffers through the headless engine and checks the events it dispatches
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TunerEngine } from '../src/js/tuner-engine.js';
+import { TUNED_HOLD_TIME } from '../src/js/instrument-tuning.js';
+import { pureTone, strummedStrings, SAMPLE_RATE } from './synthetic-signals.js';
+
+// Event types the engine dispatches while analyzing
+const EVENT_TYPES = ['pitch', 'noteChange', 'inTune', 'silence', 'error'];
+
+// Detector used by the tests, which finds the pitch of a pure tone to within a fraction of a cent
+const DETECTOR = 'yin';
+
+// Time in milliseconds between analyzed buffers
+const FRAME_TIME = 50;
+
+// Frequencies of the notes played in the tests
+const A4 = 440;
+const E4 = 329.63;
+
+/**
+ * Record every event the engine dispatches
+ * @param {TunerEngine} tuner - The engine
+ * @returns {Object[]} - Recorded events, each with type and detail, filled in as they arrive
+ */
+function recordEvents(tuner) {
+    const events = [];
+    EVENT_TYPES.forEach(type => tuner.addEventListener(type, event => events.push({ type, detail: event.detail })));
+    return events;
+}
+
+/**
+ * Analyze the same buffer once per frame over a period of time
+ * @param {TunerEngine} tuner - The engine
+ * @param {Float32Array} buffer - Audio data buffer
+ * @param {number} from - Time of the first buffer in milliseconds
+ * @param {number} to - Time after the last buffer in milliseconds
+ * @returns {Object[]} - The readings
+ */
+function play(tuner, buffer, from, to) {
+    const readings = [];
+    for (let time = from; time < to; time += FRAME_TIME) {
+        readings.push(tuner.analyze(buffer, SAMPLE_RATE, time));
+    }
+    return readings;
+}
+
+/**
+ * Create an audio context whose nodes do nothing
+ * @returns {Object} - The fake audio context
+ */
+function createFakeAudioContext() {
+    const node = () => ({ gain: { value: 1 }, fftSize: 2048, connect() {}, disconnect() {} });
+
+    return {
+        state: 'running',
+        sampleRate: SAMPLE_RATE,
+        currentTime: 0,
+        createGain: node,
+        createAnalyser: node,
+        createMediaStreamSource: node
+    };
+}
+
+describe('TunerEngine', () => {
+    let tuner;
+    let events;
+    let tone;
+    let silence;
+
+    beforeEach(() => {
+        tuner = new TunerEngine({ detector: DETECTOR });
+        events = recordEvents(tuner);
+        tone = frequency => pureTone(frequency, tuner.windowSize).samples;
+        silence = new Float32Array(tuner.windowSize);
+    });
+
+    const ofType = type => events.filter(event => event.type === type);
+
+    it('dispatches a pitch event for every analyzed buffer', () => {
+        const readings = play(tuner, tone(A4), 0, 500);
+
+        expect(ofType('pitch')).toHaveLength(readings.length);
+        ofType('pitch').forEach((event, index) => expect(event.detail).toBe(readings[index]));
+
+        const last = readings[readings.length - 1];
+        expect(last.note).toBe('A');
+        expect(last.octave).toBe(4);
+        expect(Math.abs(last.cents)).toBeLessThan(1);
+        expect(last.targetIndex).toBeNull();
+    });
+
+    it('dispatches noteChange once per new note', () => {
+        play(tuner, tone(A4), 0, 500);
+        play(tuner, tone(E4), 500, 1000);
+
+        expect(ofType('noteChange').map(event => `${event.detail.note}${event.detail.octave}`)).toEqual(['A4', 'E4']);
+    });
+
+    it('dispatches inTune once the note has stayed in tune for the hold time', () => {
+        play(tuner, tone(A4), 0, TUNED_HOLD_TIME);
+        expect(ofType('inTune')).toHaveLength(0);
+
+        play(tuner, tone(A4), TUNED_HOLD_TIME, 3 * TUNED_HOLD_TIME);
+        expect(ofType('inTune')).toHaveLength(1);
+        expect(ofType('inTune')[0].detail.note).toBe('A');
+    });
+
+    it('does not dispatch inTune for an out of tune note', () => {
+        play(tuner, tone(A4 * Math.pow(2, 20 / 1200)), 0, 3 * TUNED_HOLD_TIME);
+
+        expect(ofType('noteChange')).toHaveLength(1);
+        expect(ofType('inTune')).toHaveLength(0);
+    });
+
+    it('dispatches silence once when a sounding note stops', () => {
+        play(tuner, silence, 0, 200);
+        expect(ofType('silence')).toHaveLength(0);
+
+        play(tuner, tone(A4), 200, 700);
+        const readings = play(tuner, silence, 700, 1000);
+
+        expect(ofType('silence')).toHaveLength(1);
+        expect(ofType('silence')[0].detail.time).toBe(700);
+        readings.forEach(reading => {
+            expect(reading.frequency).toBe(-1);
+            expect(reading.note).toBeNull();
+        });
+    });
+
+    it('announces the same note again after a silence', () => {
+        play(tuner, tone(A4), 0, 500);
+        play(tuner, silence, 500, 1000);
+        play(tuner, tone(A4), 1000, 1500);
+
+        expect(ofType('noteChange')).toHaveLength(2);
+    });
+
+    it('matches the pitch to the closest target', () => {
+        tuner.configure({ targets: [{ name: 'A4', frequency: A4 }, { name: 'E4', frequency: E4 }] });
+        const readings = play(tuner, tone(E4 * Math.pow(2, -10 / 1200)), 0, 500);
+
+        const last = readings[readings.length - 1];
+        expect(last.targetIndex).toBe(1);
+        expect(last.cents).toBeCloseTo(-10, 0);
+        expect(ofType('noteChange')[0].detail.targetIndex).toBe(1);
+    });
+
+    it('measures against the locked target', () => {
+        tuner.configure({ targets: [{ name: 'A4', frequency: A4 }, { name: 'E4', frequency: E4 }], lockedTarget: 0 });
+        const readings = play(tuner, tone(E4), 0, 500);
+
+        const last = readings[readings.length - 1];
+        expect(last.targetIndex).toBe(0);
+        expect(last.cents).toBeCloseTo(-500, 0);
+    });
+
+    it('measures every target from a strum in strum mode', () => {
+        const targets = [{ name: 'A2', frequency: A4 / 4 }, { name: 'E3', frequency: E4 / 2 }, { name: 'A3', frequency: A4 / 2 }];
+        tuner.configure({ targets, strum: true });
+        const { samples } = strummedStrings(targets.map(target => target.frequency * Math.pow(2, 5 / 1200)), 32768);
+
+        const reading = tuner.analyze(samples, SAMPLE_RATE, 0);
+        expect(reading.strings).toHaveLength(3);
+        reading.strings.forEach(string => expect(string.cents).toBeCloseTo(5, 0));
+        expect(tuner.getAnalysisOptions().paused).toBe(true);
+
+        // Strums are analyzed at a limited rate
+        expect(tuner.analyze(samples, SAMPLE_RATE, FRAME_TIME)).toBeNull();
+        expect(ofType('pitch')).toHaveLength(1);
+    });
+});
+
+describe('TunerEngine start', () => {
+    let openMicrophone;
+
+    beforeEach(() => {
+        // The microphone opens once the test grants access
+        vi.stubGlobal('navigator', {
+            mediaDevices: { getUserMedia: () => new Promise(resolve => { openMicrophone = resolve; }) }
+        });
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('resolves without listening when stopped while the microphone opens', async () => {
+        const tuner = new TunerEngine({ audioContext: createFakeAudioContext() });
+        const events = recordEvents(tuner);
+
+        const started = tuner.start();
+        tuner.stop();
+
+        const track = { stopped: false, stop() { this.stopped = true; }, addEventListener() {} };
+        openMicrophone({ getTracks: () => [track], getAudioTracks: () => [track] });
+
+        await expect(started).resolves.toBeUndefined();
+        expect(tuner.isRunning).toBe(false);
+        expect(tuner.measureInputLevel()).toBeNull();
+        expect(track.stopped).toBe(true);
+        expect(events).toEqual([]);
+    });
+});
@@ -1,5 +1,50 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+
+// List every file below a directory, as paths relative to it with forward slashes
+function listFiles(directory) {
+  if (!existsSync(directory)) {
+    return [];
+  }
+
+  return readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+    const path = resolve(directory, entry.name);
+    return entry.isDirectory()
+      ? listFiles(path).map(file => `${entry.name}/${file}`)
+      : [entry.name];
+  });
+}
+
+// Write the service worker, filled in with every file of the build so the app works offline
+function offlinePlugin() {
+  const publicDir = resolve(__dirname, 'public');
+
+  return {
+    name: 'web-tuner-offline',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(options, bundle) {
+      const builtFiles = Object.values(bundle)
+        .filter(file => !file.fileName.endsWith('.map'))
+        .map(file => ({ url: file.fileName, contents: file.type === 'chunk' ? file.code : file.source }));
+      const publicFiles = listFiles(publicDir)
+        .map(file => ({ url: file, contents: readFileSync(resolve(publicDir, file)) }));
+      const files = [...builtFiles, ...publicFiles];
+
+      // The version changes whenever any file does, which makes browsers install the new build
+      const hash = createHash('sha256');
+      files.forEach(({ url, contents }) => hash.update(url).update(contents));
+
+      const serviceWorker = readFileSync(resolve(__dirname, 'src/service-worker.js'), 'utf8')
+        .replace('__CACHE_VERSION__', () => JSON.stringify(hash.digest('hex').slice(0, 12)))
+        .replace('__PRECACHE_URLS__', () => JSON.stringify(['./', ...files.map(({ url }) => url)], null, 4));
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source: serviceWorker });
+    },
+  };
+}
 
 export default defineConfig({
   root: './',
@@ -18,4 +63,5 @@ export default defineConfig({
       '@': resolve(__dirname, './src'),
     },
   },
-});
\ No newline at end of file
+  plugins: [offlinePlugin()],
+});